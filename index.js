@@ -1,17 +1,42 @@
+const CallbackDispatcher = require('./src/CallbackDispatcher');
+const ClientGenerator = require('./src/ClientGenerator');
+const DeclarationGenerator = require('./src/DeclarationGenerator');
+const Docs = require('./src/Docs');
 const Endpoint = require('./src/Endpoint');
 const EndpointError = require('./src/EndpointError');
+const EventStreamEndpoint = require('./src/EventStreamEndpoint');
+const EventStreamResponse = require('./src/EventStreamResponse');
+const FileResponse = require('./src/FileResponse');
+const NdjsonResponse = require('./src/NdjsonResponse');
 const Response = require('./src/Response');
 const Router = require('./src/Router');
+const SchemaBuilder = require('./src/SchemaBuilder');
+const Serializers = require('./src/Serializers');
+const StreamResponse = require('./src/StreamResponse');
 const ValidationError = require('./src/ValidationError');
+const ValidationErrorFormatter = require('./src/ValidationErrorFormatter');
 
 /**
  *
- * @type {{Endpoint: Endpoint, EndpointError: EndpointError, Response: Response, Router: Router, ValidationError: ValidationError}}
+ * @type {{CallbackDispatcher: CallbackDispatcher, ClientGenerator: ClientGenerator, DeclarationGenerator: DeclarationGenerator, Docs: Docs, Endpoint: Endpoint, EndpointError: EndpointError, EventStreamEndpoint: EventStreamEndpoint, EventStreamResponse: EventStreamResponse, FileResponse: FileResponse, NdjsonResponse: NdjsonResponse, Response: Response, Router: Router, S: SchemaBuilder, SchemaBuilder: SchemaBuilder, Serializers: Serializers, StreamResponse: StreamResponse, ValidationError: ValidationError, ValidationErrorFormatter: ValidationErrorFormatter}}
  */
 module.exports = {
+    CallbackDispatcher,
+    ClientGenerator,
+    DeclarationGenerator,
+    Docs,
     Endpoint,
     EndpointError,
+    EventStreamEndpoint,
+    EventStreamResponse,
+    FileResponse,
+    NdjsonResponse,
     Response,
     Router,
-    ValidationError
+    S: SchemaBuilder,
+    SchemaBuilder,
+    Serializers,
+    StreamResponse,
+    ValidationError,
+    ValidationErrorFormatter
 };
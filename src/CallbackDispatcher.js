@@ -0,0 +1,291 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+const EndpointError = require('./EndpointError');
+const ValidationError = require('./ValidationError');
+
+/**
+ * Sends a request with node's http(s) module, and resolves with the response, whatever its status.
+ *
+ * @param {{method: string, url: string, headers: {}, body: string, timeout: number}} request
+ * @returns {Promise<{status: number, headers: {}, body: string}>}
+ */
+function httpTransport({ method, url, headers, body, timeout }) {
+
+    return new Promise((resolve, reject) => {
+
+        const client = url.startsWith('https:') ? https : http;
+        const req = client.request(url, { method: method.toUpperCase(), headers }, res => {
+
+            const chunks = [];
+
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() }));
+            res.on('error', reject);
+        });
+
+        if (timeout) {
+            req.setTimeout(timeout, () => req.destroy(new Error(`The request to ${url} timed out.`)));
+        }
+
+        req.on('error', reject);
+        req.end(body);
+    });
+}
+
+function isJson(mediaType) {
+
+    const type = mediaType.split(';')[0].trim().toLowerCase();
+
+    return type === 'application/json' || type.endsWith('+json');
+}
+
+function isRetryable(status) {
+
+    return status === 408 || status === 429 || status >= 500;
+}
+
+function wait(ms) {
+
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Sends the callbacks declared by an endpoint's callbacks().
+ * Payloads are validated against their bodySchema, serialized for its media type, signed with an HMAC of the body,
+ * and retried with exponential backoff when the receiver can't be reached or fails with a 408, 429 or 5xx.
+ */
+class CallbackDispatcher {
+
+    /**
+     *
+     * @param {Endpoint|function} endpoint an Endpoint class, or an instance of one.
+     * @param {{}} [options]
+     */
+    constructor(endpoint, options = {}) {
+
+        this.endpoint = typeof endpoint === 'function' ? new endpoint() : endpoint;
+        this.options = Object.assign(this.constructor.defaultOptions(), options);
+        this.callbacks = this.endpoint.callbacks() || {};
+        this.validators = {};
+    }
+
+    /**
+     * Sends a callback to the given URL, which is usually the one the client registered.
+     * Resolves with the receiver's response and the number of attempts it took,
+     * or rejects with a ValidationError if the payload is invalid, or an EndpointError if every attempt failed.
+     *
+     * @param {string} name
+     * @param {string} url
+     * @param {*} payload
+     * @param {{}} [headers]
+     * @returns {Promise<{response: {status: number, headers: {}, body: string}, attempts: number}>}
+     */
+    dispatch(name, url, payload, headers = {}) {
+
+        return Promise.resolve().then(() => {
+
+            const callback = this.callbacks[name];
+
+            if (!callback) {
+                throw new Error(`Unknown callback: ${name}. Please declare it in the endpoint's callbacks().`);
+            }
+
+            const mediaType = this.mediaType(callback);
+            const isSerialized = typeof payload === 'string' || Buffer.isBuffer(payload);
+            const data = this.validate(name, isSerialized ? this.parse(name, payload, mediaType) : payload);
+
+            // a payload that is already serialized is sent byte for byte, once what it holds is validated.
+            const body = isSerialized
+                ? payload
+                : this.endpoint.createSerializers().serialize(data, mediaType, this.bodySchema(callback) || {});
+            const request = {
+                method: (callback.method || 'post').toUpperCase(),
+                url,
+                headers: Object.assign({ 'Content-Type': mediaType }, headers),
+                body,
+                timeout: this.options.timeout
+            };
+
+            if (this.options.secret) {
+                request.headers[this.options.signatureHeader] = this.constructor.sign(this.options.secret, body);
+            }
+
+            return this.send(name, request, 1);
+        });
+    }
+
+    /**
+     * Reads what a payload that is already serialized (a string or a Buffer) holds, so that it can be validated.
+     *
+     * @param {string} name
+     * @param {string|Buffer} payload
+     * @param {string} mediaType
+     * @returns {*}
+     */
+    parse(name, payload, mediaType) {
+
+        if (!isJson(mediaType)) {
+            return payload.toString();
+        }
+
+        try {
+            return JSON.parse(payload.toString());
+        } catch (err) {
+            throw new ValidationError([], `The ${name} callback is not valid JSON.`, 500);
+        }
+    }
+
+    /**
+     * Validates a copy of the payload, so that defaults and coercion don't change the caller's object,
+     * and returns the copy that should be sent.
+     *
+     * @param {string} name
+     * @param {*} payload
+     * @returns {*}
+     */
+    validate(name, payload) {
+
+        const callback = this.callbacks[name];
+        const schema = this.bodySchema(callback);
+        const copy = payload === undefined ? payload : JSON.parse(JSON.stringify(payload));
+
+        if (!schema) {
+            return copy;
+        }
+        if (!this.validators[name]) {
+            this.validators[name] = this.endpoint.compileProperties(this.endpoint.options.responseAjvOptions, this.components(), { body: schema }, ['body']);
+        }
+
+        const validator = this.validators[name];
+        const data = { body: copy };
+
+        if (!validator(data)) {
+            throw new ValidationError(validator.errors, `The ${name} callback was not in the expected format.`, 500);
+        }
+
+        return data.body;
+    }
+
+    /**
+     * The components that the callbacks' schemas can reference: the components option,
+     * or else the components of the router option's spec.
+     *
+     * @returns {{}}
+     */
+    components() {
+
+        const { components, router } = this.options;
+
+        return components || (router ? router.getSpec().components : {});
+    }
+
+    /**
+     *
+     * @param {string} name
+     * @param {{}} request
+     * @param {number} attempt
+     * @returns {Promise<{response: {}, attempts: number}>}
+     */
+    send(name, request, attempt) {
+
+        const { transport, retries, retryDelay } = this.options;
+        const retry = reason => {
+
+            if (attempt > retries) {
+                throw new EndpointError(`The ${name} callback to ${request.url} failed after ${attempt} attempts.`, 502, reason);
+            }
+
+            return wait(retryDelay * Math.pow(2, attempt - 1)).then(() => this.send(name, request, attempt + 1));
+        };
+
+        return Promise.resolve()
+            .then(() => transport(request))
+            .then(response => {
+
+                if (response.status >= 200 && response.status < 300) {
+                    return { response, attempts: attempt };
+                }
+                if (!isRetryable(response.status)) {
+                    throw new EndpointError(`The ${name} callback to ${request.url} was rejected with a ${response.status}.`, 502, { status: response.status });
+                }
+
+                return retry({ status: response.status });
+
+            }, err => retry({ error: err.message }));
+    }
+
+    /**
+     *
+     * @param {{bodySchema: {}}} callback
+     * @returns {{}|null}
+     */
+    bodySchema(callback) {
+
+        const schemas = this.endpoint.constructor.mediaTypeSchemas(callback.bodySchema, this.endpoint.options.defaultRequestBodyMediaType);
+
+        return schemas ? schemas[this.mediaType(callback)] : null;
+    }
+
+    /**
+     *
+     * @param {{bodySchema: {}}} callback
+     * @returns {string}
+     */
+    mediaType(callback) {
+
+        const { defaultRequestBodyMediaType } = this.endpoint.options;
+        const mediaTypes = Object.keys(this.endpoint.constructor.mediaTypeSchemas(callback.bodySchema, defaultRequestBodyMediaType) || {});
+
+        return mediaTypes.includes(defaultRequestBodyMediaType) || !mediaTypes.length ? defaultRequestBodyMediaType : mediaTypes[0];
+    }
+
+    /**
+     * The signature of a body, as sent in the signature header, e.g. "sha256=6b86b273...".
+     *
+     * @param {string} secret
+     * @param {string|Buffer} body
+     * @returns {string}
+     */
+    static sign(secret, body) {
+
+        return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+    }
+
+    /**
+     * Lets receivers check that a body was signed with the shared secret.
+     *
+     * @param {string} secret
+     * @param {string|Buffer} body
+     * @param {string} signature
+     * @returns {boolean}
+     */
+    static verify(secret, body, signature) {
+
+        const expected = Buffer.from(this.sign(secret, body));
+        const actual = Buffer.from(`${signature || ''}`);
+
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+
+    /**
+     *
+     * @returns {{secret: string|null, signatureHeader: string, transport: function, retries: number, retryDelay: number, timeout: number, components: {}|null, router: Router|null}}
+     */
+    static defaultOptions() {
+
+        return {
+            secret: null,
+            signatureHeader: 'X-Signature',
+            transport: httpTransport,
+            retries: 3,
+            retryDelay: 1000,
+            timeout: 10000,
+            components: null,
+            router: null
+        };
+    }
+}
+
+module.exports = CallbackDispatcher;
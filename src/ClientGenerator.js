@@ -0,0 +1,280 @@
+const Endpoint = require('./Endpoint');
+const { FORMATS, createAjvOptions } = require('./ajv');
+const { eachOperation, followReference, operationName } = require('./operations');
+
+const LOCATIONS = {
+    query: 'query',
+    path: 'params',
+    header: 'headers'
+};
+
+/**
+ * The runtime of every generated client. It is serialized into the generated module as-is,
+ * so it must not reference anything outside of its own scope (besides Ajv, and the options and formats it is given).
+ */
+const runtime = function runtime(Ajv, components, operations, ajvOptions, formats) {
+
+    class ClientError extends Error {
+
+        constructor(message, status = 0, body = null, details = null) {
+
+            super(message);
+
+            this.name = this.constructor.name;
+            this.status = status;
+            this.body = body;
+            this.details = details;
+        }
+    }
+
+    function encodeQuery(query) {
+
+        return Object.keys(query || {}).reduce((pairs, name) => {
+
+            [].concat(query[name]).filter(value => value !== undefined).forEach(value => {
+
+                const encoded = typeof value === 'object' ? JSON.stringify(value) : `${value}`;
+                pairs.push(`${encodeURIComponent(name)}=${encodeURIComponent(encoded)}`);
+            });
+
+            return pairs;
+
+        }, []).join('&');
+    }
+
+    function encodeBody(body, mediaType) {
+
+        if (typeof body === 'string' || mediaType.startsWith('text/')) {
+            return `${body}`;
+        }
+        if (mediaType === 'application/x-www-form-urlencoded') {
+            return encodeQuery(body);
+        }
+
+        return JSON.stringify(body);
+    }
+
+    function decodeBody(text, mediaType) {
+
+        if (text && /[/+]json$/.test(mediaType)) {
+            return JSON.parse(text);
+        }
+
+        return text;
+    }
+
+    function createClient(options = {}) {
+
+        const baseUrl = (options.baseUrl || '').replace(/\/$/, '');
+        const transport = options.fetch || (typeof fetch === 'function' ? fetch : null);
+        const defaultHeaders = options.headers || {};
+        // the same options and formats as the server's, plus what keeps Ajv 8 quiet about the rest of OpenAPI.
+        const ajv = new Ajv(Object.assign({ strict: false, logger: false }, ajvOptions));
+        const validators = {};
+
+        Object.keys(formats).forEach(name => ajv.addFormat(name, formats[name]));
+
+        if (!transport) {
+            throw new Error('Please provide a fetch-like transport.');
+        }
+
+        const validate = (name, location, schema, value) => {
+
+            const key = `${name} ${location}`;
+
+            if (!schema) {
+                return;
+            }
+            if (!validators[key]) {
+                validators[key] = ajv.compile(Object.assign({ components }, schema));
+            }
+            if (!validators[key](value)) {
+                throw new ClientError(`Invalid ${location} for ${name}.`, 0, null, validators[key].errors);
+            }
+        };
+
+        const request = (name, args = {}) => Promise.resolve().then(() => {
+
+            const operation = operations[name];
+            const params = Object.assign({}, args.params);
+            const query = Object.assign({}, args.query);
+            const headers = Object.assign({}, args.headers);
+
+            validate(name, 'params', operation.params, params);
+            validate(name, 'query', operation.query, query);
+            validate(name, 'headers', operation.headers, headers);
+
+            const url = baseUrl + operation.path.replace(/{([^}]+)}/g, (match, param) => encodeURIComponent(params[param]));
+            const queryString = encodeQuery(query);
+            const init = {
+                method: operation.method.toUpperCase(),
+                headers: Object.assign({}, defaultHeaders, headers)
+            };
+
+            if (operation.requestBody) {
+
+                const mediaType = args.contentType || Object.keys(operation.requestBody.content)[0];
+
+                if (!operation.requestBody.content[mediaType]) {
+                    throw new ClientError(`Unsupported content type ${mediaType} for ${name}.`);
+                }
+                if (args.body !== undefined || operation.requestBody.required) {
+                    validate(name, `body (${mediaType})`, operation.requestBody.content[mediaType], args.body);
+                }
+                if (args.body !== undefined) {
+                    init.headers['content-type'] = mediaType;
+                    init.body = encodeBody(args.body, mediaType);
+                }
+            }
+
+            return Promise.resolve(transport(queryString ? `${url}?${queryString}` : url, init))
+                .then(res => Promise.resolve(res.text()).then(text => {
+
+                    const declared = operation.responses[`${res.status}`] || operation.responses.default || [];
+                    const contentType = (res.headers && res.headers.get && res.headers.get('content-type')) || declared[0] || '';
+                    const body = decodeBody(text, contentType.split(';')[0].trim());
+
+                    if (res.status >= 400) {
+                        throw new ClientError(`Request failed with status ${res.status}.`, res.status, body);
+                    }
+
+                    return { status: res.status, headers: res.headers, body };
+                }));
+        });
+
+        return Object.keys(operations).reduce((client, name) => {
+
+            client[name] = args => request(name, args);
+            return client;
+
+        }, {});
+    }
+
+    return { createClient, ClientError };
+};
+
+/**
+ * Writes a value as JavaScript source, functions and regular expressions included (e.g. the FORMATS).
+ */
+function toSource(value) {
+
+    if (typeof value === 'function' || value instanceof RegExp) {
+        return value.toString();
+    }
+    if (value && typeof value === 'object') {
+        return `{ ${Object.keys(value).map(key => `${JSON.stringify(key)}: ${toSource(value[key])}`).join(', ')} }`;
+    }
+
+    return JSON.stringify(value);
+}
+
+class ClientGenerator {
+
+    /**
+     * Arguments are validated with the given Ajv options, which default to those endpoints validate requests with.
+     *
+     * @param {{}} spec
+     * @param {{}} [ajvOptions]
+     */
+    constructor(spec, ajvOptions = Endpoint.defaultOptions().requestAjvOptions) {
+
+        this.spec = spec;
+        this.ajvOptions = ajvOptions;
+    }
+
+    /**
+     * Collects what the generated client needs to know about each operation, keyed by method name.
+     *
+     * @returns {{}}
+     */
+    operations() {
+
+        const operations = {};
+
+        eachOperation(this.spec, (method, path, operation, pathItem) => {
+
+            const parameters = (pathItem.parameters || []).concat(operation.parameters || []).map(p => followReference(this.spec, p));
+            const requestBody = followReference(this.spec, operation.requestBody);
+            const description = { method, path };
+
+            Object.keys(LOCATIONS).forEach(location => {
+
+                const found = parameters.filter(p => p.in === location);
+
+                if (found.length) {
+                    description[LOCATIONS[location]] = {
+                        type: 'object',
+                        properties: found.reduce((properties, p) => Object.assign(properties, { [p.name]: p.schema || {} }), {}),
+                        required: found.filter(p => p.required).map(p => p.name)
+                    };
+                }
+            });
+
+            if (requestBody && requestBody.content) {
+
+                description.requestBody = {
+                    required: !!requestBody.required,
+                    content: Object.keys(requestBody.content)
+                        .sort((a, b) => Number(/json$/.test(b)) - Number(/json$/.test(a)))
+                        .reduce((content, mediaType) => {
+
+                            content[mediaType] = requestBody.content[mediaType].schema || {};
+                            return content;
+
+                        }, {})
+                };
+            }
+
+            description.responses = Object.keys(operation.responses || {}).reduce((responses, code) => {
+
+                const response = followReference(this.spec, operation.responses[code]) || {};
+                responses[code] = Object.keys(response.content || {});
+
+                return responses;
+
+            }, {});
+
+            operations[operationName(method, path, operation)] = description;
+        });
+
+        return operations;
+    }
+
+    /**
+     * Generates the source code of a standalone CommonJS client module.
+     * The module exports createClient({ baseUrl, fetch, headers }), which returns an object with one method per operation.
+     * It needs Ajv 6 or 8, or Ajv 8 for OpenAPI 3.1 specs, whose schemas are JSON Schema 2020-12.
+     *
+     * @returns {string}
+     */
+    generate() {
+
+        const operations = this.operations();
+        const is31 = `${this.spec.openapi || ''}`.startsWith('3.1');
+        const ajvModule = is31 ? 'ajv/dist/2020' : 'ajv';
+        const ajvOptions = createAjvOptions(this.ajvOptions, is31 ? '2020-12' : 'draft-07');
+
+        return `// This file was generated by express-primer. Do not edit it by hand.
+'use strict';
+
+const Ajv = require('${ajvModule}');
+
+const components = ${JSON.stringify(this.spec.components || {}, null, 2)};
+
+const operations = ${JSON.stringify(operations, null, 2)};
+
+const ajvOptions = ${JSON.stringify(ajvOptions, null, 2)};
+
+const formats = ${toSource(FORMATS)};
+
+const { createClient, ClientError } = (${runtime.toString()})(Ajv, components, operations, ajvOptions, formats);
+
+module.exports = createClient;
+module.exports.createClient = createClient;
+module.exports.ClientError = ClientError;
+module.exports.operations = operations;
+`;
+    }
+}
+
+module.exports = ClientGenerator;
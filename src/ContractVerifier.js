@@ -0,0 +1,431 @@
+const http = require('http');
+const querystring = require('querystring');
+
+const Endpoint = require('./Endpoint');
+const { eachOperation, followReference } = require('./operations');
+
+/**
+ * The name given to examples declared with "example" rather than as part of a named "examples" map.
+ */
+const DEFAULT_EXAMPLE = 'default';
+
+function escape(key) {
+
+    return `${key}`.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Finds the first place where two JSON values differ, as a JSON pointer. Returns null if they are equal.
+ */
+function difference(expected, actual, pointer = '') {
+
+    if (expected === actual) {
+        return null;
+    }
+    if (!expected || !actual || typeof expected !== 'object' || typeof actual !== 'object' || Array.isArray(expected) !== Array.isArray(actual)) {
+        return pointer || '/';
+    }
+
+    const keys = Array.from(new Set(Object.keys(expected).concat(Object.keys(actual))));
+
+    for (const key of keys) {
+
+        const found = difference(expected[key], actual[key], `${pointer}/${escape(key)}`);
+
+        if (found) {
+            return found;
+        }
+    }
+
+    return null;
+}
+
+function isJson(mediaType) {
+
+    return /^application\/(.+\+)?json$/.test(`${mediaType || ''}`.split(';')[0].trim());
+}
+
+/**
+ * Turns the examples declared in a spec into contract tests: for each named example, a request is built from the
+ * parameter and request body examples with that name, sent to the app, and its response is compared against
+ * the response example with that name, and validated against that response's schema.
+ */
+class ContractVerifier {
+
+    /**
+     *
+     * @param {{}} spec
+     * @param {function} app
+     * @param {{timeout: number, Ajv2020: function|null}} [options]
+     */
+    constructor(spec, app, options = {}) {
+
+        this.spec = spec;
+        this.app = app;
+        this.options = Object.assign({ timeout: 10000, Ajv2020: null }, options);
+    }
+
+    /**
+     * Resolves with a result per operation that has examples, and a readable report of them.
+     *
+     * @returns {Promise<{passed: boolean, results: [{operationId: string, method: string, path: string, passed: boolean, examples: [{name: string, passed: boolean, errors: [string]}]}], report: string}>}
+     */
+    verify() {
+
+        const operations = [];
+
+        eachOperation(this.spec, (method, path, operation, pathItem) => {
+
+            const cases = this.cases(method, path, operation, pathItem);
+
+            if (cases.length) {
+                operations.push({ method, path, operation, cases });
+            }
+        });
+
+        return this.listen().then(server => {
+
+            const { port } = server.address();
+            const results = [];
+            const close = () => new Promise(resolve => server.close(() => resolve()));
+
+            return operations.reduce((chain, { method, path, operation, cases }) => chain.then(() => {
+
+                const examples = [];
+
+                return cases.reduce((chain, testCase) => chain.then(() => {
+
+                    return this.run(port, testCase).then(errors => examples.push({ name: testCase.name, passed: !errors.length, errors }));
+
+                }), Promise.resolve()).then(() => results.push({
+                    operationId: operation.operationId || `${method.toUpperCase()} ${path}`,
+                    method,
+                    path,
+                    passed: examples.every(example => example.passed),
+                    examples
+                }));
+
+            }), Promise.resolve())
+                .then(close, err => close().then(() => { throw err; }))
+                .then(() => ({
+                    passed: results.every(result => result.passed),
+                    results,
+                    report: this.constructor.report(results)
+                }));
+        });
+    }
+
+    /**
+     * Builds a test case for each example name used anywhere in the operation.
+     *
+     * @param {string} method
+     * @param {string} path
+     * @param {{}} operation
+     * @param {{}} pathItem
+     * @returns {[{}]}
+     */
+    cases(method, path, operation, pathItem) {
+
+        const parameters = (pathItem.parameters || []).concat(operation.parameters || []).map(parameter => followReference(this.spec, parameter) || {});
+        const requestBody = followReference(this.spec, operation.requestBody) || {};
+        const responses = operation.responses || {};
+        const names = new Set();
+        const collect = holder => {
+
+            if (!holder) {
+                return;
+            }
+            if (holder.example !== undefined) {
+                names.add(DEFAULT_EXAMPLE);
+            }
+            Object.keys(holder.examples || {}).forEach(name => names.add(name));
+        };
+
+        parameters.forEach(collect);
+        Object.keys(requestBody.content || {}).forEach(mediaType => collect(requestBody.content[mediaType]));
+        Object.keys(responses).forEach(code => {
+
+            const content = (followReference(this.spec, responses[code]) || {}).content || {};
+
+            Object.keys(content).forEach(mediaType => collect(content[mediaType]));
+        });
+
+        return Array.from(names).map(name => {
+
+            const response = this.expectedResponse(name, responses);
+
+            return {
+                name,
+                method,
+                path,
+                parameters: parameters.map(parameter => ({ parameter, value: this.exampleValue(parameter, name) })),
+                body: this.requestBodyExample(name, requestBody),
+                response
+            };
+        });
+    }
+
+    /**
+     *
+     * @param {string} name
+     * @param {{}} requestBody
+     * @returns {{mediaType: string, value: *}|null}
+     */
+    requestBodyExample(name, requestBody) {
+
+        const content = requestBody.content || {};
+        const mediaTypes = Object.keys(content);
+        const mediaType = mediaTypes.find(mediaType => (content[mediaType].examples || {})[name])
+            || mediaTypes.find(mediaType => content[mediaType].example !== undefined);
+
+        return mediaType ? { mediaType, value: this.exampleValue(content[mediaType], name) } : null;
+    }
+
+    /**
+     * The response declaring an example with the given name. Without one, any 2xx response is expected.
+     *
+     * @param {string} name
+     * @param {{}} responses
+     * @returns {{code: string, mediaType: string|null, schema: {}|null, example: *}}
+     */
+    expectedResponse(name, responses) {
+
+        const codes = Object.keys(responses);
+        const found = codes.reduce((found, code) => {
+
+            const content = (followReference(this.spec, responses[code]) || {}).content || {};
+            const mediaType = Object.keys(content).find(mediaType => {
+
+                return (content[mediaType].examples || {})[name] || (name === DEFAULT_EXAMPLE && content[mediaType].example !== undefined);
+            });
+
+            return found || (mediaType ? { code, mediaType, schema: content[mediaType].schema || null, example: this.exampleValue(content[mediaType], name) } : null);
+
+        }, null);
+
+        return found || { code: '2XX', mediaType: null, schema: null, example: undefined };
+    }
+
+    /**
+     *
+     * @param {{example: *, examples: {}, schema: {}}} holder
+     * @param {string} name
+     * @returns {*}
+     */
+    exampleValue(holder, name) {
+
+        const example = followReference(this.spec, (holder.examples || {})[name]);
+
+        if (example && example.value !== undefined) {
+            return example.value;
+        }
+        if (holder.example !== undefined) {
+            return holder.example;
+        }
+
+        return holder.schema ? (followReference(this.spec, holder.schema) || {}).example : undefined;
+    }
+
+    /**
+     * Sends a test case's request, and resolves with the ways its response broke the contract.
+     *
+     * @param {number} port
+     * @param {{}} testCase
+     * @returns {Promise<[string]>}
+     */
+    run(port, testCase) {
+
+        const { method, parameters, body, response } = testCase;
+        const query = {};
+        const headers = {};
+        const cookies = [];
+        let path = testCase.path;
+
+        for (const { parameter, value } of parameters) {
+
+            if (value === undefined) {
+
+                if (parameter.in === 'path') {
+                    return Promise.resolve([`has no example value for the path parameter "${parameter.name}".`]);
+                }
+                continue;
+            }
+
+            const serialized = value && typeof value === 'object' && !Array.isArray(value) ? JSON.stringify(value) : value;
+
+            switch (parameter.in) {
+                case 'path':
+                    path = path.replace(`{${parameter.name}}`, encodeURIComponent(serialized));
+                    break;
+                case 'query':
+                    query[parameter.name] = serialized;
+                    break;
+                case 'header':
+                    headers[parameter.name] = `${serialized}`;
+                    break;
+                case 'cookie':
+                    cookies.push(`${parameter.name}=${encodeURIComponent(serialized)}`);
+                    break;
+            }
+        }
+
+        if (cookies.length) {
+            headers['Cookie'] = cookies.join('; ');
+        }
+
+        let payload;
+
+        if (body) {
+
+            headers['Content-Type'] = body.mediaType;
+            payload = typeof body.value === 'string' ? body.value : (body.mediaType === 'application/x-www-form-urlencoded'
+                ? querystring.stringify(body.value)
+                : JSON.stringify(body.value));
+        }
+        if (response.mediaType) {
+            headers['Accept'] = response.mediaType;
+        }
+
+        const search = querystring.stringify(query);
+
+        return this.send({ port, method, path: search ? `${path}?${search}` : path, headers, body: payload })
+            .then(res => this.check(res, response), err => [`could not be sent: ${err.message}`]);
+    }
+
+    /**
+     *
+     * @param {{status: number, headers: {}, body: string}} res
+     * @param {{code: string, mediaType: string|null, schema: {}|null, example: *}} expected
+     * @returns {[string]}
+     */
+    check(res, expected) {
+
+        const status = `${res.status}`;
+        const matchesCode = /^[1-5]XX$/i.test(expected.code) ? status.charAt(0) === expected.code.charAt(0) : status === expected.code;
+
+        if (!matchesCode) {
+            return [`expected a ${expected.code} response, but got a ${status}: ${res.body.slice(0, 200)}`];
+        }
+
+        const errors = [];
+        let body = res.body;
+
+        if (isJson(res.headers['content-type'])) {
+            try {
+                body = JSON.parse(res.body);
+            } catch (err) {
+                return [`responded with invalid JSON: ${err.message}`];
+            }
+        }
+
+        if (expected.example !== undefined) {
+
+            const at = difference(expected.example, body);
+
+            if (at !== null) {
+                errors.push(`responded with a body that differs from the example at ${at}.`);
+            }
+        }
+
+        if (expected.schema) {
+
+            const validator = this.compile(expected.schema);
+
+            if (!validator({ body })) {
+                validator.errors.forEach(error => {
+
+                    errors.push(`responded with a body that does not match its schema: ${`${error.dataPath.replace(/^\.body/, '')} ${error.message}`.trim()}.`);
+                });
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Compiles a response schema the same way the endpoints do, but without defaults or coercion,
+     * so that the response is checked exactly as it was sent.
+     *
+     * @param {{}} schema
+     * @returns {function}
+     */
+    compile(schema) {
+
+        const endpoint = new Endpoint();
+
+        if (`${this.spec.openapi}`.startsWith('3.1')) {
+            endpoint.options.jsonSchemaDialect = '2020-12';
+            endpoint.options.Ajv2020 = this.options.Ajv2020;
+        }
+
+        return endpoint.compileProperties({ allErrors: true }, this.spec.components || {}, { body: schema }, ['body']);
+    }
+
+    /**
+     *
+     * @returns {Promise<http.Server>}
+     */
+    listen() {
+
+        return new Promise((resolve, reject) => {
+
+            const server = http.createServer(this.app);
+
+            server.on('error', reject);
+            server.listen(0, '127.0.0.1', () => resolve(server));
+        });
+    }
+
+    /**
+     *
+     * @param {{port: number, method: string, path: string, headers: {}, body: string|undefined}} request
+     * @returns {Promise<{status: number, headers: {}, body: string}>}
+     */
+    send({ port, method, path, headers, body }) {
+
+        return new Promise((resolve, reject) => {
+
+            const req = http.request({ host: '127.0.0.1', port, method: method.toUpperCase(), path, headers }, res => {
+
+                const chunks = [];
+
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() }));
+                res.on('error', reject);
+            });
+
+            req.setTimeout(this.options.timeout, () => req.destroy(new Error(`no response after ${this.options.timeout}ms.`)));
+            req.on('error', reject);
+            req.end(body);
+        });
+    }
+
+    /**
+     * A readable summary of the results, one line per operation, followed by what went wrong with each failing example.
+     *
+     * @param {[{operationId: string, method: string, path: string, passed: boolean, examples: []}]} results
+     * @returns {string}
+     */
+    static report(results) {
+
+        if (!results.length) {
+            return 'No operations have examples to verify.';
+        }
+
+        const failed = results.filter(result => !result.passed).length;
+        const lines = results.map(result => {
+
+            const heading = `${result.passed ? 'PASS' : 'FAIL'} ${result.operationId} (${result.method.toUpperCase()} ${result.path})`;
+            const errors = result.examples.filter(example => !example.passed).map(example => {
+
+                return example.errors.map(error => `    "${example.name}" ${error}`).join('\n');
+            });
+
+            return [heading].concat(errors).join('\n');
+        });
+
+        return `${lines.join('\n')}\n${results.length - failed} of ${results.length} operations passed.`;
+    }
+}
+
+module.exports = ContractVerifier;
@@ -0,0 +1,314 @@
+const { eachOperation, followReference, operationName } = require('./operations');
+
+const LOCATIONS = {
+    query: 'Query',
+    path: 'Params',
+    header: 'Headers',
+    cookie: 'Cookies'
+};
+
+function pascalCase(value) {
+
+    const name = `${value}`
+        .split(/[^A-Za-z0-9]+/)
+        .filter(word => !!word)
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join('');
+
+    return /^[0-9]/.test(name) ? `_${name}` : name;
+}
+
+function responseTypeName(name, code) {
+
+    const suffix = `${code}`.replace(/[^A-Za-z0-9]/g, '');
+
+    return `${name}Response${suffix.charAt(0).toUpperCase()}${suffix.slice(1)}`;
+}
+
+function propertyKey(name) {
+
+    return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+function indent(text, depth) {
+
+    const padding = '    '.repeat(depth);
+
+    return text.split('\n').map(line => line ? padding + line : line).join('\n');
+}
+
+function comment(schema, depth = 0) {
+
+    if (!schema || !schema.description) {
+        return '';
+    }
+
+    return indent(`/**\n${schema.description.split('\n').map(line => ` * ${line.replace(/\*\//g, '*\\/')}`).join('\n')}\n */\n`, depth);
+}
+
+class DeclarationGenerator {
+
+    /**
+     *
+     * @param {{}} spec
+     */
+    constructor(spec) {
+
+        this.spec = spec;
+    }
+
+    /**
+     * Generates the contents of a .d.ts file with an interface for each component schema,
+     * and request/response types for each operation.
+     *
+     * @returns {string}
+     */
+    generate() {
+
+        const schemas = (this.spec.components || {}).schemas || {};
+        const declarations = Object.keys(schemas).map(name => this.declare(this.schemaName(name), schemas[name]));
+
+        eachOperation(this.spec, (method, path, operation, pathItem) => {
+            declarations.push(this.declareOperation(method, path, operation, pathItem));
+        });
+
+        return `// This file was generated by express-primer. Do not edit it by hand.\n\n${declarations.join('\n\n')}\n`;
+    }
+
+    /**
+     *
+     * @param {string} method
+     * @param {string} path
+     * @param {{}} operation
+     * @param {{}} pathItem
+     * @returns {string}
+     */
+    declareOperation(method, path, operation, pathItem) {
+
+        const name = pascalCase(operationName(method, path, operation));
+        const parameters = (pathItem.parameters || []).concat(operation.parameters || []).map(p => followReference(this.spec, p));
+        const requestBody = followReference(this.spec, operation.requestBody);
+        const responses = operation.responses || {};
+        const declarations = [];
+        const request = [];
+
+        Object.keys(LOCATIONS).forEach(location => {
+
+            const found = parameters.filter(p => p.in === location);
+
+            if (!found.length) {
+                return;
+            }
+
+            const typeName = `${name}${LOCATIONS[location]}`;
+            const schema = {
+                type: 'object',
+                properties: found.reduce((properties, p) => Object.assign(properties, {
+                    [p.name]: Object.assign({ description: p.description }, p.schema)
+                }), {}),
+                required: found.filter(p => p.required).map(p => p.name)
+            };
+
+            declarations.push(this.declare(typeName, schema));
+            request.push(`${LOCATIONS[location].toLowerCase()}${schema.required.length ? '' : '?'}: ${typeName};`);
+        });
+
+        if (requestBody && requestBody.content) {
+
+            const typeName = `${name}Body`;
+            const types = Object.keys(requestBody.content).map(mediaType => this.type(requestBody.content[mediaType].schema || {}, 0));
+
+            declarations.push(`${comment(requestBody)}export type ${typeName} = ${Array.from(new Set(types)).join(' | ')};`);
+            request.push(`body${requestBody.required ? '' : '?'}: ${typeName};`);
+        }
+
+        declarations.push(`${comment(operation.summary ? { description: operation.summary } : null)}export interface ${name}Request {\n${indent(request.join('\n'), 1)}\n}`.replace('{\n\n}', '{}'));
+
+        const codes = Object.keys(responses);
+
+        codes.forEach(code => {
+
+            const response = followReference(this.spec, responses[code]) || {};
+            const content = response.content || {};
+            const types = Object.keys(content).map(mediaType => this.type(content[mediaType].schema || {}, 0));
+
+            declarations.push(`${comment(response)}export type ${responseTypeName(name, code)} = ${types.length ? Array.from(new Set(types)).join(' | ') : 'void'};`);
+        });
+
+        if (codes.length) {
+            declarations.push(`export type ${name}Response = ${codes.map(code => responseTypeName(name, code)).join(' | ')};`);
+        }
+
+        return declarations.join('\n\n');
+    }
+
+    /**
+     * Declares a named type: an interface for object schemas, or a type alias for anything else.
+     *
+     * @param {string} name
+     * @param {{}} schema
+     * @returns {string}
+     */
+    declare(name, schema) {
+
+        const type = this.type(schema, 0);
+
+        if (this.isPlainObject(schema) && type.startsWith('{')) {
+            return `${comment(schema)}export interface ${name} ${type}`;
+        }
+
+        return `${comment(schema)}export type ${name} = ${type};`;
+    }
+
+    /**
+     * Converts a schema into a TypeScript type expression.
+     *
+     * @param {{}} schema
+     * @param {number} depth
+     * @returns {string}
+     */
+    type(schema, depth) {
+
+        if (!schema || typeof schema !== 'object' || Object.keys(schema).length === 0) {
+            return 'unknown';
+        }
+
+        let type;
+
+        if (schema.$ref) {
+            type = this.refName(schema.$ref);
+        } else if (schema.const !== undefined) {
+            type = JSON.stringify(schema.const);
+        } else if (Array.isArray(schema.enum)) {
+            type = schema.enum.map(value => JSON.stringify(value)).join(' | ');
+        } else if (schema.oneOf || schema.anyOf) {
+            type = (schema.oneOf || schema.anyOf).map(s => this.wrap(this.type(s, depth))).join(' | ');
+        } else if (schema.allOf) {
+            type = schema.allOf.map(s => this.wrap(this.type(s, depth))).join(' & ');
+        } else if (Array.isArray(schema.type)) {
+            type = schema.type.map(t => this.wrap(this.type(Object.assign({}, schema, { type: t }), depth))).join(' | ');
+        } else {
+            type = this.primitive(schema, depth);
+        }
+
+        return schema.nullable ? `${this.wrap(type)} | null` : type;
+    }
+
+    /**
+     *
+     * @param {{}} schema
+     * @param {number} depth
+     * @returns {string}
+     */
+    primitive(schema, depth) {
+
+        switch (schema.type) {
+            case 'string':
+                return schema.format === 'binary' ? 'Blob | Buffer' : 'string';
+            case 'integer':
+            case 'number':
+                return 'number';
+            case 'boolean':
+                return 'boolean';
+            case 'null':
+                return 'null';
+            case 'array':
+                if (Array.isArray(schema.items)) {
+                    return `[${schema.items.map(item => this.type(item, depth)).join(', ')}]`;
+                }
+                return `Array<${this.type(schema.items, depth)}>`;
+            case 'object':
+            case undefined:
+                if (schema.properties || schema.additionalProperties !== undefined || schema.type === 'object') {
+                    return this.objectType(schema, depth);
+                }
+                return 'unknown';
+            default:
+                return 'unknown';
+        }
+    }
+
+    /**
+     *
+     * @param {{}} schema
+     * @param {number} depth
+     * @returns {string}
+     */
+    objectType(schema, depth) {
+
+        const properties = schema.properties || {};
+        const required = Array.isArray(schema.required) ? schema.required : [];
+        const members = Object.keys(properties).map(name => {
+
+            const property = properties[name] || {};
+            const optional = required.includes(name) ? '' : '?';
+            const readOnly = property.readOnly ? 'readonly ' : '';
+
+            return `${comment(property)}${readOnly}${propertyKey(name)}${optional}: ${this.type(property, depth + 1)};`;
+        });
+
+        if (schema.additionalProperties) {
+            const valueType = schema.additionalProperties === true ? 'unknown' : this.type(schema.additionalProperties, depth + 1);
+            members.push(`[key: string]: ${valueType};`);
+        }
+
+        if (!members.length) {
+            return schema.additionalProperties === false ? '{}' : 'Record<string, unknown>';
+        }
+
+        return `{\n${indent(members.join('\n'), 1)}\n}`;
+    }
+
+    /**
+     *
+     * @param {{}} schema
+     * @returns {boolean}
+     */
+    isPlainObject(schema) {
+
+        return !!schema
+            && !schema.$ref && !schema.oneOf && !schema.anyOf && !schema.allOf && !schema.enum && !schema.nullable
+            && (schema.type === 'object' || (schema.type === undefined && !!schema.properties));
+    }
+
+    /**
+     *
+     * @param {string} type
+     * @returns {string}
+     */
+    wrap(type) {
+
+        return /[|&]/.test(type) && !type.startsWith('{') ? `(${type})` : type;
+    }
+
+    /**
+     *
+     * @param {string} ref
+     * @returns {string}
+     */
+    refName(ref) {
+
+        const match = ref.match(/^#\/components\/schemas\/([^/]+)$/);
+
+        // the name is a JSON pointer segment, e.g. "Foo~1Bar" for the component named "Foo/Bar".
+        if (match) {
+            return this.schemaName(decodeURIComponent(match[1]).replace(/~1/g, '/').replace(/~0/g, '~'));
+        }
+
+        const resolved = followReference(this.spec, { $ref: ref });
+
+        return resolved && resolved !== this.spec ? this.type(resolved, 0) : 'unknown';
+    }
+
+    /**
+     *
+     * @param {string} name
+     * @returns {string}
+     */
+    schemaName(name) {
+
+        return pascalCase(name);
+    }
+}
+
+module.exports = DeclarationGenerator;
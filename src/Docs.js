@@ -0,0 +1,379 @@
+const fs = require('fs');
+const path = require('path');
+
+const { eachOperation, followReference } = require('./operations');
+
+const CONSTRAINTS = [
+    'format', 'default', 'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf',
+    'minLength', 'maxLength', 'pattern', 'minItems', 'maxItems', 'uniqueItems', 'minProperties', 'maxProperties'
+];
+
+function escape(value) {
+
+    return `${value === undefined || value === null ? '' : value}`
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function slug(value) {
+
+    return `${value}`.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function readAsset(name) {
+
+    return fs.readFileSync(path.resolve(__dirname, 'assets', name), 'utf8');
+}
+
+class Docs {
+
+    /**
+     *
+     * @param {{}} spec
+     */
+    constructor(spec) {
+
+        this.spec = spec;
+    }
+
+    /**
+     * Renders the complete, self-contained HTML page.
+     *
+     * @returns {string}
+     */
+    render() {
+
+        const { info = {}, components = {} } = this.spec;
+        const groups = this.groupByTag();
+        const schemas = components.schemas || {};
+        const servers = this.spec.servers || [];
+        const baseUrl = servers.length ? servers[0].url : '';
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escape(info.title)}</title>
+<style>${readAsset('docs.css')}</style>
+</head>
+<body data-base-url="${escape(baseUrl)}">
+<nav class="sidebar">
+<h1>${escape(info.title)} <small>${escape(info.version)}</small></h1>
+${groups.map(group => `<h2><a href="#tag-${slug(group.name)}">${escape(group.name)}</a></h2>
+<ul>${group.operations.map(op => `<li><a href="#${op.id}"><span class="method method-${op.method}">${op.method}</span> ${escape(op.path)}</a></li>`).join('')}</ul>`).join('\n')}
+${Object.keys(schemas).length ? `<h2><a href="#schemas">Schemas</a></h2>
+<ul>${Object.keys(schemas).map(name => `<li><a href="#schema-${slug(name)}">${escape(name)}</a></li>`).join('')}</ul>` : ''}
+</nav>
+<main>
+<header>
+<h1>${escape(info.title)} <small>${escape(info.version)}</small></h1>
+${info.description ? `<p>${escape(info.description)}</p>` : ''}
+</header>
+${groups.map(group => `<section id="tag-${slug(group.name)}">
+<h2>${escape(group.name)}</h2>
+${group.description ? `<p>${escape(group.description)}</p>` : ''}
+${group.operations.map(op => this.renderOperation(op)).join('\n')}
+</section>`).join('\n')}
+${Object.keys(schemas).length ? `<section id="schemas">
+<h2>Schemas</h2>
+${Object.keys(schemas).map(name => `<article class="schema" id="schema-${slug(name)}">
+<h3>${escape(name)}</h3>
+${schemas[name].description ? `<p>${escape(schemas[name].description)}</p>` : ''}
+${this.renderSchema(schemas[name])}
+</article>`).join('\n')}
+</section>` : ''}
+</main>
+<script>${readAsset('docs.js')}</script>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Groups every operation by its first tag, preserving the order in which tags are first seen.
+     *
+     * @returns {[{name: string, description: string, operations: []}]}
+     */
+    groupByTag() {
+
+        const groups = new Map();
+        const declaredTags = this.spec.tags || [];
+
+        declaredTags.forEach(tag => groups.set(tag.name, { name: tag.name, description: tag.description, operations: [] }));
+
+        eachOperation(this.spec, (method, uri, operation, pathItem) => {
+
+            const name = (operation.tags && operation.tags[0]) || 'Default';
+
+            if (!groups.has(name)) {
+                groups.set(name, { name, operations: [] });
+            }
+
+            groups.get(name).operations.push({
+                id: `operation-${slug(`${method} ${uri}`)}`,
+                method,
+                path: uri,
+                operation,
+                parameters: (pathItem.parameters || []).concat(operation.parameters || []).map(p => followReference(this.spec, p)).filter(p => !!p)
+            });
+        });
+
+        return Array.from(groups.values()).filter(group => group.operations.length);
+    }
+
+    /**
+     *
+     * @param {{id: string, method: string, path: string, operation: {}, parameters: []}} op
+     * @returns {string}
+     */
+    renderOperation(op) {
+
+        const { operation } = op;
+
+        return `<details class="operation" id="${op.id}">
+<summary><span class="method method-${op.method}">${op.method}</span> <code>${escape(op.path)}</code> <span class="summary">${escape(operation.summary)}</span>${operation.deprecated ? ' <span class="deprecated">deprecated</span>' : ''}</summary>
+${operation.description ? `<p>${escape(operation.description)}</p>` : ''}
+${operation.operationId ? `<p class="operation-id">Operation ID: <code>${escape(operation.operationId)}</code></p>` : ''}
+${this.renderParameters(op.parameters)}
+${this.renderRequestBody(followReference(this.spec, operation.requestBody))}
+${this.renderResponses(operation.responses || {})}
+${this.renderConsole(op)}
+</details>`;
+    }
+
+    /**
+     *
+     * @param {[]} parameters
+     * @returns {string}
+     */
+    renderParameters(parameters) {
+
+        if (!parameters.length) {
+            return '';
+        }
+
+        return `<h4>Parameters</h4>
+<table>
+<thead><tr><th>Name</th><th>In</th><th>Type</th><th>Required</th><th>Description</th><th>Constraints</th></tr></thead>
+<tbody>${parameters.map(parameter => {
+
+            const schema = followReference(this.spec, parameter.schema || {}) || {};
+
+            return `<tr><td><code>${escape(parameter.name)}</code></td><td>${escape(parameter.in)}</td><td>${this.renderType(parameter.schema || {})}</td><td>${parameter.required ? 'yes' : 'no'}</td><td>${escape(parameter.description || schema.description)}</td><td>${this.renderConstraints(schema)}</td></tr>`;
+
+        }).join('')}</tbody>
+</table>`;
+    }
+
+    /**
+     *
+     * @param {{}|null} requestBody
+     * @returns {string}
+     */
+    renderRequestBody(requestBody) {
+
+        if (!requestBody) {
+            return '';
+        }
+
+        return `<h4>Request body${requestBody.required ? ' <small>(required)</small>' : ''}</h4>
+${requestBody.description ? `<p>${escape(requestBody.description)}</p>` : ''}
+${this.renderContent(requestBody.content || {})}`;
+    }
+
+    /**
+     *
+     * @param {{}} responses
+     * @returns {string}
+     */
+    renderResponses(responses) {
+
+        const codes = Object.keys(responses);
+
+        if (!codes.length) {
+            return '';
+        }
+
+        return `<h4>Responses</h4>
+${codes.map(code => {
+
+            const response = followReference(this.spec, responses[code]);
+
+            if (!response) {
+                // a reference that leads nowhere is shown as it is, rather than breaking the whole page.
+                return `<div class="response">
+<h5><span class="code code-${escape(`${code}`.charAt(0))}xx">${escape(code)}</span> <code>${escape((responses[code] || {}).$ref)}</code></h5>
+</div>`;
+            }
+
+            return `<div class="response">
+<h5><span class="code code-${escape(`${code}`.charAt(0))}xx">${escape(code)}</span> ${escape(response.description)}</h5>
+${this.renderContent(response.content || {})}
+</div>`;
+
+        }).join('\n')}`;
+    }
+
+    /**
+     *
+     * @param {{}} content
+     * @returns {string}
+     */
+    renderContent(content) {
+
+        return Object.keys(content).map(mediaType => `<p class="media-type"><code>${escape(mediaType)}</code></p>
+${this.renderSchema(content[mediaType].schema || {})}`).join('\n');
+    }
+
+    /**
+     * Renders a schema as a table of its (possibly nested) properties.
+     *
+     * @param {{}} schema
+     * @returns {string}
+     */
+    renderSchema(schema) {
+
+        const rows = this.schemaRows(schema, '', []);
+
+        if (!rows.length) {
+            return `<p class="schema-type">Type: ${this.renderType(schema)}</p>`;
+        }
+
+        return `<p class="schema-type">Type: ${this.renderType(schema)}</p>
+<table>
+<thead><tr><th>Property</th><th>Type</th><th>Required</th><th>Description</th><th>Constraints</th></tr></thead>
+<tbody>${rows.join('')}</tbody>
+</table>`;
+    }
+
+    /**
+     *
+     * @param {{}} schema
+     * @param {string} prefix
+     * @param {[]} seen
+     * @returns {string[]}
+     */
+    schemaRows(schema, prefix, seen) {
+
+        if (!schema || schema.$ref || seen.includes(schema)) {
+            return [];
+        }
+
+        if (schema.type === 'array' && schema.items && !schema.items.$ref) {
+            return this.schemaRows(schema.items, prefix ? `${prefix}[]` : '', seen.concat([schema]));
+        }
+
+        const properties = schema.properties || {};
+        const required = Array.isArray(schema.required) ? schema.required : [];
+
+        return Object.keys(properties).reduce((rows, name) => {
+
+            const property = properties[name] || {};
+            const resolved = followReference(this.spec, property) || {};
+            const fullName = prefix ? `${prefix}.${name}` : name;
+
+            rows.push(`<tr><td><code>${escape(fullName)}</code></td><td>${this.renderType(property)}</td><td>${required.includes(name) ? 'yes' : 'no'}</td><td>${escape(resolved.description)}</td><td>${this.renderConstraints(resolved)}</td></tr>`);
+
+            return rows.concat(this.schemaRows(property, fullName, seen.concat([schema])));
+
+        }, []);
+    }
+
+    /**
+     *
+     * @param {{}} schema
+     * @returns {string}
+     */
+    renderType(schema) {
+
+        if (!schema) {
+            return 'any';
+        }
+        if (schema.$ref) {
+            const name = schema.$ref.split('/').pop();
+            return `<a href="#schema-${slug(name)}">${escape(name)}</a>`;
+        }
+        if (schema.type === 'array') {
+            return `array of ${this.renderType(schema.items)}`;
+        }
+        if (schema.oneOf || schema.anyOf) {
+            return (schema.oneOf || schema.anyOf).map(s => this.renderType(s)).join(' | ');
+        }
+        if (schema.allOf) {
+            return schema.allOf.map(s => this.renderType(s)).join(' &amp; ');
+        }
+
+        const type = Array.isArray(schema.type) ? schema.type.join(' | ') : (schema.type || (schema.properties ? 'object' : 'any'));
+
+        return escape(schema.nullable ? `${type} | null` : type);
+    }
+
+    /**
+     *
+     * @param {{}} schema
+     * @returns {string}
+     */
+    renderConstraints(schema) {
+
+        const constraints = CONSTRAINTS
+            .filter(key => schema[key] !== undefined)
+            .map(key => `${key}: ${JSON.stringify(schema[key])}`);
+
+        if (schema.enum) {
+            constraints.unshift(`one of: ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+        }
+
+        return constraints.map(c => `<code>${escape(c)}</code>`).join(' ');
+    }
+
+    /**
+     * Renders the "try it" form, which is driven by the bundled docs script.
+     *
+     * @param {{id: string, method: string, path: string, operation: {}, parameters: []}} op
+     * @returns {string}
+     */
+    renderConsole(op) {
+
+        const requestBody = followReference(this.spec, op.operation.requestBody);
+        const mediaTypes = Object.keys((requestBody && requestBody.content) || {});
+        const example = mediaTypes.length ? this.example(requestBody.content[mediaTypes[0]]) : undefined;
+
+        return `<form class="console" data-method="${escape(op.method)}" data-path="${escape(op.path)}">
+<h4>Try it</h4>
+${op.parameters.map(parameter => `<label><span><code>${escape(parameter.name)}</code> <small>${escape(parameter.in)}${parameter.required ? ', required' : ''}</small></span>
+<input name="${escape(parameter.name)}" data-in="${escape(parameter.in)}"${parameter.required ? ' required' : ''}></label>`).join('\n')}
+${mediaTypes.length ? `<label><span>Content-Type</span>
+<select name="content-type">${mediaTypes.map(type => `<option>${escape(type)}</option>`).join('')}</select></label>
+<label><span>Body</span>
+<textarea name="body" rows="6">${escape(example === undefined ? '' : JSON.stringify(example, null, 2))}</textarea></label>` : ''}
+<button type="submit">Send request</button>
+<pre class="console-output" hidden></pre>
+</form>`;
+    }
+
+    /**
+     *
+     * @param {{}} mediaType
+     * @returns {*}
+     */
+    example(mediaType) {
+
+        if (mediaType.example !== undefined) {
+            return mediaType.example;
+        }
+
+        const schema = followReference(this.spec, mediaType.schema || {}) || {};
+
+        if (schema.example !== undefined) {
+            return schema.example;
+        }
+
+        return schema.default;
+    }
+}
+
+module.exports = Docs;
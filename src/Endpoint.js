@@ -1,13 +1,89 @@
-const Ajv = require('ajv');
+const express = require('express');
 const EndpointError = require('./EndpointError');
+const MultipartParser = require('./MultipartParser');
 const ValidationError = require('./ValidationError');
 const Response = require('./Response');
+const SchemaBuilder = require('./SchemaBuilder');
+const Serializers = require('./Serializers');
+const { createAjv } = require('./ajv');
+const { followReference } = require('./operations');
+
+const MULTIPART = 'multipart/form-data';
+
+/**
+ * Wraps schemas as the properties of the root schema that gets compiled,
+ * lifting their $defs to the root so that their "#/$defs/..." references still resolve.
+ */
+function wrapSchemas(components, properties, required) {
+
+    const $defs = Object.keys(properties)
+        .filter(property => properties[property] && properties[property].$defs)
+        .reduce(($defs, property) => Object.assign($defs, properties[property].$defs), {});
+
+    return Object.assign({ components }, Object.keys($defs).length ? { $defs } : {}, {
+        type: 'object',
+        properties,
+        required
+    });
+}
+
+function isMediaTypeMap(schema) {
+
+    const keys = Object.keys(schema || {});
+
+    return keys.length > 0 && keys.every(key => key.includes('/'));
+}
+
+function hasSeparateBodyValidation(schema) {
+
+    return isMediaTypeMap(schema) || (!!schema && schema.contentMediaType === MULTIPART);
+}
+
+/**
+ * Lets an endpoint's schema methods (and operation() and callbacks()) return SchemaBuilders anywhere in what they return,
+ * by building them in the endpoint's JSON Schema dialect whenever the methods are called.
+ */
+function acceptSchemaBuilders(endpoint) {
+
+    const names = ['operation', 'callbacks'];
+
+    for (let prototype = Object.getPrototypeOf(endpoint); prototype && prototype !== Object.prototype; prototype = Object.getPrototypeOf(prototype)) {
+
+        Object.getOwnPropertyNames(prototype)
+            .filter(name => /Schemas?$/.test(name) && !names.includes(name) && typeof prototype[name] === 'function')
+            .forEach(name => names.push(name));
+    }
+
+    names.forEach(name => {
+
+        const method = endpoint[name];
+
+        endpoint[name] = (...args) => SchemaBuilder.toSchema(method.apply(endpoint, args), endpoint.options.jsonSchemaDialect, endpoint.options.schemaReferences);
+    });
+}
+
+function runMiddleware(stack, req, res, done) {
+
+    let index = 0;
+
+    const advance = err => {
+
+        if (err || index === stack.length) {
+            return done(err);
+        }
+        stack[index++](req, res, advance);
+    };
+
+    advance();
+}
 
 class Endpoint {
 
     constructor() {
 
         this.options = this.constructor.defaultOptions();
+
+        acceptSchemaBuilders(this);
     }
 
     /**
@@ -25,6 +101,7 @@ class Endpoint {
         return null;
     }
     /**
+     * Either a single schema, or a map of media types to schemas.
      *
      * @returns {object|null}
      */
@@ -60,12 +137,43 @@ class Endpoint {
         return null;
     }
     /**
+     * A map of response codes to either a single schema, or a map of media types to schemas.
      *
      * @returns {object|null}
      */
     responseCodeSchemas() {
         return null;
     }
+    /**
+     * Requests this endpoint will later send to the client, keyed by name, e.g.
+     * { paymentSucceeded: { url: '{$request.body#/callbackUrl}', method: 'post', bodySchema: {...} } }.
+     * Each can also have an operation, which is merged into the callback's operation in the spec.
+     * Send them with a CallbackDispatcher.
+     *
+     * @returns {object|null}
+     */
+    callbacks() {
+        return null;
+    }
+    /**
+     * The errors the handler can throw, as EndpointError subclasses or response codes, e.g. [NotFoundError, 409].
+     *
+     * @returns {Array|null}
+     */
+    errors() {
+        return null;
+    }
+    /**
+     * Named examples of requests and their responses, e.g.
+     * { rex: { summary: 'An existing pet', request: { params: { petId: 1 } }, response: { code: 200, body: { id: 1, name: 'Rex' } } } }.
+     * A request can have query, params, headers, cookies and body (with an optional mediaType),
+     * and a response can have a code (defaulting to options.defaultResponseCode), a mediaType and a body.
+     *
+     * @returns {object|null}
+     */
+    examples() {
+        return null;
+    }
 
     /**
      * @returns {{type: string, properties: {}, required: []}}
@@ -74,7 +182,12 @@ class Endpoint {
 
         return this.options.requestPropertiesToValidate.reduce((schema, property) => {
 
-            const propertySchema = this[`${property}Schema`]();
+            let propertySchema = this[`${property}Schema`]();
+
+            if (property === 'body' && hasSeparateBodyValidation(propertySchema)) {
+                propertySchema = null; // validated separately, based on the request's Content-Type.
+            }
+
             if (propertySchema) {
                 schema.required.push(property);
             }
@@ -98,28 +211,446 @@ class Endpoint {
         throw new Error('Please provide a handler for this endpoint.');
     }
 
+    /**
+     * Maps the response code of each of errors() to the component describing it, "EndpointError" or "ValidationError".
+     * A 400 ValidationError is included whenever the request has a schema, since it can fail validation.
+     *
+     * @returns {{}}
+     */
+    errorResponses() {
+
+        const responses = (this.errors() || []).reduce((responses, error) => {
+
+            if (typeof error === 'function') {
+
+                const instance = new error();
+
+                responses[`${instance.code}`] = instance instanceof ValidationError ? 'ValidationError' : 'EndpointError';
+
+            } else {
+                responses[`${error}`] = responses[`${error}`] || 'EndpointError';
+            }
+
+            return responses;
+
+        }, {});
+
+        const hasRequestSchema = this.options.requestPropertiesToValidate.some(property => !!this[`${property}Schema`]());
+
+        if (hasRequestSchema && !responses['400']) {
+            responses['400'] = 'ValidationError';
+        }
+
+        return responses;
+    }
+
+    /**
+     * Creates a function that reports errors thrown by the handler with a code that is neither in errors() nor responseCodeSchemas(),
+     * when options.reportUndeclaredErrors is on. They are passed to options.onUndeclaredError, or logged.
+     *
+     * @returns {function(req, Error)}
+     */
+    createErrorChecker() {
+
+        const { reportUndeclaredErrors, onUndeclaredError } = this.options;
+        const declared = Object.keys(this.responseCodeSchemas() || {}).concat(Object.keys(this.errorResponses()));
+        const operation = this.operation() || {};
+        const report = onUndeclaredError || (({ method, path, code, error }) => {
+
+            console.warn(`${method} ${path} responded with a ${code} error, which is not declared in its errors(): ${error.message}`);
+        });
+
+        return (req, error) => {
+
+            if (!reportUndeclaredErrors || !(error instanceof EndpointError) || declared.includes(`${error.code}`)) {
+                return;
+            }
+
+            report({
+                operation,
+                method: req.method,
+                path: req.route ? req.route.path : req.path,
+                code: error.code,
+                error,
+                req
+            });
+        };
+    }
+
+    /**
+     * Wraps whatever the handler returned in a Response, unless it already is one.
+     *
+     * @param {*} body
+     * @param req
+     * @returns {Response}
+     */
+    createResponse(body, req) {
+
+        if (body instanceof Response) {
+            return body;
+        }
+
+        return new Response(body, this.options.defaultResponseCode, this.options.defaultResponseHeaders);
+    }
+
+    /**
+     * Compiles a validator for an object with the given properties, e.g. { body }.
+     *
+     * @param {{}} ajvOptions
+     * @param {{}} components
+     * @param {{}} properties
+     * @param {string[]} required
+     * @returns {function}
+     */
+    compileProperties(ajvOptions, components, properties, required) {
+
+        return createAjv(ajvOptions, this.options).compile(wrapSchemas(components, properties, required));
+    }
+
     createRequestValidator(components) {
 
-        const ajv = new Ajv(this.options.requestAjvOptions);
+        const ajv = createAjv(this.options.requestAjvOptions, this.options);
         const requestSchema = this.requestSchema() || {};
 
-        return ajv.compile(Object.assign({ components }, requestSchema));
+        return ajv.compile(Object.assign(wrapSchemas(components, requestSchema.properties || {}, requestSchema.required || []), requestSchema));
+    }
+
+    /**
+     * Creates one validator per media type when bodySchema() is a map of media types to schemas,
+     * or when it describes a multipart/form-data body.
+     *
+     * @param {{}} components
+     * @returns {{}|null}
+     */
+    createRequestBodyValidators(components) {
+
+        const bodySchema = this.bodySchema();
+
+        if (!this.options.requestPropertiesToValidate.includes('body') || !hasSeparateBodyValidation(bodySchema)) {
+            return null;
+        }
+
+        const schemas = this.constructor.mediaTypeSchemas(bodySchema, this.options.defaultRequestBodyMediaType);
+
+        return Object.keys(schemas).reduce((validators, mediaType) => {
+
+            const schema = mediaType === MULTIPART
+                ? MultipartParser.validationSchema(followReference({ components }, schemas[mediaType]))
+                : schemas[mediaType];
+
+            validators[mediaType] = this.compileProperties(this.options.requestAjvOptions, components, { body: schema }, ['body']);
+
+            return validators;
+
+        }, {});
     }
 
+    /**
+     * Checks each of examples() against the schemas it should match, with the same Ajv options as real requests and responses.
+     *
+     * @param {{}} components
+     * @returns {[{name: string, message: string}]}
+     */
+    exampleErrors(components) {
+
+        const examples = this.examples() || {};
+        const names = Object.keys(examples);
+
+        if (!names.length) {
+            return [];
+        }
+
+        const requestValidator = this.createRequestValidator(components);
+        const requestBodyValidators = this.createRequestBodyValidators(components);
+        const responseValidators = this.createResponseValidators(components);
+        const copy = value => value === undefined ? value : JSON.parse(JSON.stringify(value));
+        const describe = (name, part, errors) => errors.map(error => ({ name, message: `${part}${error.dataPath} ${error.message}` }));
+
+        return names.reduce((errors, name) => {
+
+            const { request, response } = examples[name] || {};
+
+            if (request) {
+
+                const headers = Object.keys(request.headers || {}).reduce((headers, header) => {
+
+                    headers[header.toLowerCase()] = request.headers[header];
+                    return headers;
+
+                }, {});
+                const data = copy({
+                    query: request.query || {},
+                    params: request.params || {},
+                    headers,
+                    cookies: request.cookies || {},
+                    signedCookies: request.signedCookies || {},
+                    body: request.body
+                });
+
+                if (!requestValidator(data)) {
+                    errors = errors.concat(describe(name, 'request', requestValidator.errors));
+                }
+
+                if (requestBodyValidators && request.body !== undefined) {
+
+                    const mediaTypes = Object.keys(requestBodyValidators);
+                    const bodyValidator = requestBodyValidators[request.mediaType || mediaTypes[0]];
+
+                    if (!bodyValidator) {
+                        errors.push({ name, message: `request has a ${request.mediaType} body, which is not one of ${mediaTypes.join(', ')}.` });
+                    } else if (!bodyValidator({ body: copy(request.body) })) {
+                        errors = errors.concat(describe(name, 'request', bodyValidator.errors));
+                    }
+                }
+            }
+
+            if (response) {
+
+                const code = `${response.code || this.options.defaultResponseCode}`;
+                const validators = responseValidators[code];
+                const mediaTypes = Object.keys(validators || {});
+                const validator = validators && validators[response.mediaType || mediaTypes[0]];
+
+                if (!validators) {
+                    errors.push({ name, message: `response has the code ${code}, which is not in responseCodeSchemas().` });
+                } else if (!validator) {
+                    errors.push({ name, message: `response has a ${response.mediaType} body, which is not one of ${mediaTypes.join(', ')}.` });
+                } else if (!validator(copy(response.body))) {
+                    errors = errors.concat(describe(name, 'response.body', validator.errors));
+                }
+            }
+
+            return errors;
+
+        }, []);
+    }
+
+    /**
+     * Creates body parsers for each of the media types accepted by bodySchema().
+     *
+     * @param {{}} [components]
+     * @returns {function[]}
+     */
+    createBodyParsers(components = {}) {
+
+        const schemas = this.constructor.mediaTypeSchemas(this.bodySchema(), this.options.defaultRequestBodyMediaType);
+
+        if (!schemas || !this.options.parseRequestBody) {
+            return [];
+        }
+
+        return Object.keys(schemas).reduce((parsers, type) => {
+
+            if (type === 'application/json' || type.endsWith('+json')) {
+                parsers.push(express.json({ type }));
+            } else if (type === 'application/x-www-form-urlencoded') {
+                parsers.push(express.urlencoded({ type, extended: true }));
+            } else if (type.startsWith('text/')) {
+                parsers.push(express.text({ type }));
+            } else if (type === MULTIPART) {
+                const parser = new MultipartParser(followReference({ components }, schemas[type]), this.options.multipartSizeLimit);
+                parsers.push(parser.middleware());
+            }
+
+            return parsers;
+
+        }, []);
+    }
+
+    /**
+     * Creates a validator for each media type of each response code.
+     *
+     * @param {{}} components
+     * @returns {{}}
+     */
     createResponseValidators(components) {
 
         const schemas = this.responseCodeSchemas() || {};
 
         return Object.keys(schemas).reduce((validators, code) => {
 
-            const ajv = new Ajv(this.options.responseAjvOptions);
-            validators[`${code}`] = ajv.compile(Object.assign({ components }, schemas[code]));
+            const mediaTypeSchemas = this.constructor.mediaTypeSchemas(schemas[code], this.options.defaultResponseMediaType);
+
+            validators[`${code}`] = Object.keys(mediaTypeSchemas).reduce((mediaTypeValidators, mediaType) => {
+
+                const ajv = createAjv(this.options.responseAjvOptions, this.options);
+                mediaTypeValidators[mediaType] = ajv.compile(Object.assign({ components }, mediaTypeSchemas[mediaType]));
+
+                return mediaTypeValidators;
+
+            }, {});
+
+            return validators;
+
+        }, {});
+    }
+
+    /**
+     * Creates a validator for the headers declared in options.responseHeaders for each response code.
+     * Header names are matched case-insensitively, so the validators expect { headers } with lowercased names.
+     *
+     * @param {{}} components
+     * @returns {{}}
+     */
+    createResponseHeaderValidators(components) {
+
+        const responseHeaders = this.options.responseHeaders || {};
+
+        return Object.keys(responseHeaders).reduce((validators, code) => {
+
+            const headers = responseHeaders[code] || {};
+            const schema = { type: 'object', properties: {}, required: [] };
+
+            Object.keys(headers).forEach(name => {
+
+                const header = followReference({ components }, headers[name]) || {};
+
+                schema.properties[name.toLowerCase()] = header.schema || {};
+
+                if (header.required) {
+                    schema.required.push(name.toLowerCase());
+                }
+            });
+
+            validators[`${code}`] = this.compileProperties(this.options.responseAjvOptions, components, { headers: schema }, ['headers']);
 
             return validators;
 
         }, {});
     }
 
+    /**
+     * The default values of the headers declared in options.responseHeaders, for each response code.
+     *
+     * @param {{}} components
+     * @returns {{}}
+     */
+    responseHeaderDefaults(components) {
+
+        const responseHeaders = this.options.responseHeaders || {};
+
+        return Object.keys(responseHeaders).reduce((defaults, code) => {
+
+            const headers = responseHeaders[code] || {};
+
+            defaults[`${code}`] = Object.keys(headers).reduce((values, name) => {
+
+                const header = followReference({ components }, headers[name]) || {};
+                const schema = followReference({ components }, header.schema) || {};
+
+                if (schema.default !== undefined) {
+                    values[name] = schema.default;
+                }
+
+                return values;
+
+            }, {});
+
+            return defaults;
+
+        }, {});
+    }
+
+    /**
+     *
+     * @returns {Serializers}
+     */
+    createSerializers() {
+
+        return new Serializers(Object.assign(Serializers.defaults(), this.options.serializers));
+    }
+
+    /**
+     * Picks the media type of a response, based on the request's Accept header.
+     * A Content-Type header set on the response itself takes precedence.
+     *
+     * @param req
+     * @param {Response} response
+     * @param {string[]} mediaTypes
+     * @returns {string}
+     */
+    negotiate(req, response, mediaTypes) {
+
+        const contentType = Object.keys(response.headers || {}).find(header => header.toLowerCase() === 'content-type');
+
+        if (contentType) {
+            return response.headers[contentType].split(';')[0].trim();
+        }
+
+        const mediaType = req.accepts(mediaTypes);
+
+        if (!mediaType) {
+            throw new EndpointError('Not acceptable.', 406, { available: mediaTypes });
+        }
+
+        return mediaType;
+    }
+
+    /**
+     * Creates a function that validates a response according to the responseValidation mode:
+     * "enforce" throws a ValidationError, "report" lets the response through and passes the mismatch to onResponseMismatch,
+     * and "off" skips validation. Only a responseValidationSampleRate fraction of responses are validated.
+     * The function returns another one that does the reporting, to be called once the response is sent.
+     *
+     * @returns {function(req, Response, string|null, function|undefined, function|undefined): function}
+     */
+    createResponseChecker() {
+
+        const { validateResponse, responseValidation, responseValidationSampleRate, onResponseMismatch } = this.options;
+        const mode = responseValidation || (validateResponse ? 'enforce' : 'off');
+        const operation = this.operation() || {};
+        const reportMismatch = onResponseMismatch || (({ method, path, code, errors }) => {
+
+            console.warn(`The ${code} response of ${method} ${path} did not match its schema: ${errors.map(e => `${e.dataPath} ${e.message}`).join(', ')}`);
+        });
+        const nothing = () => {};
+
+        if (!['enforce', 'report', 'off'].includes(mode)) {
+            throw new Error(`Unknown responseValidation mode: ${mode}. Please use "enforce", "report" or "off".`);
+        }
+
+        return (req, response, mediaType, bodyValidator, headersValidator) => {
+
+            if (mode === 'off' || (!bodyValidator && !headersValidator) || Math.random() >= responseValidationSampleRate) {
+                return nothing;
+            }
+
+            // in report mode, validating can fill in defaults or coerce types, which must not change what gets sent.
+            const body = mode === 'report' && response.body && typeof response.body === 'object' && !Buffer.isBuffer(response.body)
+                ? JSON.parse(JSON.stringify(response.body))
+                : response.body;
+            const headers = Object.keys(response.headers || {}).reduce((headers, name) => {
+
+                headers[name.toLowerCase()] = response.headers[name];
+                return headers;
+
+            }, {});
+
+            const errors = []
+                .concat(bodyValidator && !bodyValidator(body) ? bodyValidator.errors : [])
+                .concat(headersValidator && !headersValidator({ headers }) ? headersValidator.errors : []);
+
+            if (!errors.length) {
+                return nothing;
+            }
+            if (mode === 'enforce') {
+                throw new ValidationError(errors, 'Response was not in the expected format.', 500);
+            }
+
+            const mismatch = {
+                operation,
+                method: req.method,
+                path: req.route ? req.route.path : req.path,
+                code: response.code,
+                mediaType,
+                errors,
+                req
+            };
+
+            return () => reportMismatch(mismatch);
+        };
+    }
+
     /**
      *
      * @param {{}} [components]
@@ -127,40 +658,124 @@ class Endpoint {
      */
     createMiddleware(components = {}) {
 
+        const bodyParsers = this.createBodyParsers(components);
         const requestValidator = this.createRequestValidator(components);
+        const requestBodyValidators = this.createRequestBodyValidators(components);
         const responseValidators = this.createResponseValidators(components);
-        const { defaultResponseCode, defaultResponseHeaders, validateResponse } = this.options;
+        const responseHeaderValidators = this.createResponseHeaderValidators(components);
+        const responseHeaderDefaults = this.responseHeaderDefaults(components);
+        const responseSchemas = this.responseCodeSchemas() || {};
+        const serializers = this.createSerializers();
+        const { defaultRequestBodyMediaType } = this.options;
+        const checkResponse = this.createResponseChecker();
+        const checkError = this.createErrorChecker();
+
+        const validateRequestBody = req => {
+
+            const mediaTypes = Object.keys(requestBodyValidators);
+
+            if (req.is(mediaTypes) === false) {
+                return new EndpointError('Unsupported media type.', 415, { supported: mediaTypes });
+            }
+
+            const mediaType = mediaTypes.find(type => req.is(type))
+                || (mediaTypes.includes(defaultRequestBodyMediaType) ? defaultRequestBodyMediaType : mediaTypes[0]);
+            const bodyValidator = requestBodyValidators[mediaType];
+
+            return bodyValidator(req) ? null : Object.assign(new ValidationError(bodyValidator.errors), { schema: bodyValidator.schema });
+        };
 
-        return (req, res, next) => {
+        return (req, res, next) => runMiddleware(bodyParsers, req, res, err => {
+
+            if (err && !(err instanceof EndpointError) && err.status >= 400 && err.status < 500) {
+                // body-parser's errors (malformed JSON, a body over the limit...) are the client's fault, not the server's.
+                return next(new EndpointError(err.message, err.status));
+            }
+
+            if (err) {
+                return next(err);
+            }
 
             if (!requestValidator(req)) {
-                return next(new ValidationError(requestValidator.errors));
+                // the schema lets a ValidationErrorFormatter find each field's x-errorMessage.
+                return next(Object.assign(new ValidationError(requestValidator.errors), { schema: requestValidator.schema }));
+            }
+
+            if (requestBodyValidators) {
+
+                const bodyError = validateRequestBody(req);
+
+                if (bodyError) {
+                    return next(bodyError);
+                }
             }
 
             Promise.resolve(req)
                 .then(req => this.handler(req))
-                .then(body => {
+                .then(body => this.createResponse(body, req))
+                .then(/** @param {Response} response */ response => {
 
-                    if (body instanceof Response) {
-                        return body;
+                    const code = `${response.code}`;
+                    const validators = responseValidators[code] || {};
+                    const mediaTypes = Object.keys(validators);
+                    // only the media types the body can be serialized as are offered, unless none of them can be.
+                    const servable = typeof response.send === 'function' ? mediaTypes : mediaTypes.filter(type => serializers.canSerialize(response.body, type));
+                    const mediaType = isMediaTypeMap(responseSchemas[code]) ? this.negotiate(req, response, servable.length ? servable : mediaTypes) : null;
+                    const headerDefaults = responseHeaderDefaults[code] || {};
+                    const missingHeaders = Object.keys(headerDefaults).filter(name => {
+
+                        return !Object.keys(response.headers || {}).some(header => header.toLowerCase() === name.toLowerCase());
+                    });
+
+                    if (missingHeaders.length) {
+                        response.headers = missingHeaders.reduce((headers, name) => {
+
+                            headers[name] = headerDefaults[name];
+                            return headers;
+
+                        }, Object.assign({}, response.headers));
                     }
 
-                    return new Response(body, defaultResponseCode, defaultResponseHeaders);
-                })
-                .then(/** @param {Response} response */ response => {
+                    if (typeof response.send === 'function') {
+
+                        // streams and files send themselves, so only their headers can be validated.
+                        const report = checkResponse(req, response, mediaType, null, responseHeaderValidators[code]);
+
+                        res.set(response.headers);
 
-                    const responseValidator = responseValidators[`${response.code}`];
+                        if (mediaType) {
+                            res.vary('Accept');
+                            res.type(mediaType);
+                        }
 
-                    if (validateResponse && responseValidator && !responseValidator(response.body)) {
-                        throw new ValidationError(responseValidator.errors, 'Response was not in the expected format.', 500);
+                        res.status(response.code);
+
+                        return response.send(req, res).then(report);
                     }
 
+                    const report = checkResponse(req, response, mediaType, validators[mediaType || mediaTypes[0]], responseHeaderValidators[code]);
+
+                    if (!mediaType) {
+                        res.set(response.headers);
+                        res.status(response.code).send(response.body);
+                        return report();
+                    }
+
+                    const schema = followReference({ components }, responseSchemas[code][mediaType]) || {};
+                    const body = serializers.serialize(response.body, mediaType, schema);
+
                     res.set(response.headers);
-                    res.status(response.code).send(response.body);
+                    res.vary('Accept');
+                    res.type(mediaType);
+                    res.status(response.code).send(body);
+                    report();
                 })
-                .catch(next);
+                .catch(err => {
 
-        };
+                    checkError(req, err);
+                    next(err);
+                });
+        });
     }
 
     /**
@@ -173,6 +788,26 @@ class Endpoint {
         return { $ref: `#/components/${ref}` };
     }
 
+    /**
+     * Normalizes a schema (or a map of media types to schemas) into a map of media types to schemas.
+     *
+     * @param {{}|null} schema
+     * @param {string} defaultMediaType
+     * @returns {{}|null}
+     */
+    static mediaTypeSchemas(schema, defaultMediaType) {
+
+        if (!schema) {
+            return null;
+        }
+
+        if (isMediaTypeMap(schema)) {
+            return Object.assign({}, schema);
+        }
+
+        return { [schema.contentMediaType || defaultMediaType]: schema };
+    }
+
     /**
      *
      * @param {{}} properties
@@ -194,7 +829,7 @@ class Endpoint {
 
     /**
      *
-     * @returns {{requestAjvOptions: {useDefaults: boolean, coerceTypes: boolean}, responseAjvOptions: {useDefaults: boolean, coerceTypes: boolean}, validateResponse: boolean, defaultResponseCode: number, defaultResponseMediaType: string, defaultRequestBodyMediaType: string, requestPropertiesToValidate: string[], requestBodyRequiredIfHasSchema: boolean, responseHeaders: {}}}
+     * @returns {{requestAjvOptions: {useDefaults: boolean, coerceTypes: boolean}, responseAjvOptions: {useDefaults: boolean, coerceTypes: boolean}, validateResponse: boolean, responseValidation: string|null, responseValidationSampleRate: number, onResponseMismatch: function|null, reportUndeclaredErrors: boolean, onUndeclaredError: function|null, defaultResponseCode: number, defaultResponseMediaType: string, defaultRequestBodyMediaType: string, serializers: {}, parseRequestBody: boolean, multipartSizeLimit: number, requestPropertiesToValidate: string[], requestBodyRequiredIfHasSchema: boolean, responseHeaders: {}, jsonSchemaDialect: string, Ajv2020: function|null, schemaReferences: WeakMap|null}}
      */
     static defaultOptions() {
 
@@ -208,12 +843,23 @@ class Endpoint {
                 coerceTypes: true
             },
             validateResponse: false,
+            responseValidation: null,
+            responseValidationSampleRate: 1,
+            onResponseMismatch: null,
+            reportUndeclaredErrors: false,
+            onUndeclaredError: null,
             defaultResponseCode: 200,
             defaultResponseMediaType: 'application/json',
             defaultRequestBodyMediaType: 'application/json',
-            requestPropertiesToValidate: ['query', 'params', 'headers', 'cookies', 'signedCookies'],
+            serializers: {},
+            parseRequestBody: true,
+            multipartSizeLimit: 10 * 1024 * 1024,
+            requestPropertiesToValidate: ['query', 'params', 'headers', 'cookies', 'signedCookies', 'body'],
             requestBodyRequiredIfHasSchema: true,
-            responseHeaders: {}
+            responseHeaders: {},
+            jsonSchemaDialect: 'draft-07',
+            Ajv2020: null,
+            schemaReferences: null
         };
     }
 
@@ -1,3 +1,4 @@
+const { STATUS_CODES } = require('http');
 
 class EndpointError extends Error {
 
@@ -19,7 +20,32 @@ class EndpointError extends Error {
             details: this.details
         };
     }
+
+    /**
+     * The error as RFC 7807 problem details. The type and title can be set on the error, or as static properties of its class,
+     * and otherwise describe the status code. Non-empty details are included as an extension member.
+     *
+     * @param [req]
+     * @returns {{type: string, title: string, status: number, detail: string, instance: string|undefined}}
+     */
+    toProblem(req = null) {
+
+        const problem = {
+            type: this.type || this.constructor.type || 'about:blank',
+            title: this.title || this.constructor.title || STATUS_CODES[this.code] || this.name,
+            status: this.code,
+            detail: this.message
+        };
+
+        if (req) {
+            problem.instance = req.originalUrl;
+        }
+        if (this.details && (typeof this.details !== 'object' || Object.keys(this.details).length)) {
+            problem.details = this.details;
+        }
+
+        return problem;
+    }
 }
 
 module.exports = EndpointError;
-
@@ -0,0 +1,158 @@
+const Endpoint = require('./Endpoint');
+const EventStreamResponse = require('./EventStreamResponse');
+
+const MEDIA_TYPE = 'text/event-stream';
+
+/**
+ * An endpoint that streams Server-Sent Events. Its handler returns an (async) iterable of events,
+ * such as { event: 'price', id: '42', data: { ... } }, where each event's data is validated
+ * against the schema declared for its name by eventSchemas(). Events without a name are "message" events.
+ */
+class EventStreamEndpoint extends Endpoint {
+
+    /**
+     * The schema of each event's data, keyed by event name.
+     *
+     * @returns {{}}
+     */
+    eventSchemas() {
+
+        return {
+            message: {}
+        };
+    }
+
+    /**
+     * @returns {{}}
+     */
+    responseCodeSchemas() {
+
+        return {
+            [this.options.defaultResponseCode]: {
+                [MEDIA_TYPE]: this.eventStreamSchema()
+            }
+        };
+    }
+
+    /**
+     * Describes the stream for the spec: an array of events, each of which is one of the declared events.
+     *
+     * @returns {{}}
+     */
+    eventStreamSchema() {
+
+        const schemas = this.eventSchemas() || {};
+
+        return {
+            type: 'array',
+            items: {
+                oneOf: Object.keys(schemas).map(name => ({
+                    type: 'object',
+                    title: name,
+                    properties: {
+                        id: { type: 'string' },
+                        event: { type: 'string', enum: [ name ] },
+                        retry: { type: 'integer' },
+                        data: schemas[name]
+                    },
+                    required: name === 'message' ? ['data'] : ['event', 'data']
+                }))
+            }
+        };
+    }
+
+    /**
+     * Creates a validator of { event, data } objects, which picks the schema based on the event name.
+     *
+     * @param {{}} components
+     * @returns {function}
+     */
+    createEventValidator(components) {
+
+        const schemas = this.eventSchemas() || {};
+        const validators = Object.keys(schemas).reduce((validators, name) => {
+
+            validators[name] = this.compileProperties(this.options.responseAjvOptions, components, { data: schemas[name] }, ['data']);
+            return validators;
+
+        }, {});
+
+        const validate = event => {
+
+            const name = (event && event.event) || 'message';
+            const validator = validators[name];
+
+            if (!validator) {
+                validate.errors = [{
+                    keyword: 'enum',
+                    dataPath: '.event',
+                    schemaPath: '#/properties/event/enum',
+                    params: { allowedValues: Object.keys(validators) },
+                    message: 'should be equal to one of the allowed values'
+                }];
+                return false;
+            }
+
+            const valid = validator(event);
+            validate.errors = validator.errors;
+
+            return valid;
+        };
+
+        return validate;
+    }
+
+    /**
+     *
+     * @param {Iterable|AsyncIterable|Response} body
+     * @param req
+     * @returns {Response}
+     */
+    createResponse(body, req) {
+
+        if (!body || (!body[Symbol.asyncIterator] && !body[Symbol.iterator]) || typeof body === 'string') {
+            return super.createResponse(body, req);
+        }
+
+        const { heartbeatInterval, retry } = this.options;
+        const check = event => this.checkEvent(req, { body: event, code: this.options.defaultResponseCode, headers: {} }, MEDIA_TYPE, this.eventValidator);
+
+        return new EventStreamResponse(body, { heartbeatInterval, retry, check }, this.options.defaultResponseCode);
+    }
+
+    /**
+     * Handlers can resume from req.lastEventId, which the browser sends when it reconnects.
+     *
+     * @param {{}} [components]
+     * @returns {function}
+     */
+    createMiddleware(components = {}) {
+
+        const middleware = super.createMiddleware(components);
+
+        this.eventValidator = this.createEventValidator(components);
+        this.checkEvent = this.createResponseChecker();
+
+        return (req, res, next) => {
+
+            req.lastEventId = req.get('Last-Event-ID') || null;
+            middleware(req, res, next);
+        };
+    }
+
+    /**
+     * Events are validated like responses, so responseValidation is "enforce" by default.
+     *
+     * @returns {{}}
+     */
+    static defaultOptions() {
+
+        return Object.assign(super.defaultOptions(), {
+            responseValidation: 'enforce',
+            heartbeatInterval: 15000,
+            retry: null
+        });
+    }
+}
+
+module.exports = EventStreamEndpoint;
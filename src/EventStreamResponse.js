@@ -0,0 +1,160 @@
+const EndpointError = require('./EndpointError');
+const Response = require('./Response');
+
+/**
+ * Formats an event as a text/event-stream message.
+ *
+ * @param {{event: string|undefined, id: string|undefined, retry: number|undefined, data: *}} event
+ * @returns {string}
+ */
+function format(event) {
+
+    const data = typeof event.data === 'string' ? event.data : JSON.stringify(event.data === undefined ? null : event.data);
+    const fields = [];
+
+    if (event.id !== undefined && event.id !== null) {
+        fields.push(`id: ${`${event.id}`.replace(/[\r\n]/g, '')}`);
+    }
+    if (event.event) {
+        fields.push(`event: ${`${event.event}`.replace(/[\r\n]/g, '')}`);
+    }
+    if (event.retry !== undefined) {
+        fields.push(`retry: ${parseInt(event.retry, 10)}`);
+    }
+
+    data.split(/\r\n|\r|\n/).forEach(line => fields.push(`data: ${line}`));
+
+    return `${fields.join('\n')}\n\n`;
+}
+
+class EventStreamResponse extends Response {
+
+    /**
+     *
+     * @param {Iterable|AsyncIterable} events
+     * @param {{heartbeatInterval: number, retry: number|null, check: function}} [options]
+     * @param {number} [code]
+     * @param {{}} [headers]
+     */
+    constructor(events, options = {}, code = undefined, headers = undefined) {
+
+        super(events, code, headers);
+
+        this.options = Object.assign({ heartbeatInterval: 15000, retry: null, check: () => () => {} }, options);
+        this.headers = Object.assign({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        }, this.headers);
+    }
+
+    /**
+     * Writes each event as it comes, waiting for the client whenever it can't keep up.
+     * Comments are sent as heartbeats in between, so proxies don't close idle connections.
+     * Events that fail options.check, and errors thrown by the iterator, end the stream with an "error" event.
+     *
+     * @param req
+     * @param res
+     * @returns {Promise}
+     */
+    send(req, res) {
+
+        const iterable = this.body;
+        const iterator = iterable[Symbol.asyncIterator] ? iterable[Symbol.asyncIterator]() : iterable[Symbol.iterator]();
+        const { heartbeatInterval, retry, check } = this.options;
+        let closed = false;
+        let backedUp = false;
+
+        // a heartbeat is skipped while the client is still catching up, so a slow client's buffer doesn't keep growing.
+        const heartbeat = heartbeatInterval ? setInterval(() => {
+
+            if (!backedUp && !closed) {
+                backedUp = !res.write(': heartbeat\n\n');
+            }
+
+        }, heartbeatInterval) : null;
+        const write = text => {
+
+            backedUp = !res.write(text);
+
+            if (!backedUp) {
+                return Promise.resolve();
+            }
+
+            return new Promise(resolve => {
+
+                const done = () => {
+
+                    res.removeListener('drain', done);
+                    res.removeListener('close', done);
+                    resolve();
+                };
+
+                res.on('drain', done);
+                res.on('close', done);
+            });
+        };
+
+        res.on('drain', () => backedUp = false);
+
+        res.on('close', () => {
+
+            closed = true;
+            clearInterval(heartbeat);
+
+            if (typeof iterator.return === 'function') {
+                Promise.resolve().then(() => iterator.return()).catch(() => {});
+            }
+        });
+
+        res.flushHeaders();
+
+        const next = () => Promise.resolve(iterator.next()).then(({ value, done }) => {
+
+            if (closed || done) {
+                return;
+            }
+
+            const report = check(value);
+
+            return write(format(value)).then(() => {
+
+                report();
+                return next();
+            });
+        });
+
+        return Promise.resolve(retry ? write(`retry: ${retry}\n\n`) : null)
+            .then(next)
+            .catch(err => {
+
+                if (!(err instanceof EndpointError)) {
+                    err = new EndpointError();
+                }
+                if (!closed) {
+                    return write(format({ event: 'error', data: err }));
+                }
+            })
+            .then(() => {
+
+                clearInterval(heartbeat);
+
+                if (!closed) {
+                    res.end();
+                }
+            });
+    }
+
+    /**
+     *
+     * @param {{event: string|undefined, id: string|undefined, retry: number|undefined, data: *}} event
+     * @returns {string}
+     */
+    static format(event) {
+
+        return format(event);
+    }
+}
+
+module.exports = EventStreamResponse;
@@ -0,0 +1,63 @@
+const path = require('path');
+
+const EndpointError = require('./EndpointError');
+const Response = require('./Response');
+
+class FileResponse extends Response {
+
+    /**
+     *
+     * @param {string} filePath
+     * @param {{mediaType: string|undefined, download: boolean|string|undefined}} [options]
+     * @param {number} [code]
+     * @param {{}} [headers]
+     */
+    constructor(filePath, options = {}, code = undefined, headers = undefined) {
+
+        super(path.resolve(filePath), code, headers);
+
+        const { mediaType, download } = options;
+        const extra = {};
+
+        if (mediaType) {
+            extra['Content-Type'] = mediaType;
+        }
+        if (download) {
+            const fileName = typeof download === 'string' ? download : path.basename(filePath);
+            extra['Content-Disposition'] = `attachment; filename="${fileName.replace(/["\\]/g, '_')}"`;
+        }
+
+        this.headers = Object.assign(extra, this.headers);
+    }
+
+    /**
+     * Sends the file with express, which takes care of Range requests, conditional requests and backpressure.
+     * The Content-Type is derived from the file's extension, unless a media type was given.
+     *
+     * @param req
+     * @param res
+     * @returns {Promise}
+     */
+    send(req, res) {
+
+        return new Promise((resolve, reject) => {
+
+            res.sendFile(this.body, { dotfiles: 'allow' }, err => {
+
+                if (!err || res.headersSent) {
+                    return resolve();
+                }
+
+                ['Content-Type', 'Content-Disposition'].forEach(header => res.removeHeader(header));
+
+                if (err.code === 'ENOENT' || err.code === 'ENOTDIR' || err.code === 'EISDIR') {
+                    return reject(new EndpointError('File not found.', 404));
+                }
+
+                reject(err);
+            });
+        });
+    }
+}
+
+module.exports = FileResponse;
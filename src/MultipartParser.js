@@ -0,0 +1,362 @@
+const EndpointError = require('./EndpointError');
+const ValidationError = require('./ValidationError');
+
+function isBinary(schema) {
+
+    return !!schema && schema.type === 'string' && schema.format === 'binary';
+}
+
+/**
+ * The media type without its parameters, e.g. "application/json" for "application/json; charset=utf-8".
+ */
+function baseMediaType(mimeType) {
+
+    return `${mimeType || ''}`.split(';')[0].trim().toLowerCase();
+}
+
+function matchesMediaType(mimeType, allowed) {
+
+    mimeType = baseMediaType(mimeType);
+
+    return allowed.map(baseMediaType).some(type => {
+
+        if (type === '*/*' || type === mimeType) {
+            return true;
+        }
+
+        return type.endsWith('/*') && mimeType.startsWith(type.slice(0, -1));
+    });
+}
+
+/**
+ * Reads the params of a header such as Content-Disposition, where quoted values can hold semicolons
+ * and escaped quotes, e.g. 'form-data; name="file"; filename="a;b.txt"'.
+ */
+function parseHeaderParams(header) {
+
+    const params = {};
+    const param = /;\s*([^\s=;]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g;
+
+    for (let match = param.exec(header); match; match = param.exec(header)) {
+        params[match[1].toLowerCase()] = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3].trim();
+    }
+
+    return params;
+}
+
+class MultipartParser {
+
+    /**
+     *
+     * @param {{}} schema The multipart/form-data body schema.
+     * @param {number} [limit] The maximum size of the entire request body, in bytes.
+     */
+    constructor(schema = {}, limit = 10 * 1024 * 1024) {
+
+        this.schema = schema;
+        this.limit = limit;
+        this.files = this.constructor.fileFields(schema);
+    }
+
+    /**
+     * @returns {function}
+     */
+    middleware() {
+
+        return (req, res, next) => {
+
+            if (req._body || !req.is('multipart/form-data')) {
+                return next();
+            }
+
+            this.parse(req)
+                .then(body => {
+
+                    const errors = this.checkFiles(body);
+
+                    req.body = body;
+                    req._body = true;
+
+                    next(errors.length ? new ValidationError(errors) : null);
+                })
+                .catch(next);
+        };
+    }
+
+    /**
+     * Reads and parses the request stream into an object of fields and files.
+     *
+     * @param {IncomingMessage} req
+     * @returns {Promise<{}>}
+     */
+    parse(req) {
+
+        const { boundary } = parseHeaderParams(req.headers['content-type'] || '');
+
+        if (!boundary) {
+            return Promise.reject(new EndpointError('Missing multipart boundary.', 400));
+        }
+
+        if (parseInt(req.headers['content-length'], 10) > this.limit) {
+            req.resume();
+            return Promise.reject(new EndpointError('Request entity too large.', 413, { limit: this.limit }));
+        }
+
+        return new Promise((resolve, reject) => {
+
+            const chunks = [];
+            let size = 0;
+
+            const onData = chunk => {
+
+                size+= chunk.length;
+
+                if (size > this.limit) {
+                    cleanup();
+                    req.resume();
+                    return reject(new EndpointError('Request entity too large.', 413, { limit: this.limit }));
+                }
+
+                chunks.push(chunk);
+            };
+            const onEnd = () => {
+
+                cleanup();
+
+                try {
+                    resolve(this.toBody(this.constructor.parseParts(Buffer.concat(chunks), boundary)));
+                } catch (err) {
+                    reject(err);
+                }
+            };
+            const onError = err => {
+
+                cleanup();
+                reject(err);
+            };
+            const cleanup = () => {
+
+                req.removeListener('data', onData);
+                req.removeListener('end', onEnd);
+                req.removeListener('error', onError);
+            };
+
+            req.on('data', onData);
+            req.on('end', onEnd);
+            req.on('error', onError);
+        });
+    }
+
+    /**
+     * Combines parsed parts into a body, where files are represented as objects.
+     *
+     * @param {[]} parts
+     * @returns {{}}
+     */
+    toBody(parts) {
+
+        const properties = this.schema.properties || {};
+
+        return parts.reduce((body, part) => {
+
+            let value = part.data.toString('utf8');
+
+            if (part.fileName !== undefined) {
+                value = {
+                    fieldName: part.name,
+                    fileName: part.fileName,
+                    mimeType: part.mimeType || 'application/octet-stream',
+                    size: part.data.length,
+                    buffer: part.data
+                };
+            } else if (/[/+]json$/.test(baseMediaType(part.mimeType))) {
+                try {
+                    value = JSON.parse(value);
+                } catch (err) {
+                    throw new EndpointError(`The ${part.name} part is not valid JSON.`, 400);
+                }
+            }
+
+            const property = Object.prototype.hasOwnProperty.call(properties, part.name) ? properties[part.name] : {};
+
+            if (property.type === 'array') {
+                body[part.name] = (body[part.name] || []).concat([value]);
+            } else if (Object.prototype.hasOwnProperty.call(body, part.name)) {
+                body[part.name] = [].concat(body[part.name], [value]);
+            } else {
+                body[part.name] = value;
+            }
+
+            return body;
+
+        }, Object.create(null)); // field names come from the client, so "__proto__" must not reach a prototype.
+    }
+
+    /**
+     * Enforces the size and media type limits declared for each file field.
+     *
+     * @param {{}} body
+     * @returns {[]}
+     */
+    checkFiles(body) {
+
+        return Object.keys(this.files).reduce((errors, name) => {
+
+            const { maxLength, mediaTypes } = this.files[name];
+            const files = [].concat(body[name] === undefined ? [] : body[name]);
+
+            files.filter(file => file && file.buffer).forEach(file => {
+
+                const dataPath = `.body.${name}`;
+
+                if (maxLength !== undefined && file.size > maxLength) {
+                    errors.push({
+                        keyword: 'maxLength',
+                        dataPath,
+                        schemaPath: `#/properties/body/properties/${name}/maxLength`,
+                        params: { limit: maxLength },
+                        message: `should NOT be larger than ${maxLength} bytes`
+                    });
+                }
+
+                if (mediaTypes && !matchesMediaType(file.mimeType, mediaTypes)) {
+                    errors.push({
+                        keyword: 'contentMediaType',
+                        dataPath,
+                        schemaPath: `#/properties/body/properties/${name}/contentMediaType`,
+                        params: { allowedValues: mediaTypes },
+                        message: `should be one of ${mediaTypes.join(', ')}`
+                    });
+                }
+            });
+
+            return errors;
+
+        }, []);
+    }
+
+    /**
+     * Finds the file fields (type: string, format: binary) of a multipart body schema, along with their limits.
+     *
+     * @param {{}} schema
+     * @returns {{}}
+     */
+    static fileFields(schema = {}) {
+
+        const properties = schema.properties || {};
+
+        return Object.keys(properties).reduce((files, name) => {
+
+            const property = properties[name] || {};
+            const fileSchema = property.type === 'array' ? property.items : property;
+
+            if (isBinary(fileSchema)) {
+                files[name] = {
+                    maxLength: fileSchema.maxLength,
+                    mediaTypes: fileSchema.contentMediaType ? fileSchema.contentMediaType.split(',').map(t => t.trim()) : null
+                };
+            }
+
+            return files;
+
+        }, {});
+    }
+
+    /**
+     * Replaces the file fields of a multipart body schema with schemas describing parsed file objects,
+     * so that the remaining fields can be validated as usual.
+     *
+     * @param {{}} schema
+     * @returns {{}}
+     */
+    static validationSchema(schema = {}) {
+
+        const files = this.fileFields(schema);
+        const properties = Object.assign({}, schema.properties);
+        const fileSchema = {
+            type: 'object',
+            properties: {
+                fieldName: { type: 'string' },
+                fileName: { type: 'string' },
+                mimeType: { type: 'string' },
+                size: { type: 'integer' }
+            },
+            required: ['fieldName', 'fileName', 'mimeType', 'size', 'buffer']
+        };
+
+        Object.keys(files).forEach(name => {
+
+            if (properties[name].type === 'array') {
+                properties[name] = Object.assign({}, properties[name], { items: fileSchema });
+            } else {
+                properties[name] = fileSchema;
+            }
+        });
+
+        const validationSchema = Object.assign({}, schema, { properties });
+        delete validationSchema.contentMediaType;
+
+        return validationSchema;
+    }
+
+    /**
+     * Splits a multipart body into its parts.
+     *
+     * @param {Buffer} buffer
+     * @param {string} boundary
+     * @returns {[{name: string, fileName: string|undefined, mimeType: string|undefined, data: Buffer}]}
+     */
+    static parseParts(buffer, boundary) {
+
+        const delimiter = Buffer.from(`\r\n--${boundary}`);
+        const parts = [];
+        let position = buffer.indexOf(`--${boundary}`);
+
+        if (position === -1) {
+            throw new EndpointError('Malformed multipart body.', 400);
+        }
+
+        position+= delimiter.length - 2;
+
+        while (buffer.toString('utf8', position, position + 2) !== '--') {
+
+            const end = buffer.indexOf(delimiter, position);
+
+            if (end === -1) {
+                throw new EndpointError('Malformed multipart body.', 400);
+            }
+
+            const part = buffer.slice(position + 2, end);
+            const headerEnd = part.indexOf('\r\n\r\n');
+            const headers = (headerEnd === -1 ? '' : part.toString('utf8', 0, headerEnd))
+                .split('\r\n')
+                .reduce((headers, line) => {
+
+                    const index = line.indexOf(':');
+
+                    if (index !== -1) {
+                        headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+                    }
+
+                    return headers;
+
+                }, {});
+            const disposition = parseHeaderParams(headers['content-disposition'] || '');
+
+            if (disposition.name !== undefined) {
+                parts.push({
+                    name: disposition.name,
+                    fileName: disposition.filename,
+                    mimeType: headers['content-type'],
+                    data: headerEnd === -1 ? Buffer.alloc(0) : part.slice(headerEnd + 4)
+                });
+            }
+
+            position = end + delimiter.length;
+        }
+
+        return parts;
+    }
+}
+
+module.exports = MultipartParser;
@@ -0,0 +1,40 @@
+const { Readable, Transform, pipeline } = require('stream');
+
+const StreamResponse = require('./StreamResponse');
+
+class NdjsonResponse extends StreamResponse {
+
+    /**
+     * The iterable is only read once the response is sent.
+     *
+     * @param {Iterable|AsyncIterable} iterable
+     * @param {number} [code]
+     * @param {{}} [headers]
+     */
+    constructor(iterable, code = undefined, headers = undefined) {
+
+        super(iterable, 'application/x-ndjson', code, headers);
+    }
+
+    /**
+     *
+     * @returns {stream.Readable}
+     */
+    stream() {
+
+        const lines = new Transform({
+            writableObjectMode: true,
+            transform(value, encoding, callback) {
+
+                callback(null, `${JSON.stringify(value)}\n`);
+            }
+        });
+
+        // errors thrown by the iterable are passed on to the lines, where StreamResponse handles them.
+        pipeline(Readable.from(this.body), lines, () => {});
+
+        return lines;
+    }
+}
+
+module.exports = NdjsonResponse;
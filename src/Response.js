@@ -6,6 +6,83 @@ class Response {
         this.headers = headers;
     }
 
+    /**
+     * Responds with a readable stream, piped to the client.
+     *
+     * @param {stream.Readable} readable
+     * @param {string} [mediaType]
+     * @param {number} [code]
+     * @param {{}} [headers]
+     * @returns {StreamResponse}
+     */
+    static stream(readable, mediaType = 'application/octet-stream', code = this.defaultStatusCode(), headers = this.defaultHeaders()) {
+
+        const StreamResponse = require('./StreamResponse');
+
+        return new StreamResponse(readable, mediaType, code, headers);
+    }
+
+    /**
+     * Responds with a file, supporting Range requests.
+     *
+     * @param {string} path
+     * @param {{mediaType: string|undefined, download: boolean|string|undefined}} [options]
+     * @param {number} [code]
+     * @param {{}} [headers]
+     * @returns {FileResponse}
+     */
+    static file(path, options = {}, code = this.defaultStatusCode(), headers = this.defaultHeaders()) {
+
+        const FileResponse = require('./FileResponse');
+
+        return new FileResponse(path, options, code, headers);
+    }
+
+    /**
+     * Responds with each value of a (sync or async) iterable as a line of JSON.
+     *
+     * @param {Iterable|AsyncIterable} iterable
+     * @param {number} [code]
+     * @param {{}} [headers]
+     * @returns {NdjsonResponse}
+     */
+    static ndjson(iterable, code = this.defaultStatusCode(), headers = this.defaultHeaders()) {
+
+        const NdjsonResponse = require('./NdjsonResponse');
+
+        return new NdjsonResponse(iterable, code, headers);
+    }
+
+    /**
+     * A response schema for binary content, such as a stream or a file.
+     *
+     * @param {string} [mediaType]
+     * @returns {{type: string, format: string, contentMediaType: string}}
+     */
+    static binarySchema(mediaType = 'application/octet-stream') {
+
+        return {
+            type: 'string',
+            format: 'binary',
+            contentMediaType: mediaType
+        };
+    }
+
+    /**
+     * A response schema for newline-delimited JSON, where each line matches itemSchema.
+     *
+     * @param {{}} [itemSchema]
+     * @returns {{type: string, items: {}, contentMediaType: string}}
+     */
+    static ndjsonSchema(itemSchema = {}) {
+
+        return {
+            type: 'array',
+            items: itemSchema,
+            contentMediaType: 'application/x-ndjson'
+        };
+    }
+
     static defaultStatusCode() {
         return 200;
     }
@@ -1,7 +1,104 @@
 const crypto = require('crypto');
 const express = require('express');
 
+const ContractVerifier = require('./ContractVerifier');
+const Docs = require('./Docs');
+const Endpoint = require('./Endpoint');
 const EndpointError = require('./EndpointError');
+const SpecValidator = require('./SpecValidator');
+const SchemaBuilder = require('./SchemaBuilder');
+const Swagger2Converter = require('./Swagger2Converter');
+const ValidationError = require('./ValidationError');
+const ValidationErrorFormatter = require('./ValidationErrorFormatter');
+const yaml = require('./yaml');
+const { downgradeSpec } = require('./downgrade');
+const { hoistSchemas } = require('./hoist');
+const { mockResponse } = require('./mock');
+const { METHODS } = require('./operations');
+
+const YAML_MEDIA_TYPES = ['application/yaml', 'application/x-yaml', 'text/yaml', 'text/x-yaml'];
+const PROBLEM_MEDIA_TYPE = 'application/problem+json';
+
+/**
+ * Whether requests are parsed in a parameter's style: Express's query parser reads exploded form parameters
+ * and deepObject ones, and otherwise only values that are not arrays or objects can be read as they are.
+ */
+function isParsedStyle({ in: location, style, explode }, schema = {}) {
+
+    const isPrimitive = !['array', 'object'].includes(schema.type) && !schema.items && !schema.properties;
+
+    if (location === 'query' || location === 'cookie') {
+        return style === 'deepObject' || ((style === undefined || style === 'form') && (explode !== false || isPrimitive));
+    }
+
+    return (style === undefined || style === 'simple') && isPrimitive;
+}
+
+/**
+ * An error reported by Ajv, as found in the details of a ValidationError.
+ */
+function ajvErrorSchema() {
+
+    return {
+        type: 'object',
+        properties: {
+            dataPath: {
+                type: 'string'
+            },
+            keyword: {
+                type: 'string'
+            },
+            message: {
+                type: 'string'
+            },
+            params: {
+                type: 'object'
+            },
+            schemaPath: {
+                type: 'string'
+            }
+        }
+    };
+}
+
+/**
+ * RFC 7807 problem details, as sent for errors with the "problem" errorFormat.
+ */
+function problemSchema(extensions = {}) {
+
+    return {
+        type: 'object',
+        properties: Object.assign({
+            type: {
+                type: 'string',
+                format: 'uri-reference'
+            },
+            title: {
+                type: 'string'
+            },
+            status: {
+                type: 'integer'
+            },
+            detail: {
+                type: 'string'
+            },
+            instance: {
+                type: 'string',
+                format: 'uri-reference'
+            }
+        }, extensions),
+        required: ['type', 'title', 'status', 'detail'].concat(Object.keys(extensions).filter(name => name !== 'details'))
+    };
+}
+
+function cacheHeaders(content) {
+
+    return {
+        'ETag': crypto.createHash('md5').update(content).digest('hex'),
+        'Last-Modified': (new Date()).toUTCString(),
+        'Cache-Control': 'public, max-age=31536000, must-revalidate'
+    };
+}
 
 function joinUris(from, to) {
 
@@ -23,8 +120,9 @@ class Router {
     /**
      *
      * @param {{}} [openApiReference]
+     * @param {{}} [options]
      */
-    constructor(openApiReference = {}) {
+    constructor(openApiReference = {}, options = {}) {
 
         /**
          * @type {express.Router}
@@ -35,15 +133,28 @@ class Router {
         this.securitySchemeName = '';
         this.securityRequirement = [];
         this.middleware = [];
-        this.spec = this.constructor.defaultSpec();
+        this.options = Object.assign(this.constructor.defaultOptions(), options);
+        this.spec = this.constructor.defaultSpec(this.options);
+        this.spec.openapi = this.options.openapi;
+
+        /**
+         * The $refs of the SchemaBuilders registered with component(), shared by the router and its groups like the spec.
+         *
+         * @type {WeakMap<SchemaBuilder, string>}
+         */
+        this.schemaReferences = new WeakMap();
 
         Object.keys(openApiReference || {}).forEach(component => {
 
             if (!this.spec.components[component]) {
-                this.spec.components[component] = openApiReference[component];
+                this.spec.components[component] = Object.assign({}, openApiReference[component]);
             } else {
                 Object.assign(this.spec.components[component], openApiReference[component]);
             }
+
+            Object.keys(this.spec.components[component])
+                .filter(name => this.spec.components[component][name] instanceof SchemaBuilder)
+                .forEach(name => this.component(component, name, this.spec.components[component][name]));
         });
     }
 
@@ -62,8 +173,9 @@ class Router {
             uri = '/';
         }
 
-        const router = new this.constructor();
+        const router = new this.constructor({}, this.options);
         router.spec = this.spec;
+        router.schemaReferences = this.schemaReferences;
         router.tags = this.tags.concat(tags || []);
         router.uri = joinUris(this.uri, uri);
         router.middleware = [].concat(this.middleware);
@@ -116,42 +228,55 @@ class Router {
         }
 
         const endpoint = new Endpoint();
+
+        endpoint.options.schemaReferences = this.schemaReferences;
+
+        if (this.isOpenApi31()) {
+            endpoint.options.jsonSchemaDialect = '2020-12';
+            endpoint.options.Ajv2020 = endpoint.options.Ajv2020 || this.options.Ajv2020;
+        }
+
+        if (this.options.mock) {
+            endpoint.handler = req => mockResponse(endpoint, req, this.spec.components, this.options.mockStatusHeader);
+        }
+
         const responseCodeSchemas = endpoint.responseCodeSchemas() || {};
         const responseHeaders = endpoint.options.responseHeaders;
-        const bodySchema = this.unfold(endpoint.bodySchema());
+        const bodySchemas = this.getMediaTypeSchemas(endpoint.bodySchema(), endpoint.options.defaultRequestBodyMediaType);
         const operation = endpoint.operation() || {};
 
         operation.tags = Array.from(new Set(this.tags.concat(operation.tags || [])));
 
-        operation.parameters = []
+        const declaredParameters = operation.parameters || [];
+        const parameters = []
             .concat(this.getParameters('query', endpoint.querySchema()))
             .concat(this.getParameters('path', endpoint.paramsSchema()))
             .concat(this.getParameters('header', endpoint.headersSchema()))
             .concat(this.getParameters('cookie', endpoint.cookiesSchema()))
-            .concat(this.getParameters('cookie', endpoint.signedCookiesSchema()))
-            .concat(operation.parameters || []);
+            .concat(this.getParameters('cookie', endpoint.signedCookiesSchema()));
 
-        if (operation.parameters.length === 0) {
-            delete operation.parameters;
-        }
+        // a parameter declared in operation() adds to the one generated from the schemas, e.g. with examples.
+        operation.parameters = parameters
+            .map(parameter => {
+
+                const declared = declaredParameters.find(p => p.name === parameter.name && p.in === parameter.in);
+
+                return declared ? Object.assign({}, parameter, declared) : parameter;
+            })
+            .concat(declaredParameters.filter(p => !parameters.some(parameter => parameter.name === p.name && parameter.in === p.in)));
 
         operation.responses = Object.keys(responseCodeSchemas)
             .reduce((responses, code) => {
 
-                const schema = this.unfold(responseCodeSchemas[code]);
-                const description = schema.description || 'Response';
-                const contentMediaType = schema.contentMediaType || endpoint.options.defaultResponseMediaType;
-
-                if (schema.contentMediaType) {
-                    delete schema.contentMediaType;
-                }
+                const schemas = this.getMediaTypeSchemas(responseCodeSchemas[code], endpoint.options.defaultResponseMediaType);
+                const content = this.getContent(schemas);
+                const described = Object.keys(content).map(mediaType => this.unfold(content[mediaType].schema)).find(schema => schema.description);
 
-                const response = {
-                    description,
-                    content: {
-                        [contentMediaType]: { schema }
-                    }
-                };
+                const declared = responses[`${code}`] || {};
+                const response = Object.assign({}, declared, {
+                    description: declared.description || (described ? described.description : 'Response'),
+                    content: this.mergeContent(declared.content, content)
+                });
 
                 if (responseHeaders[`${code}`]) {
                     response.headers = responseHeaders[`${code}`];
@@ -170,23 +295,32 @@ class Router {
             };
         }
 
-        if (bodySchema) {
+        const errorResponses = endpoint.errorResponses();
 
-            const contentMediaType = bodySchema.contentMediaType || endpoint.options.defaultRequestBodyMediaType;
+        Object.keys(errorResponses).filter(code => !operation.responses[code]).forEach(code => {
 
-            if (bodySchema.contentMediaType) {
-                delete bodySchema.contentMediaType;
-            }
+            operation.responses[code] = Endpoint.openApiReference(`responses/${errorResponses[code]}`);
+        });
+
+        if (bodySchemas) {
+
+            const content = this.getContent(bodySchemas);
+            const mediaTypes = Object.keys(content);
+            const declared = operation.requestBody || {};
 
             operation.requestBody = {
-                content: {
-                    [contentMediaType]: { schema: bodySchema }
-                },
-                description: bodySchema.description,
-                required: endpoint.options.requestBodyRequiredIfHasSchema
+                content: this.mergeContent(declared.content, content),
+                description: declared.description || (mediaTypes.length === 1 ? this.unfold(content[mediaTypes[0]].schema).description : undefined),
+                required: declared.required !== undefined ? declared.required : endpoint.options.requestBodyRequiredIfHasSchema
             };
         }
 
+        const callbacks = this.getCallbacks(endpoint);
+
+        if (callbacks) {
+            operation.callbacks = Object.assign({}, operation.callbacks, callbacks);
+        }
+
         if (this.securitySchemeName && !operation.security) {
 
             operation.security = [
@@ -227,7 +361,9 @@ class Router {
                     }
                 }
 
-                const exists = operation.parameters.find(p => p.name === paramName);
+                paramName = paramName.replace(/[?*+]$/, '');
+
+                const exists = operation.parameters.find(p => p.name === paramName && p.in === 'path');
                 const parameter = {
                     name: paramName,
                     in: 'path',
@@ -239,6 +375,10 @@ class Router {
                         type: 'string',
                         pattern: regex
                     }
+                } else if (!exists) {
+                    parameter.schema = {
+                        type: 'string'
+                    };
                 }
 
                 if (!exists) {
@@ -252,6 +392,22 @@ class Router {
             .filter(p => !!p)
             .join('/');
 
+        const exampleErrors = endpoint.exampleErrors(this.spec.components);
+
+        if (exampleErrors.length) {
+
+            const lines = exampleErrors.map(({ name, message }) => `  "${name}" ${message}`);
+
+            throw Object.assign(new Error(`The examples of ${methods.join(', ').toUpperCase()} ${path} are not valid:\n${lines.join('\n')}`), {
+                errors: exampleErrors
+            });
+        }
+
+        this.addExamples(operation, endpoint);
+
+        if (operation.parameters.length === 0) {
+            delete operation.parameters;
+        }
 
         const middleware = endpoint.createMiddleware(this.spec.components);
         const handler = (req, res, next) => {
@@ -283,11 +439,13 @@ class Router {
     }
 
     /**
+     * In OpenAPI 3.1 mode, asking for a 3.0 version returns a copy of the spec rewritten into the 3.0 dialect.
      *
      * @param {string|object} info
+     * @param {string|null} [version]
      * @returns {{openapi, info, paths, components}|*}
      */
-    getSpec(info = {}) {
+    getSpec(info = {}, version = null) {
 
         if (typeof info === 'string') {
 
@@ -326,10 +484,90 @@ class Router {
 
         Object.assign(this.spec.info, info);
 
-        return this.spec;
+        const spec = this.options.hoistSchemas ? hoistSchemas(this.spec) : this.spec;
+
+        if (version && version.startsWith('3.0') && this.isOpenApi31()) {
+            return downgradeSpec(spec, version);
+        }
+
+        return spec;
+    }
+
+    /**
+     * Registers a reusable component, e.g. router.component('schemas', 'User', { type: 'object', ... }),
+     * and returns a reference to it that can be used in place of the component in any schema or operation.
+     * A SchemaBuilder that is registered is replaced by the reference wherever it is used in this router's routes afterwards.
+     *
+     * @param {string} type
+     * @param {string} name
+     * @param {{}|SchemaBuilder} definition
+     * @returns {{$ref: string}}
+     */
+    component(type, name, definition) {
+
+        const components = this.spec.components[type] = this.spec.components[type] || {};
+        const built = definition instanceof SchemaBuilder
+            ? definition.build(this.jsonSchemaDialect(), this.schemaReferences)
+            : SchemaBuilder.toSchema(definition, this.jsonSchemaDialect(), this.schemaReferences);
+
+        if (components[name] && components[name] !== definition && JSON.stringify(components[name]) !== JSON.stringify(built)) {
+            throw new Error(`A different component is already registered as ${type}/${name}.`);
+        }
+
+        components[name] = built;
+
+        const reference = Object.freeze(Endpoint.openApiReference(`${type}/${name.replace(/~/g, '~0').replace(/\//g, '~1')}`));
+
+        if (definition instanceof SchemaBuilder) {
+            this.schemaReferences.set(definition, reference.$ref);
+        }
+
+        return reference;
     }
 
     /**
+     *
+     * @returns {boolean}
+     */
+    isOpenApi31() {
+
+        return this.options.openapi.startsWith('3.1');
+    }
+
+    /**
+     * The JSON Schema dialect of the spec's schemas.
+     *
+     * @returns {string}
+     */
+    jsonSchemaDialect() {
+
+        return this.isOpenApi31() ? '2020-12' : 'draft-07';
+    }
+
+    /**
+     *
+     * @param {string|object} info
+     * @returns {string}
+     */
+    getSpecYaml(info = {}) {
+
+        return yaml.stringify(this.getSpec(info));
+    }
+
+    /**
+     * Translates the spec into Swagger 2.0, for tools that can't import OpenAPI 3.
+     * Whatever Swagger 2.0 can't represent is listed in the warnings instead of being dropped silently.
+     *
+     * @param {string|object} info
+     * @returns {{spec: {}, warnings: [{path: string, message: string}]}}
+     */
+    getSwagger2Spec(info = {}) {
+
+        return new Swagger2Converter(this.getSpec(info, '3.0.3')).convert();
+    }
+
+    /**
+     * Serves the spec as JSON, or as YAML when asked for with an Accept header or a .yaml suffix on the URI.
      *
      * @param {string} uri
      * @param {string|object} info
@@ -337,27 +575,92 @@ class Router {
     serveSpec(uri = '/', info = {}) {
 
         const spec = this.getSpec(info);
-        const hash = crypto.createHash('md5').update(JSON.stringify(spec)).digest('hex');
-        const lastModified = (new Date()).toUTCString();
+        const json = JSON.stringify(spec);
+        const yamlSpec = yaml.stringify(spec);
+        const jsonHeaders = cacheHeaders(json);
+        const yamlHeaders = cacheHeaders(yamlSpec);
+        const uris = /\.ya?ml$/.test(uri) ? [uri] : [uri, `${uri.replace(/\.json$/, '').replace(/\/$/, '') || '/openapi'}.yaml`];
 
-        this.instance.get(uri, function specHandler(req, res) {
+        this.instance.get(uris, function specHandler(req, res) {
 
-            res.set({
-                'ETag': hash,
-                'Last-Modified': lastModified,
-                'Cache-Control': 'public, max-age=31536000, must-revalidate'
-            });
+            const isYaml = /\.ya?ml$/.test(req.path) || YAML_MEDIA_TYPES.includes(req.accepts(['application/json'].concat(YAML_MEDIA_TYPES)));
+
+            res.vary('Accept');
+
+            if (isYaml) {
+                res.set(yamlHeaders);
+                return res.type('application/yaml').send(yamlSpec);
+            }
+
+            res.set(jsonHeaders);
+            res.type('json').send(json);
+        });
+    }
+
+    /**
+     * Serves a self-contained HTML reference page generated from the spec.
+     *
+     * @param {string} uri
+     * @param {string|object} info
+     */
+    serveDocs(uri = '/', info = {}) {
+
+        const html = new Docs(this.getSpec(info)).render();
+        const headers = cacheHeaders(html);
+
+        this.instance.get(uri, function docsHandler(req, res) {
 
-            res.send(spec);
+            res.set(headers);
+            res.type('html').send(html);
         });
     }
 
+    /**
+     * Checks the spec against the OpenAPI 3.0 schema, and for problems such as duplicate operationIds,
+     * path templates without path parameters, dangling $refs and responses without descriptions.
+     * In OpenAPI 3.1 mode, the spec is checked as it would be downgraded to 3.0.
+     *
+     * @param {string|object} info
+     * @returns {{valid: boolean, errors: [{path: string, message: string}], report: string}}
+     */
+    validateSpec(info = {}) {
+
+        return new SpecValidator(this.getSpec(info, '3.0.3')).validate();
+    }
+
+    /**
+     * Runs the examples declared in the spec as contract tests against the mounted app.
+     * Each named request example is sent, and its response is compared against the response example with the same name,
+     * and validated against that response's schema.
+     * The requests go to options.app, so that they are handled as in production, or else to an app mounted with options.errorHandlers.
+     *
+     * @param {{timeout: number, app: function|null, errorHandlers: [function]|function|null}} [options]
+     * @returns {Promise<{passed: boolean, results: [{operationId: string, method: string, path: string, passed: boolean, examples: []}], report: string}>}
+     */
+    verify(options = {}) {
+
+        const { app = null, errorHandlers = null, timeout } = options;
+        const verifierOptions = Object.assign({ Ajv2020: this.options.Ajv2020 }, timeout === undefined ? {} : { timeout });
+
+        return new ContractVerifier(this.getSpec(), app || this.mount(errorHandlers), verifierOptions).verify();
+    }
+
     /**
      *
      * @param {[function]|function|null} [errorHandlers]
+     * @param {{validateSpec: boolean}} [options]
      * @returns {Function}
      */
-    mount(errorHandlers = null) {
+    mount(errorHandlers = null, options = {}) {
+
+        if (options.validateSpec) {
+
+            const { valid, errors, report } = this.validateSpec();
+
+            if (!valid) {
+                throw Object.assign(new Error(report), { errors });
+            }
+        }
 
         const app = express();
 
@@ -372,10 +675,16 @@ class Router {
             if (!(err instanceof EndpointError)) {
                 err = new EndpointError();
             }
+            if (err instanceof ValidationError && this.options.validationErrorFormatter) {
+                err = this.options.validationErrorFormatter.format(err, req);
+            }
 
             if (res.headersSent) {
                 return next(err);
             }
+            if (this.options.errorFormat === 'problem') {
+                return res.status(err.code).type(PROBLEM_MEDIA_TYPE).json(err.toProblem(req));
+            }
 
             res.status(err.code).send(err);
         });
@@ -394,11 +703,210 @@ class Router {
 
         return obj.$ref.replace('#/', '').split('/').reduce((references, key) => {
 
-            return this.unfold(references[key]);
+            return this.unfold((references || {})[decodeURIComponent(key).replace(/~1/g, '/').replace(/~0/g, '~')]);
 
         }, references);
     }
 
+    /**
+     * Normalizes a schema (or a map of media types to schemas) into a map of media types to schemas,
+     * taking into account any contentMediaType declared by a referenced schema.
+     *
+     * @param {{}|null} schema
+     * @param {string} defaultMediaType
+     * @returns {{}|null}
+     */
+    getMediaTypeSchemas(schema, defaultMediaType) {
+
+        const unfolded = this.unfold(schema);
+
+        if (schema && schema.$ref && unfolded && !unfolded.contentMediaType) {
+            return { [defaultMediaType]: schema };
+        }
+
+        return Endpoint.mediaTypeSchemas(unfolded, defaultMediaType);
+    }
+
+    /**
+     * Creates an OpenAPI content object from a map of media types to schemas.
+     * References are kept as-is, unless the referenced schema needs to be altered for the spec.
+     *
+     * @param {{}} schemas
+     * @returns {{}}
+     */
+    getContent(schemas) {
+
+        return Object.keys(schemas).reduce((content, mediaType) => {
+
+            const unfolded = this.unfold(schemas[mediaType]);
+
+            if (schemas[mediaType].$ref && !unfolded.contentMediaType && !mediaType.startsWith('multipart/')) {
+                content[mediaType] = { schema: schemas[mediaType] };
+                return content;
+            }
+
+            const schema = Object.assign({}, unfolded);
+
+            delete schema.contentMediaType;
+            content[mediaType] = { schema };
+
+            if (mediaType.startsWith('multipart/') && schema.properties) {
+
+                const encoding = this.getEncoding(schema);
+
+                if (Object.keys(encoding).length) {
+                    content[mediaType].encoding = encoding;
+                }
+            }
+
+            return content;
+
+        }, {});
+    }
+
+    /**
+     * Places an endpoint's examples() under the examples of its parameters, request body and responses.
+     *
+     * @param {{}} operation
+     * @param {Endpoint} endpoint
+     */
+    addExamples(operation, endpoint) {
+
+        const examples = endpoint.examples() || {};
+        const locations = { query: 'query', params: 'path', headers: 'header', cookies: 'cookie' };
+        const add = (holder, name, example, value) => {
+
+            if (!holder) {
+                return;
+            }
+
+            const summary = example.summary !== undefined ? { summary: example.summary } : {};
+            const description = example.description !== undefined ? { description: example.description } : {};
+
+            holder.examples = Object.assign({}, holder.examples, { [name]: Object.assign(summary, description, { value }) });
+        };
+        const mediaTypeOf = (content, mediaType) => content && (content[mediaType] || content[Object.keys(content)[0]]);
+
+        Object.keys(examples).forEach(name => {
+
+            const example = examples[name] || {};
+            const request = example.request || {};
+            const response = example.response;
+
+            Object.keys(locations).forEach(property => {
+
+                Object.keys(request[property] || {}).forEach(key => {
+
+                    const parameter = (operation.parameters || []).find(parameter => {
+
+                        return parameter.in === locations[property] && (property === 'headers' ? parameter.name.toLowerCase() === key.toLowerCase() : parameter.name === key);
+                    });
+
+                    add(parameter, name, example, request[property][key]);
+                });
+            });
+
+            if (request.body !== undefined && operation.requestBody) {
+                add(mediaTypeOf(operation.requestBody.content, request.mediaType), name, example, request.body);
+            }
+            if (response && response.body !== undefined) {
+
+                const code = `${response.code || endpoint.options.defaultResponseCode}`;
+
+                add(mediaTypeOf((operation.responses[code] || {}).content, response.mediaType), name, example, response.body);
+            }
+        });
+    }
+
+    /**
+     * Keeps what was declared alongside each media type's schema in operation(), such as examples.
+     *
+     * @param {{}|undefined} declared
+     * @param {{}} content
+     * @returns {{}}
+     */
+    mergeContent(declared, content) {
+
+        return Object.keys(content).reduce((merged, mediaType) => {
+
+            merged[mediaType] = Object.assign({}, (declared || {})[mediaType], content[mediaType]);
+            return merged;
+
+        }, {});
+    }
+
+    /**
+     * Moves the media types of multipart fields (e.g. file uploads) from their schemas into an OpenAPI encoding object.
+     *
+     * @param {{}} schema
+     * @returns {{}}
+     */
+    getEncoding(schema) {
+
+        const properties = Object.assign({}, schema.properties);
+        const encoding = {};
+
+        Object.keys(properties).forEach(name => {
+
+            const isArray = properties[name].type === 'array' && properties[name].items;
+            const property = Object.assign({}, isArray ? properties[name].items : properties[name]);
+
+            if (property.contentMediaType) {
+                encoding[name] = { contentType: property.contentMediaType };
+                delete property.contentMediaType;
+                properties[name] = isArray ? Object.assign({}, properties[name], { items: property }) : property;
+            }
+        });
+
+        schema.properties = properties;
+
+        return encoding;
+    }
+
+    /**
+     * Creates an OpenAPI callbacks object from an endpoint's callbacks().
+     *
+     * @param {Endpoint} endpoint
+     * @returns {{}|null}
+     */
+    getCallbacks(endpoint) {
+
+        const callbacks = endpoint.callbacks() || {};
+        const names = Object.keys(callbacks);
+
+        if (!names.length) {
+            return null;
+        }
+
+        return names.reduce((objects, name) => {
+
+            const callback = callbacks[name];
+            const operation = Object.assign({}, callback.operation);
+            const bodySchemas = this.getMediaTypeSchemas(callback.bodySchema, endpoint.options.defaultRequestBodyMediaType);
+
+            if (bodySchemas) {
+                operation.requestBody = Object.assign({ required: true }, operation.requestBody, {
+                    content: this.getContent(bodySchemas)
+                });
+            }
+
+            operation.responses = operation.responses || {
+                200: {
+                    description: 'The callback was received.'
+                }
+            };
+
+            objects[name] = {
+                [callback.url]: {
+                    [(callback.method || 'post').toLowerCase()]: operation
+                }
+            };
+
+            return objects;
+
+        }, {});
+    }
+
     getParameters(location, schema) {
 
         const _schema = this.unfold(schema || {});
@@ -409,13 +917,227 @@ class Router {
                 in: location,
                 required: Array.isArray(_schema.required) && _schema.required.includes(paramName),
                 description: _schema.properties[paramName].description,
-                schema: _schema
+                schema: _schema.properties[paramName]
             }));
     }
 
-    static defaultSpec() {
+    /**
+     * Builds a Router from an existing OpenAPI 3.0 (or 3.1) document, where each operation is implemented
+     * by the handler keyed by its operationId. Operations without a handler either throw at startup
+     * (missingHandlers: 'throw'), or respond with a 501 (missingHandlers: 'stub').
+     * Path parameters must have names that Express can match (letters, digits and underscores).
+     * Parameter styles are kept in the spec, and those that Express doesn't parse requests in are passed to options.onWarning.
+     *
+     * @param {{}} document
+     * @param {{}} [handlers]
+     * @param {{missingHandlers: string, Endpoint: Endpoint, Ajv2020: function|null, onWarning: function}} [options]
+     * @returns {Router}
+     */
+    static fromSpec(document, handlers = {}, options = {}) {
+
+        const { missingHandlers = 'throw', Endpoint: BaseEndpoint = Endpoint, Ajv2020 = null, onWarning = () => {} } = options;
+        const openapi = `${document.openapi || ''}`.startsWith('3.1') ? document.openapi : '3.0.0';
+        const router = new this(document.components, { openapi, Ajv2020 });
+        const missing = [];
+        const resolve = obj => router.unfold(obj, document);
+
+        ['servers', 'security', 'tags', 'externalDocs'].filter(key => document[key]).forEach(key => {
+            router.spec[key] = document[key];
+        });
+        Object.assign(router.spec.info, document.info);
+
+        Object.keys(document.paths || {}).forEach(path => {
+
+            const pathItem = document.paths[path];
+
+            METHODS.filter(method => pathItem[method]).forEach(method => {
+
+                const operation = pathItem[method];
+                const handler = handlers[operation.operationId];
+                const parameters = (pathItem.parameters || []).concat(operation.parameters || []).map(resolve);
+                const invalidNames = (path.match(/{[^}]+}/g) || []).map(name => name.slice(1, -1)).filter(name => !/^\w+$/.test(name));
+
+                if (invalidNames.length) {
+                    throw new Error(`${method.toUpperCase()} ${path} has path parameters that Express cannot match: ${invalidNames.join(', ')}. Please rename them with only letters, digits and underscores.`);
+                }
+
+                parameters
+                    .filter(parameter => parameter.style !== undefined || parameter.explode !== undefined)
+                    .filter(parameter => !isParsedStyle(parameter, resolve(parameter.schema) || {}))
+                    .forEach(parameter => {
+
+                        onWarning({
+                            method,
+                            path,
+                            parameter,
+                            message: `${method.toUpperCase()} ${path}: the ${parameter.in} parameter "${parameter.name}" has a style (${parameter.style || 'default'}, explode: ${parameter.explode}) that Express does not parse. It is kept in the spec, but requests are parsed as Express parses them.`
+                        });
+                    });
+
+                const requestBody = resolve(operation.requestBody);
+                const responses = Object.keys(operation.responses || {}).reduce((responses, code) => {
+
+                    responses[code] = resolve(operation.responses[code]);
+                    return responses;
+
+                }, {});
+
+                const parameterSchema = location => {
+
+                    const found = parameters.filter(p => p.in === location);
+
+                    if (!found.length) {
+                        return null;
+                    }
+
+                    return found.reduce((schema, parameter) => {
+
+                        const name = location === 'header' ? parameter.name.toLowerCase() : parameter.name;
+                        const content = parameter.content ? parameter.content[Object.keys(parameter.content)[0]] : {};
+                        const propertySchema = Object.assign({}, parameter.schema || content.schema);
+
+                        if (parameter.description) {
+                            propertySchema.description = parameter.description;
+                        }
+
+                        schema.properties[name] = propertySchema;
+
+                        if (parameter.required) {
+                            schema.required.push(name);
+                        }
+
+                        return schema;
+
+                    }, { type: 'object', properties: {}, required: [] });
+                };
+
+                const mediaTypeSchemas = content => Object.keys(content || {}).reduce((schemas, mediaType) => {
+
+                    schemas[mediaType] = content[mediaType].schema || {};
+                    return schemas;
+
+                }, {});
+
+                const SpecEndpoint = class extends BaseEndpoint {
+
+                    operation() {
+
+                        const spec = Object.assign({}, operation);
+
+                        // only the styles are kept from the declared parameters, the rest is generated from the schemas.
+                        spec.parameters = parameters
+                            .filter(parameter => parameter.style !== undefined || parameter.explode !== undefined)
+                            .map(({ name, in: location, style, explode }) => JSON.parse(JSON.stringify({ name, in: location, style, explode })));
+                        spec.responses = Object.keys(responses).reduce((declared, code) => {
+
+                            const response = Object.assign({}, responses[code]);
+                            delete response.content;
+                            declared[code] = response;
+
+                            return declared;
+
+                        }, {});
+
+                        if (requestBody) {
+                            spec.requestBody = { description: requestBody.description, required: !!requestBody.required };
+                        }
+
+                        return spec;
+                    }
+
+                    querySchema() {
+                        return parameterSchema('query');
+                    }
+
+                    paramsSchema() {
+                        return parameterSchema('path');
+                    }
+
+                    headersSchema() {
+                        return parameterSchema('header');
+                    }
+
+                    cookiesSchema() {
+                        return parameterSchema('cookie');
+                    }
+
+                    bodySchema() {
+                        return requestBody ? mediaTypeSchemas(requestBody.content) : null;
+                    }
+
+                    responseCodeSchemas() {
+
+                        return Object.keys(responses)
+                            .filter(code => responses[code].content)
+                            .reduce((schemas, code) => {
+
+                                schemas[code] = mediaTypeSchemas(responses[code].content);
+                                return schemas;
+
+                            }, {});
+                    }
+                };
+
+                if (!handler) {
+                    missing.push(operation.operationId || `${method.toUpperCase()} ${path}`);
+                }
+
+                router.route(
+                    path.replace(/{([^}]+)}/g, ':$1'),
+                    SpecEndpoint.withHandler(handler || (() => {
+                        throw new EndpointError('Not implemented.', 501);
+                    })),
+                    method
+                );
+            });
+        });
+
+        if (missing.length && missingHandlers === 'throw') {
+            throw new Error(`No handlers were given for the following operations: ${missing.join(', ')}.`);
+        }
+
+        return router;
+    }
+
+    /**
+     * With a 3.1 openapi version, schemas are JSON Schema 2020-12, and requests are validated with Ajv 8's Ajv2020,
+     * which is either the Ajv2020 option, or require('ajv/dist/2020').
+     * With mock, every handler is replaced by one that makes up a response from the endpoint's responseCodeSchemas(),
+     * and the status code to mock can be chosen with the mockStatusHeader request header.
+     * With the "problem" errorFormat, errors are sent as application/problem+json (RFC 7807) rather than { code, message, details }.
+     * A validationErrorFormatter (a ValidationErrorFormatter) replaces Ajv's errors with a message per field.
+     * With hoistSchemas, inline schemas that are repeated across operations are moved into components.schemas in the spec.
+     *
+     * @returns {{openapi: string, Ajv2020: function|null, mock: boolean, mockStatusHeader: string, errorFormat: string, validationErrorFormatter: ValidationErrorFormatter|null, hoistSchemas: boolean}}
+     */
+    static defaultOptions() {
 
         return {
+            openapi: '3.0.0',
+            Ajv2020: null,
+            mock: false,
+            mockStatusHeader: 'X-Mock-Status',
+            errorFormat: 'json',
+            validationErrorFormatter: null,
+            hoistSchemas: false
+        };
+    }
+
+    /**
+     * The errors are described as they are sent with the given errorFormat and validationErrorFormatter options.
+     *
+     * @param {{errorFormat: string, validationErrorFormatter: ValidationErrorFormatter|null}} [options]
+     * @returns {{openapi: string, info: {}, paths: {}, components: {}}}
+     */
+    static defaultSpec(options = {}) {
+
+        const { errorFormat = 'json', validationErrorFormatter = null } = options;
+        const validationDetailsSchema = validationErrorFormatter ? ValidationErrorFormatter.schema() : {
+            type: 'array',
+            items: ajvErrorSchema()
+        };
+
+        const spec = {
             openapi: '3.0.0',
             info: {
                 title: 'Express Primer App',
@@ -446,29 +1168,7 @@ class Router {
                             message: {
                                 type: 'string'
                             },
-                            details: {
-                                type: 'array',
-                                items: {
-                                    type: 'object',
-                                    properties: {
-                                        dataPath: {
-                                            type: 'string'
-                                        },
-                                        keyword: {
-                                            type: 'string'
-                                        },
-                                        message: {
-                                            type: 'string'
-                                        },
-                                        params: {
-                                            type: 'object'
-                                        },
-                                        schemaPath: {
-                                            type: 'string'
-                                        }
-                                    }
-                                }
-                            }
+                            details: validationDetailsSchema
                         },
                         required: ['code', 'message', 'details']
                     },
@@ -498,6 +1198,27 @@ class Router {
                 securitySchemes: {}
             }
         };
+
+        if (errorFormat === 'problem') {
+
+            Object.assign(spec.components.schemas, {
+                EndpointError: problemSchema({
+                    details: {}
+                }),
+                ValidationError: problemSchema({
+                    errors: validationDetailsSchema
+                })
+            });
+
+            Object.keys(spec.components.responses).forEach(name => {
+
+                const response = spec.components.responses[name];
+
+                response.content = { [PROBLEM_MEDIA_TYPE]: response.content['application/json'] };
+            });
+        }
+
+        return spec;
     }
 }
 
@@ -0,0 +1,341 @@
+function isPlainObject(value) {
+
+    if (!value || typeof value !== 'object') {
+        return false;
+    }
+
+    const prototype = Object.getPrototypeOf(value);
+
+    return prototype === Object.prototype || prototype === null;
+}
+
+function typeOf(value) {
+
+    if (value === null) {
+        return 'null';
+    }
+
+    return Number.isInteger(value) ? 'integer' : typeof value;
+}
+
+/**
+ * Builds a JSON Schema with chained calls, e.g. S.object({ name: S.string().maxLength(25).default('hello') }).
+ * Every call returns a new builder, so builders can be shared and extended freely.
+ * Builders can be returned (anywhere in a schema) from an Endpoint's schema methods, and registered with router.component(),
+ * after which that router replaces them by a $ref to their component wherever they are used.
+ */
+class SchemaBuilder {
+
+    /**
+     *
+     * @param {{}} [keywords]
+     * @param {boolean} [isNullable]
+     */
+    constructor(keywords = {}, isNullable = false) {
+
+        this.keywords = keywords;
+        this.isNullable = isNullable;
+    }
+
+    /**
+     * Returns a copy of this builder with more keywords.
+     *
+     * @param {{}} keywords
+     * @returns {SchemaBuilder}
+     */
+    with(keywords) {
+
+        return new this.constructor(Object.assign({}, this.keywords, keywords), this.isNullable);
+    }
+
+    /**
+     * Sets any keyword, for those without a method of their own (e.g. x-errorMessage).
+     *
+     * @param {string} name
+     * @param {*} value
+     * @returns {SchemaBuilder}
+     */
+    keyword(name, value) {
+        return this.with({ [name]: value });
+    }
+
+    title(title) {
+        return this.with({ title });
+    }
+
+    description(description) {
+        return this.with({ description });
+    }
+
+    default(value) {
+        return this.with({ default: value });
+    }
+
+    example(value) {
+        return this.with({ examples: (this.keywords.examples || []).concat([value]) });
+    }
+
+    examples(...values) {
+        return this.with({ examples: values });
+    }
+
+    format(format) {
+        return this.with({ format });
+    }
+
+    deprecated() {
+        return this.with({ deprecated: true });
+    }
+
+    readOnly() {
+        return this.with({ readOnly: true });
+    }
+
+    writeOnly() {
+        return this.with({ writeOnly: true });
+    }
+
+    nullable() {
+        return new this.constructor(Object.assign({}, this.keywords), true);
+    }
+
+    minLength(minLength) {
+        return this.with({ minLength });
+    }
+
+    maxLength(maxLength) {
+        return this.with({ maxLength });
+    }
+
+    /**
+     *
+     * @param {string|RegExp} pattern
+     * @returns {SchemaBuilder}
+     */
+    pattern(pattern) {
+        return this.with({ pattern: pattern instanceof RegExp ? pattern.source : pattern });
+    }
+
+    minimum(minimum) {
+        return this.with({ minimum });
+    }
+
+    maximum(maximum) {
+        return this.with({ maximum });
+    }
+
+    exclusiveMinimum(exclusiveMinimum) {
+        return this.with({ exclusiveMinimum });
+    }
+
+    exclusiveMaximum(exclusiveMaximum) {
+        return this.with({ exclusiveMaximum });
+    }
+
+    multipleOf(multipleOf) {
+        return this.with({ multipleOf });
+    }
+
+    items(items) {
+        return this.with({ items });
+    }
+
+    minItems(minItems) {
+        return this.with({ minItems });
+    }
+
+    maxItems(maxItems) {
+        return this.with({ maxItems });
+    }
+
+    uniqueItems() {
+        return this.with({ uniqueItems: true });
+    }
+
+    /**
+     * Marks the given properties as required, or all of the properties when none are given.
+     *
+     * @param {...string} names
+     * @returns {SchemaBuilder}
+     */
+    required(...names) {
+        return this.with({ required: names.length ? names : Object.keys(this.keywords.properties || {}) });
+    }
+
+    /**
+     *
+     * @param {boolean|{}|SchemaBuilder} additionalProperties
+     * @returns {SchemaBuilder}
+     */
+    additionalProperties(additionalProperties) {
+        return this.with({ additionalProperties });
+    }
+
+    minProperties(minProperties) {
+        return this.with({ minProperties });
+    }
+
+    maxProperties(maxProperties) {
+        return this.with({ maxProperties });
+    }
+
+    /**
+     * Builds the schema, written for the given dialect: "draft-07" for OpenAPI 3.0, or "2020-12" for OpenAPI 3.1.
+     * Nested builders found in references (a map of builders to the $refs of the components they were registered as) become $refs.
+     *
+     * @param {string} [dialect]
+     * @param {WeakMap|null} [references]
+     * @returns {{}}
+     */
+    build(dialect = 'draft-07', references = null) {
+
+        const is2020 = dialect === '2020-12';
+        const schema = Object.keys(this.keywords).reduce((schema, key) => {
+
+            schema[key] = this.constructor.toSchema(this.keywords[key], dialect, references);
+            return schema;
+
+        }, {});
+
+        if (schema.examples && !is2020) {
+
+            schema.example = schema.examples[0];
+            delete schema.examples;
+        }
+
+        if (!this.isNullable) {
+            return schema;
+        }
+
+        if (Array.isArray(schema.enum) && !schema.enum.includes(null)) {
+            schema.enum = schema.enum.concat([null]);
+        }
+
+        if (typeof schema.type !== 'string') {
+            return { anyOf: [schema, is2020 ? { type: 'null' } : { enum: [null] }] };
+        }
+        if (is2020) {
+            schema.type = [schema.type, 'null'];
+        } else {
+            schema.nullable = true;
+        }
+
+        return schema;
+    }
+
+    /**
+     *
+     * @returns {{}}
+     */
+    toJSON() {
+        return this.constructor.toSchema(this);
+    }
+
+    /**
+     * Replaces the builders in a value (a schema, or anything that holds schemas) with the schemas they build.
+     * Values without builders are returned as they are.
+     *
+     * @param {*} value
+     * @param {string} [dialect]
+     * @param {WeakMap|null} [references]
+     * @returns {*}
+     */
+    static toSchema(value, dialect = 'draft-07', references = null) {
+
+        if (value instanceof SchemaBuilder) {
+            return references && references.has(value) ? { $ref: references.get(value) } : value.build(dialect, references);
+        }
+
+        if (Array.isArray(value)) {
+
+            const converted = value.map(item => this.toSchema(item, dialect, references));
+
+            return converted.some((item, index) => item !== value[index]) ? converted : value;
+        }
+
+        if (isPlainObject(value)) {
+
+            const keys = Object.keys(value);
+            const converted = keys.reduce((converted, key) => {
+
+                converted[key] = this.toSchema(value[key], dialect, references);
+                return converted;
+
+            }, {});
+
+            return keys.some(key => converted[key] !== value[key]) ? converted : value;
+        }
+
+        return value;
+    }
+
+    static string() {
+        return new this({ type: 'string' });
+    }
+
+    static number() {
+        return new this({ type: 'number' });
+    }
+
+    static integer() {
+        return new this({ type: 'integer' });
+    }
+
+    static boolean() {
+        return new this({ type: 'boolean' });
+    }
+
+    /**
+     *
+     * @param {{}|SchemaBuilder} [items]
+     * @returns {SchemaBuilder}
+     */
+    static array(items = null) {
+        return new this(items ? { type: 'array', items } : { type: 'array' });
+    }
+
+    /**
+     *
+     * @param {{}} [properties] schemas or builders, by property name.
+     * @returns {SchemaBuilder}
+     */
+    static object(properties = {}) {
+        return new this({ type: 'object', properties });
+    }
+
+    /**
+     * An enum, typed when all of its values have the same type.
+     *
+     * @param {[]} values
+     * @returns {SchemaBuilder}
+     */
+    static enum(values) {
+
+        const types = values.map(typeOf).filter((type, index, types) => types.indexOf(type) === index);
+
+        return new this(types.length === 1 && types[0] !== 'null' ? { type: types[0], enum: values } : { enum: values });
+    }
+
+    static oneOf(...schemas) {
+        return new this({ oneOf: schemas });
+    }
+
+    static anyOf(...schemas) {
+        return new this({ anyOf: schemas });
+    }
+
+    static allOf(...schemas) {
+        return new this({ allOf: schemas });
+    }
+
+    /**
+     * A schema that allows anything, to describe with the other methods.
+     *
+     * @returns {SchemaBuilder}
+     */
+    static any() {
+        return new this();
+    }
+}
+
+module.exports = SchemaBuilder;
@@ -0,0 +1,181 @@
+const EndpointError = require('./EndpointError');
+
+function isJson(mediaType) {
+
+    const type = mediaType.split(';')[0].trim().toLowerCase();
+
+    return type === 'application/json' || type.endsWith('+json');
+}
+
+function csvValue(value) {
+
+    if (value === undefined || value === null) {
+        return '';
+    }
+
+    const text = typeof value === 'object' ? JSON.stringify(value) : `${value}`;
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function xmlEscape(value) {
+
+    return `${value}`
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function xmlName(name) {
+
+    const cleaned = `${name}`.replace(/[^A-Za-z0-9_.-]/g, '_');
+
+    return /^[A-Za-z_]/.test(cleaned) ? cleaned : `_${cleaned}`;
+}
+
+function xmlElement(name, value) {
+
+    if (value === undefined || value === null) {
+        return `<${name}/>`;
+    }
+
+    if (Array.isArray(value)) {
+        return `<${name}>${value.map(item => xmlElement('item', item)).join('')}</${name}>`;
+    }
+
+    if (typeof value === 'object') {
+        return `<${name}>${Object.keys(value).map(key => xmlElement(xmlName(key), value[key])).join('')}</${name}>`;
+    }
+
+    return `<${name}>${xmlEscape(value)}</${name}>`;
+}
+
+/**
+ * A registry of response serializers, keyed by media type.
+ * Each serializer is a function of (body, schema) that returns a string or Buffer.
+ */
+class Serializers {
+
+    /**
+     *
+     * @param {{}} [serializers]
+     */
+    constructor(serializers = {}) {
+
+        this.serializers = {};
+
+        Object.keys(serializers).forEach(mediaType => this.register(mediaType, serializers[mediaType]));
+    }
+
+    /**
+     *
+     * @param {string} mediaType
+     * @param {function} serializer
+     * @returns {Serializers}
+     */
+    register(mediaType, serializer) {
+
+        this.serializers[mediaType.toLowerCase()] = serializer;
+
+        return this;
+    }
+
+    /**
+     * Finds the serializer for a media type, falling back to structured syntax suffixes (e.g. +json)
+     * and then to wildcard registrations (e.g. text/*).
+     *
+     * @param {string} mediaType
+     * @returns {function|null}
+     */
+    find(mediaType) {
+
+        const type = mediaType.split(';')[0].trim().toLowerCase();
+        const suffix = type.includes('+') ? type.slice(type.lastIndexOf('+') + 1) : null;
+
+        return this.serializers[type]
+            || (suffix && this.serializers[`application/${suffix}`])
+            || this.serializers[`${type.split('/')[0]}/*`]
+            || null;
+    }
+
+    /**
+     * Whether a body can be sent as the given media type, either as it is or through a serializer.
+     *
+     * @param {*} body
+     * @param {string} mediaType
+     * @returns {boolean}
+     */
+    canSerialize(body, mediaType) {
+
+        // a string is already in its final form for any type but JSON, where it still has to become a JSON string.
+        return Buffer.isBuffer(body) || (typeof body === 'string' && !isJson(mediaType)) || !!this.find(mediaType);
+    }
+
+    /**
+     *
+     * @param {*} body
+     * @param {string} mediaType
+     * @param {{}} [schema]
+     * @returns {string|Buffer}
+     */
+    serialize(body, mediaType, schema = {}) {
+
+        if (Buffer.isBuffer(body) || (typeof body === 'string' && !isJson(mediaType))) {
+            return body;
+        }
+
+        const serializer = this.find(mediaType);
+
+        if (!serializer) {
+            throw new EndpointError(`No serializer is registered for ${mediaType}.`, 500, { mediaType });
+        }
+
+        return serializer(body, schema);
+    }
+
+    /**
+     *
+     * @returns {{}}
+     */
+    static defaults() {
+
+        return {
+            'application/json': body => JSON.stringify(body),
+            'text/*': body => typeof body === 'object' ? JSON.stringify(body) : `${body}`,
+            'text/csv': body => {
+
+                const rows = Array.isArray(body) ? body : [body];
+
+                if (rows.every(Array.isArray)) {
+                    return rows.map(row => row.map(csvValue).join(',')).join('\r\n');
+                }
+
+                const columns = rows.reduce((columns, row) => {
+
+                    Object.keys(row || {}).forEach(key => {
+                        if (!columns.includes(key)) {
+                            columns.push(key);
+                        }
+                    });
+
+                    return columns;
+
+                }, []);
+
+                return [columns.map(csvValue).join(',')]
+                    .concat(rows.map(row => columns.map(column => csvValue((row || {})[column])).join(',')))
+                    .join('\r\n');
+            },
+            'application/xml': (body, schema = {}) => {
+
+                const root = xmlName((schema.xml && schema.xml.name) || 'response');
+
+                return `<?xml version="1.0" encoding="UTF-8"?>${xmlElement(root, body)}`;
+            }
+        };
+    }
+}
+
+module.exports = Serializers;
@@ -0,0 +1,227 @@
+const Ajv = require('ajv');
+
+const { eachOperation, followReference } = require('./operations');
+
+function pointer(...segments) {
+
+    return `#/${segments.map(segment => `${segment}`.replace(/~/g, '~0').replace(/\//g, '~1')).join('/')}`;
+}
+
+class SpecValidator {
+
+    /**
+     *
+     * @param {{}} spec
+     */
+    constructor(spec) {
+
+        this.spec = spec;
+    }
+
+    /**
+     * Checks the spec against the OpenAPI 3.0 schema, then runs the checks that a schema can't express.
+     *
+     * @returns {{valid: boolean, errors: [{path: string, message: string}], report: string}}
+     */
+    validate() {
+
+        const errors = []
+            .concat(this.operationIdErrors())
+            .concat(this.pathParameterErrors())
+            .concat(this.referenceErrors())
+            .concat(this.responseErrors());
+
+        // a missing property is usually already explained by one of the checks above.
+        const schemaErrors = this.schemaErrors()
+            .filter(error => error.keyword !== 'required' || !errors.some(e => e.path === error.path))
+            .map(({ path, message }) => ({ path, message }));
+
+        const unique = schemaErrors.concat(errors).filter((error, index, all) => {
+
+            return all.findIndex(e => e.path === error.path && e.message === error.message) === index;
+        });
+
+        return {
+            valid: unique.length === 0,
+            errors: unique,
+            report: this.constructor.report(unique)
+        };
+    }
+
+    /**
+     *
+     * @returns {[{path: string, keyword: string, message: string}]}
+     */
+    schemaErrors() {
+
+        const validate = this.constructor.compile();
+
+        if (validate(this.spec)) {
+            return [];
+        }
+
+        // failing to be a Schema (or Response, etc) also means failing to be a Reference, which is just noise.
+        return validate.errors
+            .filter(error => !['oneOf', 'anyOf', 'if'].includes(error.keyword))
+            .filter(error => !error.schemaPath.startsWith('#/definitions/Reference/'))
+            .map(error => ({
+                path: `#${error.dataPath}`,
+                keyword: error.keyword,
+                message: error.keyword === 'additionalProperties'
+                    ? `has an unexpected property "${error.params.additionalProperty}".`
+                    : `${error.message}.`
+            }));
+    }
+
+    /**
+     *
+     * @returns {[{path: string, message: string}]}
+     */
+    operationIdErrors() {
+
+        const seen = {};
+        const errors = [];
+
+        eachOperation(this.spec, (method, path, operation) => {
+
+            if (!operation.operationId) {
+                return;
+            }
+            if (seen[operation.operationId]) {
+                errors.push({
+                    path: pointer('paths', path, method, 'operationId'),
+                    message: `duplicates the operationId "${operation.operationId}" of ${seen[operation.operationId]}.`
+                });
+            } else {
+                seen[operation.operationId] = `${method.toUpperCase()} ${path}`;
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     *
+     * @returns {[{path: string, message: string}]}
+     */
+    pathParameterErrors() {
+
+        const errors = [];
+
+        eachOperation(this.spec, (method, path, operation, pathItem) => {
+
+            const templated = (path.match(/{[^}]+}/g) || []).map(match => match.slice(1, -1));
+            const declared = (pathItem.parameters || []).concat(operation.parameters || [])
+                .map(parameter => followReference(this.spec, parameter) || {})
+                .filter(parameter => parameter.in === 'path')
+                .map(parameter => parameter.name);
+
+            templated.filter(name => !declared.includes(name)).forEach(name => errors.push({
+                path: pointer('paths', path, method),
+                message: `has no path parameter for {${name}}.`
+            }));
+
+            declared.filter(name => !templated.includes(name)).forEach(name => errors.push({
+                path: pointer('paths', path, method),
+                message: `declares the path parameter "${name}", which is not in the path.`
+            }));
+        });
+
+        return errors;
+    }
+
+    /**
+     *
+     * @returns {[{path: string, message: string}]}
+     */
+    referenceErrors() {
+
+        const errors = [];
+        const visit = (value, segments) => {
+
+            if (!value || typeof value !== 'object') {
+                return;
+            }
+            if (typeof value.$ref === 'string' && value.$ref.startsWith('#') && followReference(this.spec, value) === undefined) {
+                errors.push({
+                    path: pointer(...segments),
+                    message: `refers to ${value.$ref}, which does not exist.`
+                });
+            }
+
+            Object.keys(value).forEach(key => visit(value[key], segments.concat(key)));
+        };
+
+        visit(this.spec, []);
+
+        return errors;
+    }
+
+    /**
+     *
+     * @returns {[{path: string, message: string}]}
+     */
+    responseErrors() {
+
+        const errors = [];
+
+        eachOperation(this.spec, (method, path, operation) => {
+
+            const responses = operation.responses || {};
+
+            Object.keys(responses).forEach(code => {
+
+                const response = followReference(this.spec, responses[code]);
+
+                if (response && !response.description) {
+                    errors.push({
+                        path: pointer('paths', path, method, 'responses', code),
+                        message: 'has no description.'
+                    });
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * A readable summary of the errors, one per line.
+     *
+     * @param {[{path: string, message: string}]} errors
+     * @returns {string}
+     */
+    static report(errors) {
+
+        if (!errors.length) {
+            return 'The OpenAPI spec is valid.';
+        }
+
+        const count = errors.length === 1 ? '1 problem' : `${errors.length} problems`;
+
+        return `The OpenAPI spec has ${count}:\n${errors.map(error => `  ${error.path} ${error.message}`).join('\n')}`;
+    }
+
+    /**
+     * Compiles the bundled OpenAPI 3.0 schema once.
+     * It is the draft-04 JSON schema published by the OpenAPI Initiative as https://spec.openapis.org/oas/3.0/schema/2019-04-02.
+     *
+     * @returns {function}
+     */
+    static compile() {
+
+        if (!SpecValidator.validator) {
+
+            const ajv = new Ajv({ schemaId: 'auto', jsonPointers: true, allErrors: true, unknownFormats: 'ignore' });
+
+            ajv.addMetaSchema(require('ajv/lib/refs/json-schema-draft-04.json'));
+            SpecValidator.validator = ajv.compile(require('./schemas/openapi-3.0.json'));
+        }
+
+        return SpecValidator.validator;
+    }
+}
+
+SpecValidator.validator = null;
+
+module.exports = SpecValidator;
@@ -0,0 +1,93 @@
+const Response = require('./Response');
+
+/**
+ * Headers that describe the streamed content, which must not be sent along with an error instead.
+ */
+const CONTENT_HEADERS = ['Content-Type', 'Content-Length', 'Content-Disposition', 'Content-Range'];
+
+class StreamResponse extends Response {
+
+    /**
+     *
+     * @param {stream.Readable} readable
+     * @param {string} mediaType
+     * @param {number} [code]
+     * @param {{}} [headers]
+     */
+    constructor(readable, mediaType = 'application/octet-stream', code = undefined, headers = undefined) {
+
+        super(readable, code, headers);
+
+        this.headers = Object.assign({ 'Content-Type': mediaType }, this.headers);
+    }
+
+    /**
+     * The stream to send, which subclasses can create only once the response is sent.
+     *
+     * @returns {stream.Readable}
+     */
+    stream() {
+
+        return this.body;
+    }
+
+    /**
+     * Pipes the stream to the client, which pauses the stream whenever the client can't keep up.
+     * If the stream fails before anything is sent, the returned promise rejects so that an error response can be sent instead.
+     * If it fails midway, the connection is closed.
+     *
+     * @param req
+     * @param res
+     * @returns {Promise}
+     */
+    send(req, res) {
+
+        const readable = this.stream();
+
+        return new Promise((resolve, reject) => {
+
+            const cleanUp = () => {
+
+                readable.removeListener('error', onError);
+                res.removeListener('finish', onFinish);
+                res.removeListener('close', onClose);
+            };
+            const onError = err => {
+
+                cleanUp();
+                readable.unpipe(res);
+
+                if (!res.headersSent) {
+                    CONTENT_HEADERS.forEach(header => res.removeHeader(header));
+                    return reject(err);
+                }
+
+                res.destroy(err);
+                resolve();
+            };
+            const onFinish = () => {
+
+                cleanUp();
+                resolve();
+            };
+            const onClose = () => {
+
+                // the client went away before the stream ended, so there's no point in reading the rest.
+                cleanUp();
+
+                if (typeof readable.destroy === 'function') {
+                    readable.destroy();
+                }
+
+                resolve();
+            };
+
+            readable.on('error', onError);
+            res.on('finish', onFinish);
+            res.on('close', onClose);
+            readable.pipe(res);
+        });
+    }
+}
+
+module.exports = StreamResponse;
@@ -0,0 +1,660 @@
+const { METHODS, followReference } = require('./operations');
+
+const FORM_MEDIA_TYPES = ['multipart/form-data', 'application/x-www-form-urlencoded'];
+
+const REFERENCES = {
+    '#/components/schemas/': '#/definitions/',
+    '#/components/parameters/': '#/parameters/',
+    '#/components/responses/': '#/responses/'
+};
+
+/**
+ * Schema keywords that Swagger 2.0 has no equivalent for.
+ */
+const UNSUPPORTED_SCHEMA_KEYWORDS = ['oneOf', 'anyOf', 'not', 'writeOnly', 'deprecated'];
+
+/**
+ * The schema keywords a non-body parameter (or a header) can have.
+ */
+const PARAMETER_SCHEMA_KEYWORDS = [
+    'type', 'format', 'items', 'default', 'maximum', 'exclusiveMaximum', 'minimum', 'exclusiveMinimum',
+    'maxLength', 'minLength', 'pattern', 'maxItems', 'minItems', 'uniqueItems', 'enum', 'multipleOf'
+];
+
+function pointer(...segments) {
+
+    return `#/${segments.map(segment => `${segment}`.replace(/~/g, '~0').replace(/\//g, '~1')).join('/')}`;
+}
+
+class Swagger2Converter {
+
+    /**
+     *
+     * @param {{}} spec an OpenAPI 3.0 document
+     */
+    constructor(spec) {
+
+        this.spec = spec;
+        this.warnings = [];
+    }
+
+    /**
+     * Translates the spec into a Swagger 2.0 document.
+     * Whatever Swagger 2.0 can't represent is left out, and listed in the warnings.
+     *
+     * @returns {{spec: {}, warnings: [{path: string, message: string}]}}
+     */
+    convert() {
+
+        const spec = this.spec;
+        const components = spec.components || {};
+        const swagger = { swagger: '2.0', info: Object.assign({}, spec.info) };
+
+        this.warnings = [];
+
+        Object.assign(swagger, this.convertServers(spec.servers || []));
+
+        ['security', 'tags', 'externalDocs'].filter(key => spec[key]).forEach(key => {
+            swagger[key] = spec[key];
+        });
+
+        swagger.paths = Object.keys(spec.paths || {}).reduce((paths, path) => {
+
+            paths[path] = this.convertPathItem(spec.paths[path], path);
+            return paths;
+
+        }, {});
+
+        const definitions = this.convertMap(components.schemas, 'schemas', (schema, name) => {
+            return this.convertSchema(schema, pointer('components', 'schemas', name));
+        });
+        const parameters = this.convertMap(components.parameters, 'parameters', (parameter, name) => {
+            return this.convertParameter(parameter, pointer('components', 'parameters', name));
+        });
+        const responses = this.convertMap(components.responses, 'responses', (response, name) => {
+            return this.convertResponse(response, pointer('components', 'responses', name)).response;
+        });
+        const securityDefinitions = this.convertMap(components.securitySchemes, 'securitySchemes', (scheme, name) => {
+            return this.convertSecurityScheme(scheme, pointer('components', 'securitySchemes', name));
+        });
+
+        Object.assign(swagger, { definitions, parameters, responses, securityDefinitions });
+
+        ['definitions', 'parameters', 'responses', 'securityDefinitions']
+            .filter(key => !Object.keys(swagger[key]).length)
+            .forEach(key => delete swagger[key]);
+
+        Object.keys(components)
+            .filter(key => !['schemas', 'parameters', 'responses', 'securitySchemes', 'requestBodies', 'headers'].includes(key))
+            .filter(key => Object.keys(components[key] || {}).length)
+            .forEach(key => this.warn(pointer('components', key), `has no Swagger 2.0 equivalent, so it was left out.`));
+
+        return { spec: swagger, warnings: this.warnings };
+    }
+
+    /**
+     * Swagger 2.0 has a single host, base path and set of schemes, so only the first server can be kept.
+     *
+     * @param {[{}]} servers
+     * @returns {{}}
+     */
+    convertServers(servers) {
+
+        if (!servers.length) {
+            return {};
+        }
+        if (servers.length > 1) {
+            this.warn(pointer('servers'), 'has more than one server, so only the first was kept.');
+        }
+
+        const server = servers[0];
+
+        if (server.variables && Object.keys(server.variables).length) {
+            this.warn(pointer('servers', 0), 'uses variables, so their default values were used.');
+        }
+
+        const url = (server.url || '').replace(/{([^}]+)}/g, (match, name) => {
+            return ((server.variables || {})[name] || {}).default || '';
+        });
+        const match = url.match(/^(?:([a-z][a-z0-9+.-]*):)?(?:\/\/([^/]*))?(.*)$/i);
+        const converted = {};
+
+        if (match[1]) {
+            converted.schemes = [match[1].toLowerCase()];
+        }
+        if (match[2]) {
+            converted.host = match[2];
+        }
+        if (match[3] && match[3] !== '/') {
+            converted.basePath = match[3].replace(/\/$/, '');
+        }
+
+        return converted;
+    }
+
+    /**
+     *
+     * @param {{}} pathItem
+     * @param {string} path
+     * @returns {{}}
+     */
+    convertPathItem(pathItem, path) {
+
+        const converted = {};
+
+        if (pathItem.$ref) {
+            this.warn(pointer('paths', path), 'is a reference to another path item, which Swagger 2.0 does not support.');
+            return converted;
+        }
+
+        ['summary', 'description', 'servers'].filter(key => pathItem[key]).forEach(key => {
+            this.warn(pointer('paths', path, key), 'has no Swagger 2.0 equivalent on a path item, so it was left out.');
+        });
+
+        if (pathItem.parameters) {
+            converted.parameters = this.convertParameters(pathItem.parameters, pointer('paths', path, 'parameters'));
+        }
+
+        METHODS.filter(method => pathItem[method]).forEach(method => {
+
+            if (method === 'trace') {
+                this.warn(pointer('paths', path, method), 'is a TRACE operation, which Swagger 2.0 does not support.');
+                return;
+            }
+
+            converted[method] = this.convertOperation(pathItem[method], pointer('paths', path, method));
+        });
+
+        return converted;
+    }
+
+    /**
+     *
+     * @param {{}} operation
+     * @param {string} at
+     * @returns {{}}
+     */
+    convertOperation(operation, at) {
+
+        const converted = {};
+
+        ['tags', 'summary', 'description', 'externalDocs', 'operationId', 'deprecated', 'security']
+            .filter(key => operation[key] !== undefined)
+            .forEach(key => converted[key] = operation[key]);
+
+        ['callbacks', 'servers'].filter(key => operation[key]).forEach(key => {
+            this.warn(`${at}/${key}`, 'has no Swagger 2.0 equivalent, so it was left out.');
+        });
+
+        const parameters = this.convertParameters(operation.parameters || [], `${at}/parameters`);
+
+        if (operation.requestBody) {
+
+            const { consumes, parameters: bodyParameters } = this.convertRequestBody(operation.requestBody, `${at}/requestBody`);
+
+            converted.consumes = consumes;
+            bodyParameters.forEach(parameter => parameters.push(parameter));
+        }
+
+        if (parameters.length) {
+            converted.parameters = parameters;
+        }
+
+        const produces = [];
+
+        converted.responses = Object.keys(operation.responses || {}).reduce((responses, code) => {
+
+            if (!/^([0-9]{3}|default)$/.test(code)) {
+                this.warn(`${at}/responses/${code}`, 'is a range of status codes, which Swagger 2.0 does not support.');
+                return responses;
+            }
+
+            const { response, mediaTypes } = this.convertResponse(operation.responses[code], `${at}/responses/${code}`);
+
+            mediaTypes.filter(mediaType => !produces.includes(mediaType)).forEach(mediaType => produces.push(mediaType));
+            responses[code] = response;
+
+            return responses;
+
+        }, {});
+
+        if (produces.length) {
+            converted.produces = produces;
+        }
+
+        return converted;
+    }
+
+    /**
+     *
+     * @param {[{}]} parameters
+     * @param {string} at
+     * @returns {[{}]}
+     */
+    convertParameters(parameters, at) {
+
+        return parameters
+            .map((parameter, index) => this.convertParameter(parameter, `${at}/${index}`))
+            .filter(parameter => !!parameter);
+    }
+
+    /**
+     *
+     * @param {{}} parameter
+     * @param {string} at
+     * @returns {{}|null}
+     */
+    convertParameter(parameter, at) {
+
+        if (parameter.$ref) {
+            return { $ref: this.convertRef(parameter.$ref, at) };
+        }
+        if (parameter.in === 'cookie') {
+            this.warn(at, `is the cookie parameter "${parameter.name}", which Swagger 2.0 does not support.`);
+            return null;
+        }
+
+        const converted = { name: parameter.name, in: parameter.in };
+
+        ['description', 'required', 'allowEmptyValue'].filter(key => parameter[key] !== undefined).forEach(key => {
+            converted[key] = parameter[key];
+        });
+
+        if (parameter.content) {
+            this.warn(at, `describes "${parameter.name}" with content, which Swagger 2.0 does not support, so it is treated as a string.`);
+            return Object.assign(converted, { type: 'string' });
+        }
+        if (parameter.deprecated) {
+            this.warn(`${at}/deprecated`, 'has no Swagger 2.0 equivalent on a parameter, so it was left out.');
+        }
+        if (parameter.example !== undefined || parameter.examples) {
+            this.warn(at, `has examples of "${parameter.name}", which Swagger 2.0 does not support on parameters.`);
+        }
+
+        Object.assign(converted, this.convertSimpleSchema(parameter.schema || { type: 'string' }, `${at}/schema`));
+
+        if (converted.type === 'array') {
+            converted.collectionFormat = this.collectionFormat(parameter);
+        }
+
+        return converted;
+    }
+
+    /**
+     * Translates a parameter's style and explode into a Swagger 2.0 collectionFormat.
+     *
+     * @param {{}} parameter
+     * @returns {string}
+     */
+    collectionFormat(parameter) {
+
+        const style = parameter.style || (['query', 'cookie'].includes(parameter.in) ? 'form' : 'simple');
+        const explode = parameter.explode !== undefined ? parameter.explode : style === 'form';
+
+        switch (style) {
+            case 'form':
+                return explode && ['query', 'formData'].includes(parameter.in) ? 'multi' : 'csv';
+            case 'spaceDelimited':
+                return 'ssv';
+            case 'pipeDelimited':
+                return 'pipes';
+            default:
+                return 'csv';
+        }
+    }
+
+    /**
+     * Non-body parameters and headers can only be primitives, or arrays of primitives.
+     *
+     * @param {{}} schema
+     * @param {string} at
+     * @returns {{}}
+     */
+    convertSimpleSchema(schema, at) {
+
+        schema = followReference(this.spec, schema);
+
+        if (!schema || schema.type === 'object' || schema.properties || !schema.type) {
+            this.warn(at, 'is not a primitive or an array, which Swagger 2.0 only allows in a body, so it is treated as a string.');
+            return { type: 'string' };
+        }
+
+        const converted = PARAMETER_SCHEMA_KEYWORDS.filter(key => schema[key] !== undefined).reduce((converted, key) => {
+
+            converted[key] = schema[key];
+            return converted;
+
+        }, {});
+
+        // nullable and vendor extensions can be kept as extensions, but nothing else beyond those keywords
+        // (descriptions are left to the parameter or header itself).
+        Object.keys(schema).filter(key => !PARAMETER_SCHEMA_KEYWORDS.includes(key) && key !== 'description').forEach(key => {
+
+            if (key === 'nullable') {
+                converted['x-nullable'] = schema[key];
+            } else if (key.startsWith('x-')) {
+                converted[key] = schema[key];
+            } else {
+                this.warn(`${at}/${key}`, `uses "${key}", which Swagger 2.0 does not support on parameters and headers, so it was left out.`);
+            }
+        });
+
+        if (schema.type === 'string' && schema.format === 'binary') {
+            converted.type = 'file';
+            delete converted.format;
+        }
+        if (converted.items) {
+            converted.items = this.convertSimpleSchema(converted.items, `${at}/items`);
+        }
+
+        return converted;
+    }
+
+    /**
+     * A request body becomes either a single body parameter, or one formData parameter per property.
+     *
+     * @param {{}} requestBody
+     * @param {string} at
+     * @returns {{consumes: string[], parameters: [{}]}}
+     */
+    convertRequestBody(requestBody, at) {
+
+        requestBody = followReference(this.spec, requestBody) || {};
+
+        const content = requestBody.content || {};
+        const mediaTypes = Object.keys(content);
+        const isForm = FORM_MEDIA_TYPES.includes(mediaTypes[0]);
+        const consumes = mediaTypes.filter(mediaType => FORM_MEDIA_TYPES.includes(mediaType) === isForm);
+
+        mediaTypes.filter(mediaType => !consumes.includes(mediaType)).forEach(mediaType => {
+            this.warn(`${at}/content/${mediaType.replace(/\//g, '~1')}`, `cannot be accepted alongside ${mediaTypes[0]} in Swagger 2.0, so it was left out.`);
+        });
+
+        const schemas = consumes.map(mediaType => JSON.stringify(content[mediaType].schema || {}));
+
+        if (new Set(schemas).size > 1) {
+            this.warn(`${at}/content`, `has a different schema per media type, so only the one for ${consumes[0]} was kept.`);
+        }
+
+        const schema = (content[consumes[0]] || {}).schema || {};
+
+        if (!isForm) {
+
+            const parameter = { name: 'body', in: 'body', schema: this.convertSchema(schema, `${at}/content/${consumes[0].replace(/\//g, '~1')}/schema`) };
+
+            if (requestBody.description) {
+                parameter.description = requestBody.description;
+            }
+            if (requestBody.required) {
+                parameter.required = true;
+            }
+
+            return { consumes, parameters: [ parameter ] };
+        }
+
+        const resolved = followReference(this.spec, schema) || {};
+        const properties = resolved.properties || {};
+        const required = resolved.required || [];
+        const encoding = content[consumes[0]].encoding || {};
+
+        if (Object.keys(encoding).length) {
+            this.warn(`${at}/content/${consumes[0].replace(/\//g, '~1')}/encoding`, 'has no Swagger 2.0 equivalent, so it was left out.');
+        }
+
+        const parameters = Object.keys(properties).map(name => {
+
+            const property = followReference(this.spec, properties[name]) || {};
+            const parameter = { name, in: 'formData' };
+
+            if (property.description) {
+                parameter.description = property.description;
+            }
+            if (required.includes(name)) {
+                parameter.required = true;
+            }
+
+            Object.assign(parameter, this.convertSimpleSchema(property, `${at}/content/${consumes[0].replace(/\//g, '~1')}/schema/properties/${name}`));
+
+            if (parameter.type === 'array') {
+                parameter.collectionFormat = 'multi';
+            }
+
+            return parameter;
+        });
+
+        return { consumes, parameters };
+    }
+
+    /**
+     *
+     * @param {{}} response
+     * @param {string} at
+     * @returns {{response: {}, mediaTypes: string[]}}
+     */
+    convertResponse(response, at) {
+
+        if (response.$ref) {
+
+            const resolved = followReference(this.spec, response) || {};
+
+            return { response: { $ref: this.convertRef(response.$ref, at) }, mediaTypes: Object.keys(resolved.content || {}) };
+        }
+
+        const content = response.content || {};
+        const mediaTypes = Object.keys(content);
+        const converted = { description: response.description || '' };
+
+        if (mediaTypes.length) {
+
+            const schemas = mediaTypes.map(mediaType => JSON.stringify(content[mediaType].schema || {}));
+
+            if (new Set(schemas).size > 1) {
+                this.warn(`${at}/content`, `has a different schema per media type, so only the one for ${mediaTypes[0]} was kept.`);
+            }
+            if (content[mediaTypes[0]].schema) {
+                converted.schema = this.convertSchema(content[mediaTypes[0]].schema, `${at}/content/${mediaTypes[0].replace(/\//g, '~1')}/schema`);
+            }
+
+            const examples = mediaTypes.filter(mediaType => content[mediaType].example !== undefined).reduce((examples, mediaType) => {
+
+                examples[mediaType] = content[mediaType].example;
+                return examples;
+
+            }, {});
+
+            if (Object.keys(examples).length) {
+                converted.examples = examples;
+            }
+        }
+
+        if (response.headers) {
+
+            converted.headers = Object.keys(response.headers).reduce((headers, name) => {
+
+                const header = followReference(this.spec, response.headers[name]) || {};
+
+                headers[name] = Object.assign(
+                    header.description ? { description: header.description } : {},
+                    this.convertSimpleSchema(header.schema || { type: 'string' }, `${at}/headers/${name}/schema`)
+                );
+
+                return headers;
+
+            }, {});
+        }
+        if (response.links) {
+            this.warn(`${at}/links`, 'has no Swagger 2.0 equivalent, so it was left out.');
+        }
+
+        return { response: converted, mediaTypes };
+    }
+
+    /**
+     *
+     * @param {*} schema
+     * @param {string} at
+     * @returns {*}
+     */
+    convertSchema(schema, at) {
+
+        if (Array.isArray(schema)) {
+            return schema.map((item, index) => this.convertSchema(item, `${at}/${index}`));
+        }
+        if (!schema || typeof schema !== 'object') {
+            return schema;
+        }
+
+        return Object.keys(schema).reduce((converted, key) => {
+
+            const value = schema[key];
+
+            if (key === '$ref' && typeof value === 'string') {
+                converted.$ref = this.convertRef(value, at);
+            } else if (key === 'nullable') {
+                converted['x-nullable'] = value;
+            } else if (UNSUPPORTED_SCHEMA_KEYWORDS.includes(key)) {
+                this.warn(`${at}/${key}`, `uses "${key}", which Swagger 2.0 does not support, so it was left out.`);
+            } else if (['enum', 'default', 'example', 'required', 'xml', 'externalDocs', 'discriminator'].includes(key)) {
+                converted[key] = key === 'discriminator' && value && typeof value === 'object' ? value.propertyName : value;
+            } else {
+                converted[key] = this.convertSchema(value, `${at}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`);
+            }
+
+            return converted;
+
+        }, {});
+    }
+
+    /**
+     *
+     * @param {{}} scheme
+     * @param {string} at
+     * @returns {{}|null}
+     */
+    convertSecurityScheme(scheme, at) {
+
+        const description = scheme.description ? { description: scheme.description } : {};
+
+        switch (scheme.type) {
+            case 'apiKey':
+                if (scheme.in === 'cookie') {
+                    this.warn(at, 'is an API key in a cookie, which Swagger 2.0 does not support.');
+                    return null;
+                }
+                return Object.assign({ type: 'apiKey', name: scheme.name, in: scheme.in }, description);
+
+            case 'http':
+                if (`${scheme.scheme}`.toLowerCase() === 'basic') {
+                    return Object.assign({ type: 'basic' }, description);
+                }
+                if (`${scheme.scheme}`.toLowerCase() === 'bearer') {
+                    this.warn(at, 'is a bearer token, which Swagger 2.0 can only describe as an API key in the Authorization header.');
+                    return Object.assign({ type: 'apiKey', name: 'Authorization', in: 'header' }, description);
+                }
+                this.warn(at, `uses the HTTP "${scheme.scheme}" scheme, which Swagger 2.0 does not support.`);
+                return null;
+
+            case 'oauth2':
+                return this.convertOAuth2(scheme, at, description);
+
+            default:
+                this.warn(at, `is a(n) ${scheme.type} security scheme, which Swagger 2.0 does not support.`);
+                return null;
+        }
+    }
+
+    /**
+     * Swagger 2.0 only has one flow per OAuth2 security definition, so only the first flow is kept.
+     *
+     * @param {{}} scheme
+     * @param {string} at
+     * @param {{}} description
+     * @returns {{}|null}
+     */
+    convertOAuth2(scheme, at, description) {
+
+        const FLOWS = {
+            implicit: 'implicit',
+            password: 'password',
+            clientCredentials: 'application',
+            authorizationCode: 'accessCode'
+        };
+        const flows = Object.keys(scheme.flows || {}).filter(flow => FLOWS[flow]);
+
+        if (!flows.length) {
+            this.warn(at, 'has no OAuth2 flows that Swagger 2.0 supports.');
+            return null;
+        }
+        if (flows.length > 1) {
+            this.warn(`${at}/flows`, `has more than one flow, so only the ${flows[0]} flow was kept.`);
+        }
+
+        const flow = scheme.flows[flows[0]];
+        const converted = Object.assign({ type: 'oauth2', flow: FLOWS[flows[0]] }, description);
+
+        if (flow.authorizationUrl) {
+            converted.authorizationUrl = flow.authorizationUrl;
+        }
+        if (flow.tokenUrl) {
+            converted.tokenUrl = flow.tokenUrl;
+        }
+
+        converted.scopes = flow.scopes || {};
+
+        return converted;
+    }
+
+    /**
+     *
+     * @param {{}|undefined} map
+     * @param {string} component
+     * @param {function} convert
+     * @returns {{}}
+     */
+    convertMap(map, component, convert) {
+
+        return Object.keys(map || {}).reduce((converted, name) => {
+
+            const value = convert(map[name], name);
+
+            if (value) {
+                converted[name] = value;
+            }
+
+            return converted;
+
+        }, {});
+    }
+
+    /**
+     *
+     * @param {string} ref
+     * @param {string} at
+     * @returns {string}
+     */
+    convertRef(ref, at) {
+
+        const prefix = Object.keys(REFERENCES).find(prefix => ref.startsWith(prefix));
+
+        if (prefix) {
+            return REFERENCES[prefix] + ref.slice(prefix.length);
+        }
+        if (ref.startsWith('#/')) {
+            this.warn(at, `refers to ${ref}, which has no Swagger 2.0 equivalent.`);
+        }
+
+        return ref;
+    }
+
+    /**
+     *
+     * @param {string} path
+     * @param {string} message
+     */
+    warn(path, message) {
+
+        this.warnings.push({ path, message });
+    }
+}
+
+module.exports = Swagger2Converter;
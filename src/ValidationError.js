@@ -6,6 +6,22 @@ class ValidationError extends EndpointError {
 
         super(message, code, errors);
     }
+
+    /**
+     * Validation errors are problem details with an "errors" member.
+     *
+     * @param [req]
+     * @returns {{type: string, title: string, status: number, detail: string, instance: string|undefined, errors: []}}
+     */
+    toProblem(req = null) {
+
+        const problem = super.toProblem(req);
+
+        delete problem.details;
+        problem.errors = this.details;
+
+        return problem;
+    }
 }
 
-module.exports = ValidationError;
\ No newline at end of file
+module.exports = ValidationError;
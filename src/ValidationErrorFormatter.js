@@ -0,0 +1,251 @@
+const { followReference } = require('./operations');
+
+/**
+ * The English messages, by Ajv keyword. {placeholders} are filled in from the error's params.
+ */
+const MESSAGES = {
+    required: 'is required',
+    type: 'must be of type {type}',
+    minimum: 'must be at least {limit}',
+    maximum: 'must be at most {limit}',
+    exclusiveMinimum: 'must be greater than {limit}',
+    exclusiveMaximum: 'must be less than {limit}',
+    multipleOf: 'must be a multiple of {multipleOf}',
+    minLength: 'must be at least {limit} characters long',
+    maxLength: 'must be at most {limit} characters long',
+    pattern: 'must match the pattern {pattern}',
+    format: 'must be a valid {format}',
+    enum: 'must be one of {allowedValues}',
+    const: 'must be {allowedValue}',
+    minItems: 'must have at least {limit} items',
+    maxItems: 'must have at most {limit} items',
+    uniqueItems: 'must not contain duplicate items',
+    minProperties: 'must have at least {limit} properties',
+    maxProperties: 'must have at most {limit} properties',
+    additionalProperties: 'is not allowed',
+    separator: ', ',
+    fallback: 'is not valid'
+};
+
+/**
+ * Keywords that only say that a subschema failed, whose own errors explain why.
+ */
+const NOISE = ['oneOf', 'anyOf', 'allOf', 'if', 'not', '$ref'];
+
+function fill(template, params) {
+
+    return template.replace(/{([A-Za-z]+)}/g, (match, name) => {
+
+        const value = params[name];
+
+        if (value === undefined) {
+            return match;
+        }
+
+        return Array.isArray(value) ? value.map(item => JSON.stringify(item)).join(', ') : `${value}`;
+    });
+}
+
+/**
+ * Turns an Ajv dataPath (".query.limit", ".body.tags[0]", ".body['first-name']") into segments.
+ */
+function segments(dataPath) {
+
+    const found = [];
+    const pattern = /\.([^.[]+)|\[(\d+)\]|\['((?:[^'\\]|\\.)*)'\]/g;
+    let match;
+
+    while ((match = pattern.exec(dataPath || ''))) {
+        found.push(match[1] !== undefined ? match[1] : (match[2] !== undefined ? parseInt(match[2], 10) : match[3].replace(/\\'/g, '\'')));
+    }
+
+    return found;
+}
+
+function fieldName(path) {
+
+    return path.reduce((name, segment) => {
+
+        if (typeof segment === 'number') {
+            return `${name}[${segment}]`;
+        }
+
+        return name ? `${name}.${segment}` : segment;
+
+    }, '');
+}
+
+/**
+ * Formats the Ajv errors of a ValidationError as one readable message per field, e.g.
+ * { "query.limit": "must be at most 100, must be a multiple of 5." }.
+ * Schemas can override the message with an x-errorMessage extension (so that the spec stays valid OpenAPI):
+ * either a string, or a map of keywords to strings.
+ * Messages are taken from the locale bundle that best matches the request's Accept-Language.
+ */
+class ValidationErrorFormatter {
+
+    /**
+     *
+     * @param {{locales: {}, defaultLocale: string}} [options]
+     */
+    constructor(options = {}) {
+
+        this.options = Object.assign(this.constructor.defaultOptions(), options);
+    }
+
+    /**
+     * Returns a copy of the error, of the same class, with formatted details. Errors that were already formatted are returned as they are.
+     *
+     * @param {ValidationError} error
+     * @param [req]
+     * @returns {ValidationError}
+     */
+    format(error, req = null) {
+
+        if (!Array.isArray(error.details)) {
+            return error;
+        }
+
+        const messages = this.messages(req);
+        const fields = {};
+
+        error.details.filter(detail => !NOISE.includes(detail.keyword)).forEach(detail => {
+
+            const path = segments(detail.dataPath);
+            const params = detail.params || {};
+
+            if (detail.keyword === 'required' && params.missingProperty !== undefined) {
+                path.push(...segments(params.missingProperty.startsWith('.') || params.missingProperty.startsWith('[') ? params.missingProperty : `.${params.missingProperty}`));
+            }
+            if (detail.keyword === 'additionalProperties' && params.additionalProperty !== undefined) {
+                path.push(params.additionalProperty);
+            }
+
+            const field = fieldName(path);
+            const message = this.message(detail, error.schema ? this.schemaAt(error.schema, path) : null, messages);
+
+            fields[field] = fields[field] || [];
+
+            if (!fields[field].includes(message)) {
+                fields[field].push(message);
+            }
+        });
+
+        const details = Object.keys(fields).reduce((details, field) => {
+
+            details[field] = `${fields[field].join(messages.separator)}.`;
+            return details;
+
+        }, {});
+
+        // a copy that keeps the error's class (and so its toProblem(), type and title), and the rest of its properties.
+        const formatted = Object.create(Object.getPrototypeOf(error));
+
+        Object.getOwnPropertyNames(error).forEach(name => Object.defineProperty(formatted, name, Object.getOwnPropertyDescriptor(error, name)));
+
+        return Object.assign(formatted, { details, raw: error.details });
+    }
+
+    /**
+     *
+     * @param {{keyword: string, params: {}, message: string}} detail
+     * @param {{}|null} schema
+     * @param {{}} messages
+     * @returns {string}
+     */
+    message(detail, schema, messages) {
+
+        let keyword = detail.keyword;
+        const params = detail.params || {};
+        const custom = schema && schema['x-errorMessage'];
+
+        if (typeof custom === 'string') {
+            return custom.replace(/\.$/, '');
+        }
+        if (custom && typeof custom[keyword] === 'string') {
+            return custom[keyword].replace(/\.$/, '');
+        }
+
+        // draft-04 style exclusive bounds are reported as minimum/maximum with a strict comparison.
+        if (keyword === 'minimum' && params.comparison === '>') {
+            keyword = 'exclusiveMinimum';
+        }
+        if (keyword === 'maximum' && params.comparison === '<') {
+            keyword = 'exclusiveMaximum';
+        }
+
+        return messages[keyword] ? fill(messages[keyword], params) : (detail.message || messages.fallback);
+    }
+
+    /**
+     * The messages of the locale that best matches the request, on top of the English ones.
+     *
+     * @param [req]
+     * @returns {{}}
+     */
+    messages(req) {
+
+        const { locales, defaultLocale } = this.options;
+        const available = Object.keys(locales);
+        const locale = (req && available.length && req.acceptsLanguages(available)) || defaultLocale;
+
+        return Object.assign({}, MESSAGES, locales[locale]);
+    }
+
+    /**
+     * Finds the schema of a field, by following the path through the properties and items of the validated schema.
+     *
+     * @param {{}} root
+     * @param {[string|number]} path
+     * @returns {{}|null}
+     */
+    schemaAt(root, path) {
+
+        const resolve = schema => followReference(root, schema) || null;
+
+        return resolve(path.reduce((schema, segment) => {
+
+            schema = resolve(schema);
+
+            if (!schema) {
+                return null;
+            }
+            if (typeof segment === 'number') {
+                return Array.isArray(schema.items) ? schema.items[segment] : (schema.items || null);
+            }
+
+            return (schema.properties || {})[segment] || null;
+
+        }, root));
+    }
+
+    /**
+     * The shape of formatted details, for the spec.
+     *
+     * @returns {{type: string, additionalProperties: {type: string}}}
+     */
+    static schema() {
+
+        return {
+            type: 'object',
+            description: 'A message for each invalid field, keyed by its location and path, e.g. "query.limit".',
+            additionalProperties: {
+                type: 'string'
+            }
+        };
+    }
+
+    /**
+     *
+     * @returns {{locales: {}, defaultLocale: string}}
+     */
+    static defaultOptions() {
+
+        return {
+            locales: {},
+            defaultLocale: 'en'
+        };
+    }
+}
+
+module.exports = ValidationErrorFormatter;
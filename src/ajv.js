@@ -0,0 +1,123 @@
+const Ajv = require('ajv');
+
+/**
+ * Formats defined by OpenAPI, on top of the ones Ajv already knows.
+ */
+const FORMATS = {
+    int32: { type: 'number', validate: n => Number.isInteger(n) && n >= -2147483648 && n <= 2147483647 },
+    int64: { type: 'number', validate: n => Number.isInteger(n) },
+    float: { type: 'number', validate: () => true },
+    double: { type: 'number', validate: () => true },
+    byte: /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/,
+    binary: () => true,
+    password: () => true
+};
+
+/**
+ * Ajv 8 is an optional peer dependency, installed alongside Ajv 6 as "ajv8" (npm:ajv@^8), unless it is passed as the Ajv2020 option.
+ */
+function loadAjv2020() {
+
+    const found = ['ajv/dist/2020', 'ajv8/dist/2020'].reduce((found, name) => {
+
+        if (found) {
+            return found;
+        }
+
+        try {
+            return require(name);
+        } catch (err) {
+            return null;
+        }
+
+    }, null);
+
+    if (!found) {
+        throw new Error('Validating JSON Schema 2020-12 needs Ajv 8. Please install it with "npm install ajv8@npm:ajv@^8", or pass require(\'ajv/dist/2020\') as the Ajv2020 option.');
+    }
+
+    return found;
+}
+
+/**
+ * Ajv 8 reports an instancePath (a JSON pointer) where Ajv 6 reports a dataPath, e.g. ".body.name".
+ */
+function toDataPath(instancePath) {
+
+    return instancePath.split('/').slice(1).map(key => {
+
+        key = key.replace(/~1/g, '/').replace(/~0/g, '~');
+
+        if (/^[0-9]+$/.test(key)) {
+            return `[${key}]`;
+        }
+
+        return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key) ? `.${key}` : `['${key.replace(/'/g, '\\\'')}']`;
+
+    }).join('');
+}
+
+/**
+ * The options Ajv is created with for the given dialect, on top of an endpoint's requestAjvOptions or responseAjvOptions.
+ * They work with Ajv 6 for draft-07 (where Ajv 8 understands nullable without being asked), and with Ajv 8 for 2020-12.
+ *
+ * @param {{}} ajvOptions
+ * @param {string} [jsonSchemaDialect]
+ * @returns {{}}
+ */
+function createAjvOptions(ajvOptions, jsonSchemaDialect = 'draft-07') {
+
+    return jsonSchemaDialect === '2020-12'
+        ? Object.assign({ strict: false, logger: false }, ajvOptions)
+        : Object.assign({ nullable: true }, ajvOptions);
+}
+
+/**
+ * Creates an Ajv instance that knows OpenAPI's formats, for the given dialect.
+ *
+ * @param {{}} ajvOptions
+ * @param {{jsonSchemaDialect: string, Ajv2020: function|null}} options
+ * @returns {Ajv}
+ */
+function createAjv(ajvOptions, { jsonSchemaDialect, Ajv2020 }) {
+
+    if (jsonSchemaDialect !== '2020-12') {
+
+        const ajv = new Ajv(createAjvOptions(ajvOptions, jsonSchemaDialect));
+
+        Object.keys(FORMATS).forEach(name => ajv.addFormat(name, FORMATS[name]));
+
+        return ajv;
+    }
+
+    const AjvClass = Ajv2020 || loadAjv2020();
+    const ajv = new AjvClass(createAjvOptions(ajvOptions, jsonSchemaDialect));
+    const compile = ajv.compile.bind(ajv);
+
+    Object.keys(FORMATS).forEach(name => ajv.addFormat(name, FORMATS[name]));
+
+    // keeps the errors in the same shape as the draft-07 validators, so ValidationError details don't change.
+    ajv.compile = schema => {
+
+        const validate = compile(schema);
+        const validator = data => {
+
+            const valid = validate(data);
+            validator.errors = valid ? null : validate.errors.map(error => Object.assign({ dataPath: toDataPath(error.instancePath) }, error));
+
+            return valid;
+        };
+
+        validator.schema = validate.schema;
+
+        return validator;
+    };
+
+    return ajv;
+}
+
+module.exports = {
+    FORMATS,
+    createAjv,
+    createAjvOptions
+};
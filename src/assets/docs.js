@@ -0,0 +1,102 @@
+(function() {
+
+    var baseUrl = (document.body.getAttribute('data-base-url') || '').replace(/\/$/, '');
+
+    function buildRequest(form) {
+
+        var path = form.getAttribute('data-path');
+        var query = [];
+        var headers = {};
+        var init = { method: form.getAttribute('data-method').toUpperCase(), headers: headers };
+        var inputs = form.querySelectorAll('input[data-in]');
+
+        for (var i = 0; i < inputs.length; i++) {
+
+            var input = inputs[i];
+            var name = input.getAttribute('name');
+            var value = input.value;
+
+            if (value === '') {
+                continue;
+            }
+
+            switch (input.getAttribute('data-in')) {
+                case 'path':
+                    path = path.replace('{' + name + '}', encodeURIComponent(value));
+                    break;
+                case 'query':
+                    query.push(encodeURIComponent(name) + '=' + encodeURIComponent(value));
+                    break;
+                case 'header':
+                    headers[name] = value;
+                    break;
+                case 'cookie':
+                    document.cookie = encodeURIComponent(name) + '=' + encodeURIComponent(value) + '; path=/';
+                    break;
+            }
+        }
+
+        var contentType = form.querySelector('select[name="content-type"]');
+        var body = form.querySelector('textarea[name="body"]');
+
+        if (contentType && body && body.value !== '') {
+            headers['Content-Type'] = contentType.value;
+            init.body = body.value;
+
+            if (contentType.value === 'application/x-www-form-urlencoded') {
+                try {
+                    var fields = JSON.parse(body.value);
+                    init.body = Object.keys(fields).map(function(key) {
+                        return encodeURIComponent(key) + '=' + encodeURIComponent(fields[key]);
+                    }).join('&');
+                } catch (e) {
+                    // send the body as it was typed.
+                }
+            }
+        }
+
+        return { url: baseUrl + path + (query.length ? '?' + query.join('&') : ''), init: init };
+    }
+
+    function onSubmit(event) {
+
+        event.preventDefault();
+
+        var form = event.target;
+        var output = form.querySelector('.console-output');
+        var request = buildRequest(form);
+
+        output.hidden = false;
+        output.textContent = request.init.method + ' ' + request.url + '\n\n...';
+
+        fetch(request.url, request.init)
+            .then(function(res) {
+
+                var lines = [res.status + ' ' + res.statusText];
+                res.headers.forEach(function(value, name) {
+                    lines.push(name + ': ' + value);
+                });
+
+                return res.text().then(function(text) {
+
+                    try {
+                        text = JSON.stringify(JSON.parse(text), null, 2);
+                    } catch (e) {
+                        // not JSON, show it as-is.
+                    }
+
+                    output.textContent = request.init.method + ' ' + request.url + '\n\n' + lines.join('\n') + '\n\n' + text;
+                });
+            })
+            .catch(function(err) {
+
+                output.textContent = request.init.method + ' ' + request.url + '\n\n' + err;
+            });
+    }
+
+    var forms = document.querySelectorAll('form.console');
+
+    for (var i = 0; i < forms.length; i++) {
+        forms[i].addEventListener('submit', onSubmit);
+    }
+})();
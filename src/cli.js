@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+
+const yaml = require('./yaml');
+
+const USAGE = `Usage: express-primer spec <module> [options]
+
+Loads a module that exports a Router, and prints its OpenAPI spec.
+
+Options:
+  -o, --out <file>        Write the spec to a file instead of stdout.
+  -f, --format <format>   "json" or "yaml". Defaults to the extension of --out, or json.
+  -p, --package <file>    The package.json to take the spec's info from. Defaults to ./package.json, if there is one.
+  --check                 Compare the spec against --out instead of writing it, and exit with 1 if they differ.
+  -h, --help              Show this message.
+`;
+
+const ALIASES = {
+    o: 'out',
+    f: 'format',
+    p: 'package',
+    h: 'help'
+};
+
+const FLAGS = ['check', 'help'];
+
+class UsageError extends Error {}
+
+/**
+ *
+ * @param {[string]} argv
+ * @returns {{_: [string]}}
+ */
+function parseArgs(argv) {
+
+    const args = { _: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+
+        const arg = argv[i];
+
+        if (!arg.startsWith('-') || arg === '-') {
+            args._.push(arg);
+            continue;
+        }
+
+        let [ name, value ] = arg.replace(/^--?/, '').split(/=(.*)/);
+        name = ALIASES[name] || name;
+
+        if (FLAGS.includes(name)) {
+            args[name] = true;
+            continue;
+        }
+        if (!['out', 'format', 'package'].includes(name)) {
+            throw new UsageError(`Unknown option: ${arg}`);
+        }
+        if (value === undefined) {
+            value = argv[++i];
+        }
+        if (value === undefined) {
+            throw new UsageError(`Missing value for ${arg}`);
+        }
+
+        args[name] = value;
+    }
+
+    return args;
+}
+
+/**
+ * Finds the router exported by a module: either the export itself, or one of its properties.
+ *
+ * @param {*} exported
+ * @returns {Router|null}
+ */
+function findRouter(exported) {
+
+    const isRouter = value => !!value && typeof value.getSpec === 'function';
+
+    if (isRouter(exported)) {
+        return exported;
+    }
+    if (exported && typeof exported === 'object') {
+        return Object.keys(exported).map(key => exported[key]).find(isRouter) || null;
+    }
+
+    return null;
+}
+
+/**
+ *
+ * @param {{}} spec
+ * @param {string} format
+ * @returns {string}
+ */
+function format(spec, format) {
+
+    switch (format) {
+        case 'json':
+            return `${JSON.stringify(spec, null, 2)}\n`;
+        case 'yaml':
+        case 'yml':
+            return yaml.stringify(spec);
+        default:
+            throw new UsageError(`Unknown format: ${format}`);
+    }
+}
+
+/**
+ *
+ * @param {{_: [string]}} args
+ * @param {{stdout, stderr, cwd}} io
+ * @returns {number}
+ */
+function spec(args, io) {
+
+    const [ modulePath ] = args._;
+
+    if (!modulePath) {
+        throw new UsageError('Please specify the module that exports your router.');
+    }
+    if (args.check && !args.out) {
+        throw new UsageError('--check needs --out, the file to compare against.');
+    }
+
+    const router = findRouter(require(path.resolve(io.cwd, modulePath)));
+
+    if (!router) {
+        throw new UsageError(`${modulePath} does not export a Router.`);
+    }
+
+    const packagePath = args.package ? path.resolve(io.cwd, args.package) : path.resolve(io.cwd, 'package.json');
+    const info = args.package || fs.existsSync(packagePath) ? packagePath : {};
+    const extension = args.out ? path.extname(args.out).slice(1).toLowerCase() : '';
+    const output = format(router.getSpec(info), args.format || (['yaml', 'yml'].includes(extension) ? 'yaml' : 'json'));
+
+    if (!args.out) {
+        io.stdout.write(output);
+        return 0;
+    }
+
+    const outPath = path.resolve(io.cwd, args.out);
+
+    if (!args.check) {
+        fs.writeFileSync(outPath, output);
+        return 0;
+    }
+
+    const committed = fs.existsSync(outPath) ? fs.readFileSync(outPath, 'utf8') : null;
+
+    if (committed === null) {
+        io.stderr.write(`${args.out} does not exist. Run this command without --check to create it.\n`);
+        return 1;
+    }
+
+    const expected = output.trimEnd().split('\n');
+    const actual = committed.replace(/\r\n/g, '\n').trimEnd().split('\n');
+    const line = expected.findIndex((text, index) => text !== actual[index]);
+
+    if (line === -1 && expected.length === actual.length) {
+        return 0;
+    }
+
+    const at = line === -1 ? Math.min(expected.length, actual.length) : line;
+
+    io.stderr.write(`${args.out} is out of date, starting at line ${at + 1}:\n`
+        + `  expected: ${expected[at] === undefined ? '(end of file)' : expected[at]}\n`
+        + `  found:    ${actual[at] === undefined ? '(end of file)' : actual[at]}\n`
+        + 'Run this command without --check to update it.\n');
+
+    return 1;
+}
+
+/**
+ * Runs the express-primer command, and returns its exit code.
+ *
+ * @param {[string]} argv
+ * @param {{stdout, stderr, cwd}} [io]
+ * @returns {number}
+ */
+function run(argv, io = {}) {
+
+    io = Object.assign({ stdout: process.stdout, stderr: process.stderr, cwd: process.cwd() }, io);
+
+    try {
+
+        const args = parseArgs(argv);
+        const command = args._.shift();
+
+        if (args.help || !command) {
+            (args.help ? io.stdout : io.stderr).write(USAGE);
+            return args.help ? 0 : 2;
+        }
+        if (command !== 'spec') {
+            throw new UsageError(`Unknown command: ${command}`);
+        }
+
+        return spec(args, io);
+
+    } catch (err) {
+
+        if (!(err instanceof UsageError)) {
+            throw err;
+        }
+
+        io.stderr.write(`${err.message}\n\n${USAGE}`);
+        return 2;
+    }
+}
+
+module.exports = {
+    run
+};
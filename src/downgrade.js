@@ -0,0 +1,248 @@
+/**
+ * Keywords that only describe data, so their contents are never schemas.
+ */
+const DATA_KEYWORDS = ['enum', 'const', 'default', 'example', 'examples', 'required', 'xml', 'externalDocs', 'discriminator'];
+
+/**
+ * JSON Schema keywords that OpenAPI 3.0 has no equivalent for.
+ */
+const UNSUPPORTED_KEYWORDS = [
+    '$schema', '$id', '$anchor', '$dynamicAnchor', '$dynamicRef', '$comment', '$vocabulary',
+    'if', 'then', 'else', 'prefixItems', 'contains', 'minContains', 'maxContains', 'propertyNames',
+    'patternProperties', 'dependentRequired', 'dependentSchemas', 'unevaluatedItems', 'unevaluatedProperties',
+    'contentSchema'
+];
+
+function escape(key) {
+
+    return `${key}`.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Rewrites a JSON Schema 2020-12 schema into the OpenAPI 3.0 dialect.
+ *
+ * @param {*} schema
+ * @param {{}} [refs] a map of $refs to rewrite, e.g. into hoisted $defs
+ * @returns {*}
+ */
+function downgradeSchema(schema, refs = {}) {
+
+    if (Array.isArray(schema)) {
+        return schema.map(item => downgradeSchema(item, refs));
+    }
+    if (!schema || typeof schema !== 'object') {
+        return schema;
+    }
+
+    const downgraded = Object.keys(schema).reduce((downgraded, key) => {
+
+        if (UNSUPPORTED_KEYWORDS.includes(key) || key === '$defs') {
+            return downgraded;
+        }
+
+        downgraded[key] = DATA_KEYWORDS.includes(key) ? schema[key] : downgradeSchema(schema[key], refs);
+        return downgraded;
+
+    }, {});
+
+    if (downgraded.$ref) {
+
+        const $ref = refs[downgraded.$ref] || downgraded.$ref;
+        const siblings = Object.keys(downgraded).filter(key => key !== '$ref');
+
+        if (!siblings.length) {
+            return { $ref };
+        }
+
+        // siblings of a $ref are ignored in 3.0, so they are kept alongside it in an allOf instead.
+        delete downgraded.$ref;
+
+        return Object.assign({ allOf: [{ $ref }] }, downgraded);
+    }
+
+    if (downgraded.type === 'null') {
+        downgraded.type = ['null'];
+    }
+    if (Array.isArray(downgraded.type)) {
+
+        const types = downgraded.type.filter(type => type !== 'null');
+
+        if (types.length < downgraded.type.length) {
+            downgraded.nullable = true;
+        }
+        if (types.length === 1) {
+            downgraded.type = types[0];
+        } else {
+            delete downgraded.type;
+
+            if (types.length > 1) {
+                downgraded.anyOf = types.map(type => ({ type }));
+            } else if (!downgraded.enum) {
+                downgraded.enum = [null];
+            }
+        }
+    }
+
+    if (downgraded.const !== undefined) {
+        downgraded.enum = [downgraded.const];
+        delete downgraded.const;
+    }
+
+    if (Array.isArray(downgraded.examples)) {
+
+        if (downgraded.examples.length && downgraded.example === undefined) {
+            downgraded.example = downgraded.examples[0];
+        }
+        delete downgraded.examples;
+    }
+
+    // a numeric exclusive bound becomes the bound itself, unless the schema already has a tighter one.
+    ['Minimum', 'Maximum'].forEach(bound => {
+
+        const exclusive = `exclusive${bound}`;
+        const inclusive = bound.toLowerCase();
+
+        if (typeof downgraded[exclusive] !== 'number') {
+            return;
+        }
+
+        const isTighter = downgraded[inclusive] === undefined
+            || (bound === 'Minimum' ? downgraded[exclusive] >= downgraded[inclusive] : downgraded[exclusive] <= downgraded[inclusive]);
+
+        if (isTighter) {
+            downgraded[inclusive] = downgraded[exclusive];
+            downgraded[exclusive] = true;
+        } else {
+            delete downgraded[exclusive];
+        }
+    });
+
+    if (downgraded.contentEncoding === 'base64' && !downgraded.format) {
+        downgraded.format = 'byte';
+    }
+    delete downgraded.contentEncoding;
+
+    return downgraded;
+}
+
+/**
+ * Moves every $defs entry into components.schemas, and returns a map of the $refs that pointed to them.
+ *
+ * @param {{}} spec
+ * @param {{}} schemas
+ * @returns {{}}
+ */
+function hoistDefinitions(spec, schemas) {
+
+    const refs = {};
+    const visit = (value, pointer) => {
+
+        if (!value || typeof value !== 'object') {
+            return;
+        }
+
+        // schemas are validated on their own, so a "#/$defs/..." $ref within one points to its own $defs.
+        const isSchemaRoot = /^#\/components\/schemas\/[^/]+$/.test(pointer) || pointer.endsWith('/schema');
+
+        if (value.$defs && typeof value.$defs === 'object') {
+
+            Object.keys(value.$defs).forEach(name => {
+
+                let hoisted = name;
+
+                for (let i = 2; schemas[hoisted]; i++) {
+                    hoisted = `${name}${i}`;
+                }
+
+                const $ref = `#/components/schemas/${escape(hoisted)}`;
+
+                schemas[hoisted] = value.$defs[name];
+                refs[`${pointer}/$defs/${escape(name)}`] = $ref;
+
+                if (isSchemaRoot && !refs[`#/$defs/${escape(name)}`]) {
+                    refs[`#/$defs/${escape(name)}`] = $ref;
+                }
+
+                visit(value.$defs[name], $ref);
+            });
+        }
+
+        Object.keys(value)
+            .filter(key => key !== '$defs' && !DATA_KEYWORDS.includes(key))
+            .forEach(key => visit(value[key], `${pointer}/${escape(key)}`));
+    };
+
+    visit(spec, '#');
+
+    return refs;
+}
+
+/**
+ * Rewrites an OpenAPI 3.1 document into an equivalent OpenAPI 3.0 document, leaving the original untouched.
+ * Schemas are translated into the 3.0 dialect, and everything 3.0 has no place for is dropped.
+ *
+ * @param {{}} spec
+ * @param {string} [version]
+ * @returns {{}}
+ */
+function downgradeSpec(spec, version = '3.0.3') {
+
+    const copy = JSON.parse(JSON.stringify(spec));
+    const components = copy.components || {};
+    const schemas = Object.assign({}, components.schemas);
+    const refs = hoistDefinitions(copy, schemas);
+    const visit = (value, key) => {
+
+        if (!value || typeof value !== 'object') {
+            return value;
+        }
+        if (key === 'schema') {
+            return downgradeSchema(value, refs);
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => visit(item));
+        }
+
+        return Object.keys(value).reduce((visited, k) => {
+
+            visited[k] = ['example', 'examples', 'default'].includes(k) ? value[k] : visit(value[k], k);
+            return visited;
+
+        }, {});
+    };
+
+    const downgraded = visit(copy);
+
+    downgraded.openapi = version;
+    delete downgraded.jsonSchemaDialect;
+    delete downgraded.webhooks;
+
+    if (downgraded.info) {
+        delete downgraded.info.summary;
+
+        if (downgraded.info.license) {
+            delete downgraded.info.license.identifier;
+        }
+    }
+
+    if (downgraded.components) {
+        delete downgraded.components.pathItems;
+    }
+    if (Object.keys(schemas).length) {
+
+        downgraded.components = downgraded.components || {};
+        downgraded.components.schemas = Object.keys(schemas).reduce((downgradedSchemas, name) => {
+
+            downgradedSchemas[name] = downgradeSchema(schemas[name], refs);
+            return downgradedSchemas;
+
+        }, {});
+    }
+
+    return downgraded;
+}
+
+module.exports = {
+    downgradeSchema,
+    downgradeSpec
+};
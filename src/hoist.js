@@ -0,0 +1,184 @@
+const { operationName, eachOperation } = require('./operations');
+
+/**
+ * Keywords whose values are subschemas, or maps or lists of subschemas.
+ */
+const SCHEMA_KEYWORDS = ['items', 'additionalProperties', 'not', 'if', 'then', 'else', 'contains', 'propertyNames'];
+const SCHEMA_MAP_KEYWORDS = ['properties', 'patternProperties', '$defs', 'dependentSchemas'];
+const SCHEMA_LIST_KEYWORDS = ['allOf', 'oneOf', 'anyOf', 'prefixItems'];
+
+function pascalCase(value) {
+
+    return `${value}`.split(/[^A-Za-z0-9]+/)
+        .filter(word => !!word)
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join('');
+}
+
+/**
+ * Serializes a schema with its keys sorted, so that identical schemas have identical keys.
+ */
+function canonical(value) {
+
+    if (Array.isArray(value)) {
+        return `[${value.map(canonical).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+    }
+
+    return JSON.stringify(value);
+}
+
+/**
+ * Only schemas that describe something worth naming are hoisted: objects with properties, and enums.
+ */
+function isCandidate(schema) {
+
+    return !!schema && typeof schema === 'object' && !schema.$ref
+        && ((schema.properties && Object.keys(schema.properties).length > 0) || (Array.isArray(schema.enum) && schema.enum.length > 1));
+}
+
+/**
+ * Calls fn(schema, name, replace) for a schema and each of its subschemas, outermost first,
+ * where name describes where it was found, and replace(value) puts something else in its place.
+ */
+function eachSchema(schema, name, replace, fn) {
+
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+        return;
+    }
+
+    fn(schema, name, replace);
+
+    SCHEMA_KEYWORDS.filter(key => schema[key]).forEach(key => {
+
+        eachSchema(schema[key], `${name}${key === 'items' ? 'Item' : pascalCase(key)}`, value => schema[key] = value, fn);
+    });
+    SCHEMA_MAP_KEYWORDS.filter(key => schema[key] && typeof schema[key] === 'object').forEach(key => {
+
+        Object.keys(schema[key]).forEach(property => {
+
+            eachSchema(schema[key][property], `${name}${pascalCase(property)}`, value => schema[key][property] = value, fn);
+        });
+    });
+    SCHEMA_LIST_KEYWORDS.filter(key => Array.isArray(schema[key])).forEach(key => {
+
+        schema[key].forEach((subSchema, index) => {
+
+            eachSchema(subSchema, `${name}${index + 1}`, value => schema[key][index] = value, fn);
+        });
+    });
+}
+
+/**
+ * Calls fn(schema, name, replace) for every schema in the operations of a spec.
+ */
+function eachOperationSchema(spec, fn) {
+
+    eachOperation(spec, (method, path, operation) => {
+
+        const prefix = pascalCase(operationName(method, path, operation));
+
+        (operation.parameters || []).forEach(parameter => {
+
+            if (parameter && parameter.schema) {
+                eachSchema(parameter.schema, `${prefix}${pascalCase(parameter.name)}`, value => parameter.schema = value, fn);
+            }
+        });
+
+        const requestBodyContent = (operation.requestBody || {}).content || {};
+
+        Object.keys(requestBodyContent).forEach(mediaType => {
+
+            const media = requestBodyContent[mediaType];
+
+            eachSchema(media.schema, `${prefix}Body`, value => media.schema = value, fn);
+        });
+
+        Object.keys(operation.responses || {}).forEach(code => {
+
+            const content = (operation.responses[code] || {}).content || {};
+
+            Object.keys(content).forEach(mediaType => {
+
+                const media = content[mediaType];
+
+                eachSchema(media.schema, `${prefix}Response${pascalCase(code)}`, value => media.schema = value, fn);
+            });
+        });
+    });
+}
+
+/**
+ * Returns a copy of the spec where inline schemas that are repeated, or that are identical to a component schema,
+ * are replaced by $refs to components.schemas. New components are named after their title,
+ * or after the first place they were found, e.g. "GetUserResponse200".
+ *
+ * @param {{}} spec
+ * @returns {{}}
+ */
+function hoistSchemas(spec) {
+
+    const copy = JSON.parse(JSON.stringify(spec));
+    const schemas = copy.components.schemas = copy.components.schemas || {};
+    const registered = Object.keys(schemas).reduce((registered, name) => {
+
+        registered[canonical(schemas[name])] = name;
+        return registered;
+
+    }, {});
+
+    const refTo = name => ({ $ref: `#/components/schemas/${name.replace(/~/g, '~0').replace(/\//g, '~1')}` });
+
+    for (;;) {
+
+        const found = {};
+
+        eachOperationSchema(copy, (schema, name, replace) => {
+
+            if (!isCandidate(schema)) {
+                return;
+            }
+
+            const key = canonical(schema);
+
+            found[key] = found[key] || { schema, name, count: 0, replacements: [] };
+            found[key].count++;
+            found[key].replacements.push(replace);
+        });
+
+        // the largest schema goes first, so that a repeated schema is hoisted whole rather than piece by piece.
+        const key = Object.keys(found)
+            .filter(key => found[key].count > 1 || registered[key])
+            .sort((a, b) => b.length - a.length)[0];
+
+        if (!key) {
+            break;
+        }
+
+        let name = registered[key];
+
+        if (!name) {
+
+            const base = pascalCase(found[key].schema.title || found[key].name) || 'Schema';
+
+            name = base;
+
+            for (let i = 2; schemas[name]; i++) {
+                name = `${base}${i}`;
+            }
+
+            schemas[name] = found[key].schema;
+            registered[key] = name;
+        }
+
+        found[key].replacements.forEach(replace => replace(refTo(name)));
+    }
+
+    return copy;
+}
+
+module.exports = {
+    hoistSchemas
+};
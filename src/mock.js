@@ -0,0 +1,411 @@
+const { STATUS_CODES } = require('http');
+
+const EndpointError = require('./EndpointError');
+const Response = require('./Response');
+const ValidationError = require('./ValidationError');
+const { followReference } = require('./operations');
+
+/**
+ * Values for string formats, which are the same every time so that mocked responses are stable.
+ */
+const FORMATS = {
+    'date-time': '2020-01-01T00:00:00Z',
+    'date': '2020-01-01',
+    'time': '00:00:00Z',
+    'email': 'user@example.com',
+    'idn-email': 'user@example.com',
+    'hostname': 'example.com',
+    'idn-hostname': 'example.com',
+    'ipv4': '192.0.2.1',
+    'ipv6': '2001:db8::1',
+    'uri': 'https://example.com',
+    'uri-reference': 'https://example.com',
+    'iri': 'https://example.com',
+    'iri-reference': 'https://example.com',
+    'url': 'https://example.com',
+    'uuid': '00000000-0000-4000-8000-000000000000',
+    'byte': 'c3RyaW5n',
+    'int32': '0',
+    'int64': '0'
+};
+
+/**
+ * Characters tried, in order, for the character classes (and escapes like \d) of a pattern.
+ */
+const CHARACTERS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789_-. @:/+';
+
+/**
+ * Whether a string matches a pattern, as Ajv tests it. Patterns that JavaScript can't compile are not checked.
+ */
+function matches(pattern, value) {
+
+    try {
+        return new RegExp(pattern).test(value);
+    } catch (err) {
+        return true;
+    }
+}
+
+/**
+ * The first of the CHARACTERS that a class matches, or its first character when none of them does.
+ */
+function classCharacter(source, fallback) {
+
+    const regExp = new RegExp(`^${source}$`);
+
+    return CHARACTERS.split('').find(character => regExp.test(character)) || fallback;
+}
+
+/**
+ * Parses a pattern into a list of nodes, each either a string or a group of alternatives (lists of nodes),
+ * along with how many times it repeats. Lookarounds and backreferences are not supported.
+ */
+function parsePattern(pattern) {
+
+    let index = 0;
+
+    function parseQuantifier(node) {
+
+        const quantifier = /^(?:([?*+])|{(\d+)(,(\d*))?})\??/.exec(pattern.slice(index));
+
+        if (!quantifier) {
+            return Object.assign(node, { min: 1, max: 1 });
+        }
+
+        index += quantifier[0].length;
+
+        if (quantifier[1]) {
+            return Object.assign(node, { min: quantifier[1] === '+' ? 1 : 0, max: quantifier[1] === '?' ? 1 : Infinity });
+        }
+
+        const min = parseInt(quantifier[2], 10);
+
+        return Object.assign(node, { min, max: quantifier[3] ? (quantifier[4] ? parseInt(quantifier[4], 10) : Infinity) : min });
+    }
+
+    function parseAlternatives() {
+
+        const alternatives = [[]];
+
+        while (index < pattern.length && pattern[index] !== ')') {
+
+            const character = pattern[index++];
+
+            if (character === '|') {
+                alternatives.push([]);
+            } else if (character === '^' || character === '$') {
+                continue;
+            } else if (character === '(') {
+
+                index += (/^\?(?::|<[^>]+>)/.exec(pattern.slice(index)) || [''])[0].length;
+
+                const group = { alternatives: parseAlternatives() };
+
+                index++;
+                alternatives[alternatives.length - 1].push(parseQuantifier(group));
+            } else if (character === '[') {
+
+                const end = pattern.slice(index).search(/(?:^\^?\]|[^\\])\]/) + index;
+                const source = pattern.slice(index - 1, end + 2);
+
+                index = end + 2;
+                alternatives[alternatives.length - 1].push(parseQuantifier({ string: classCharacter(source, source.replace(/^\[\^?/, '')[0]) }));
+            } else if (character === '\\') {
+
+                const escaped = pattern[index++];
+                const string = /[bB]/.test(escaped) ? '' : classCharacter(`\\${escaped}`, escaped);
+
+                alternatives[alternatives.length - 1].push(parseQuantifier({ string }));
+            } else {
+                alternatives[alternatives.length - 1].push(parseQuantifier({ string: character === '.' ? 'a' : character }));
+            }
+        }
+
+        return alternatives;
+    }
+
+    return parseAlternatives()[0];
+}
+
+/**
+ * Makes up the shortest string that a pattern matches, taking the first of its alternatives,
+ * except that its first open-ended quantifiers repeat up to `extra` more times.
+ */
+function mockPattern(nodes, extra) {
+
+    return nodes.map(node => {
+
+        const more = Math.min(extra, node.max - node.min);
+        const value = node.alternatives ? mockPattern(node.alternatives[0], extra - more) : node.string;
+
+        extra -= more;
+
+        return value.repeat(node.min + more);
+
+    }).join('');
+}
+
+function mockString(schema) {
+
+    let value = FORMATS[schema.format] || 'string';
+
+    if (schema.minLength && value.length < schema.minLength) {
+        value = value.padEnd(schema.minLength, 'x');
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        value = value.slice(0, schema.maxLength);
+    }
+    if (schema.pattern === undefined || matches(schema.pattern, value)) {
+        return value;
+    }
+
+    const nodes = parsePattern(schema.pattern);
+
+    // the pattern is repeated a little more each time, until the string is long enough.
+    for (let extra = 0; extra <= (schema.minLength || 0); extra++) {
+
+        const candidate = mockPattern(nodes, extra);
+
+        if (schema.maxLength !== undefined && candidate.length > schema.maxLength) {
+            break;
+        }
+        if (candidate.length >= (schema.minLength || 0) && matches(schema.pattern, candidate)) {
+            return candidate;
+        }
+    }
+
+    return value;
+}
+
+/**
+ * Rounds away the error that multiplying by a decimal multipleOf leaves, e.g. 3 * 0.1.
+ */
+function multiply(count, multipleOf) {
+
+    const decimals = (`${multipleOf}`.split('.')[1] || '').length;
+
+    return Number((count * multipleOf).toFixed(Math.min(decimals, 20)));
+}
+
+function mockNumber(schema, integer) {
+
+    const multipleOf = schema.multipleOf || (integer ? 1 : null);
+    const [minimum, exclusiveMinimum] = typeof schema.exclusiveMinimum === 'number'
+        ? [schema.exclusiveMinimum, true]
+        : [schema.minimum, schema.exclusiveMinimum === true];
+    const [maximum, exclusiveMaximum] = typeof schema.exclusiveMaximum === 'number'
+        ? [schema.exclusiveMaximum, true]
+        : [schema.maximum, schema.exclusiveMaximum === true];
+    const isAboveMinimum = value => minimum === undefined || (exclusiveMinimum ? value > minimum : value >= minimum);
+    const isBelowMaximum = value => maximum === undefined || (exclusiveMaximum ? value < maximum : value <= maximum);
+    let value = 0;
+
+    if (!isAboveMinimum(value)) {
+
+        if (multipleOf) {
+            value = multiply(Math.ceil(minimum / multipleOf), multipleOf);
+            value = isAboveMinimum(value) ? value : multiply(Math.ceil(minimum / multipleOf) + 1, multipleOf);
+        } else {
+            value = exclusiveMinimum ? minimum + Math.min(0.5, (maximum - minimum) / 2 || 0.5) : minimum;
+        }
+    }
+    if (!isBelowMaximum(value)) {
+
+        if (multipleOf) {
+            value = multiply(Math.floor(maximum / multipleOf), multipleOf);
+            value = isBelowMaximum(value) ? value : multiply(Math.floor(maximum / multipleOf) - 1, multipleOf);
+        } else {
+            value = exclusiveMaximum ? maximum - Math.min(0.5, (maximum - minimum) / 2 || 0.5) : maximum;
+        }
+    }
+
+    return integer && !Number.isInteger(value) ? Math.ceil(value) : value;
+}
+
+function mockValue(schema, context, seen) {
+
+    if (!schema || typeof schema !== 'object') {
+        return null;
+    }
+    if (schema.$ref) {
+
+        // a schema that contains itself is cut short where it recurs.
+        if (seen.includes(schema.$ref)) {
+            return undefined;
+        }
+
+        return mockValue(followReference(context, schema), context, seen.concat(schema.$ref));
+    }
+    if (schema.example !== undefined) {
+        return schema.example;
+    }
+    if (Array.isArray(schema.examples) && schema.examples.length) {
+        return schema.examples[0];
+    }
+    if (schema.default !== undefined) {
+        return schema.default;
+    }
+    if (schema.const !== undefined) {
+        return schema.const;
+    }
+    if (Array.isArray(schema.enum) && schema.enum.length) {
+        return schema.enum[0];
+    }
+    if (Array.isArray(schema.allOf) && schema.allOf.length) {
+
+        const values = schema.allOf.map(subSchema => mockValue(subSchema, context, seen));
+        const base = Object.assign({}, schema);
+
+        delete base.allOf;
+
+        return [mockValue(base, context, seen)].concat(values).reduce((merged, value) => {
+
+            if (merged && typeof merged === 'object' && !Array.isArray(merged) && value && typeof value === 'object') {
+                return Object.assign(merged, value);
+            }
+
+            return merged === null || merged === undefined ? value : merged;
+        });
+    }
+
+    const choices = schema.oneOf || schema.anyOf;
+
+    if (Array.isArray(choices) && choices.length) {
+        return mockValue(choices[0], context, seen);
+    }
+
+    let type = Array.isArray(schema.type) ? (schema.type.find(type => type !== 'null') || 'null') : schema.type;
+
+    if (!type) {
+        type = schema.properties ? 'object' : (schema.items || schema.prefixItems ? 'array' : null);
+    }
+
+    switch (type) {
+        case 'string':
+            return mockString(schema);
+        case 'integer':
+            return mockNumber(schema, true);
+        case 'number':
+            return mockNumber(schema, false);
+        case 'boolean':
+            return true;
+        case 'array':
+            return mockArray(schema, context, seen);
+        case 'object':
+            return mockObject(schema, context, seen);
+        default:
+            return null;
+    }
+}
+
+function mockArray(schema, context, seen) {
+
+    const items = (schema.prefixItems || []).map(item => mockValue(item, context, seen));
+    const length = Math.max(schema.minItems || 0, items.length, 1);
+    const itemSchema = Array.isArray(schema.items) ? null : schema.items;
+
+    while (items.length < length && itemSchema) {
+
+        const item = mockValue(itemSchema, context, seen);
+
+        if (item === undefined) {
+            break;
+        }
+        items.push(item);
+    }
+
+    return schema.maxItems !== undefined ? items.slice(0, schema.maxItems) : items;
+}
+
+function mockObject(schema, context, seen) {
+
+    const properties = schema.properties || {};
+
+    return Object.keys(properties).reduce((value, name) => {
+
+        const property = properties[name] || {};
+
+        if (property.writeOnly) {
+            return value;
+        }
+
+        const propertyValue = mockValue(property, context, seen);
+
+        if (propertyValue !== undefined) {
+            value[name] = propertyValue;
+        }
+
+        return value;
+
+    }, {});
+}
+
+/**
+ * Generates a value that matches a schema. Declared examples and defaults are used where there are any,
+ * and everything else is made up the same way every time, respecting types, formats, enums, lengths, patterns and bounds.
+ *
+ * @param {{}} schema
+ * @param {{}} [components] what "#/components/..." references resolve into.
+ * @returns {*}
+ */
+function mockSchema(schema, components = {}) {
+
+    // references resolve into the components, or into the schema itself (e.g. its $defs).
+    const value = mockValue(schema, Object.assign({}, schema, { components }), []);
+
+    return value === undefined ? null : value;
+}
+
+/**
+ * Creates the response an endpoint would send, from its responseCodeSchemas().
+ * The status code is the first 2xx one declared, unless the request asks for another in the given header,
+ * which can also be one of the endpoint's errorResponses().
+ *
+ * @param {Endpoint} endpoint
+ * @param req
+ * @param {{}} [components]
+ * @param {string} [statusHeader]
+ * @returns {Response}
+ */
+function mockResponse(endpoint, req, components = {}, statusHeader = 'X-Mock-Status') {
+
+    const responseCodeSchemas = endpoint.responseCodeSchemas() || {};
+    const errorResponses = endpoint.errorResponses();
+    const codes = Object.keys(responseCodeSchemas).concat(Object.keys(errorResponses).filter(code => !responseCodeSchemas[code]));
+    const requested = req.get(statusHeader);
+    const code = requested || codes.find(code => /^2/.test(code)) || codes[0] || `${endpoint.options.defaultResponseCode}`;
+
+    if (requested && !codes.includes(requested)) {
+        throw new EndpointError(`There is no ${requested} response to mock.`, 400, { available: codes });
+    }
+
+    // declared errors are thrown, so that they are sent just like real ones.
+    if (!responseCodeSchemas[code] && errorResponses[code]) {
+        throw errorResponses[code] === 'ValidationError'
+            ? new ValidationError([], undefined, parseInt(code, 10))
+            : new EndpointError(STATUS_CODES[code], parseInt(code, 10));
+    }
+
+    const schemas = endpoint.constructor.mediaTypeSchemas(responseCodeSchemas[code], endpoint.options.defaultResponseMediaType) || {};
+    const mediaTypes = Object.keys(schemas);
+    const mediaType = req.accepts(mediaTypes) || mediaTypes[0];
+    const headerObjects = endpoint.options.responseHeaders[code] || {};
+    const headers = Object.keys(headerObjects).reduce((headers, name) => {
+
+        const header = followReference({ components }, headerObjects[name]) || {};
+
+        if (header.schema) {
+            headers[name] = `${mockSchema(header.schema, components)}`;
+        }
+
+        return headers;
+
+    }, {});
+
+    return new Response(mediaType ? mockSchema(schemas[mediaType], components) : null, parseInt(code, 10), headers);
+}
+
+module.exports = {
+    mockResponse,
+    mockSchema
+};
@@ -0,0 +1,80 @@
+const METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+function camelCase(value) {
+
+    const words = `${value}`.split(/[^A-Za-z0-9]+/).filter(word => !!word);
+    const name = words
+        .map((word, index) => index === 0 ? word.charAt(0).toLowerCase() + word.slice(1) : word.charAt(0).toUpperCase() + word.slice(1))
+        .join('');
+
+    return /^[0-9]/.test(name) ? `_${name}` : name;
+}
+
+/**
+ * A usable identifier for an operation: its operationId if it has one, otherwise one derived from its method and path.
+ *
+ * @param {string} method
+ * @param {string} path
+ * @param {{}} operation
+ * @returns {string}
+ */
+function operationName(method, path, operation = {}) {
+
+    if (operation.operationId) {
+        return camelCase(operation.operationId);
+    }
+
+    const segments = path.split('/')
+        .filter(segment => !!segment)
+        .map(segment => segment.startsWith('{') ? `by ${segment.slice(1, -1)}` : segment);
+
+    return camelCase([method].concat(segments).join(' '));
+}
+
+/**
+ * Calls fn(method, path, operation, pathItem) for every operation in the spec.
+ *
+ * @param {{}} spec
+ * @param {function} fn
+ */
+function eachOperation(spec, fn) {
+
+    Object.keys(spec.paths || {}).forEach(path => {
+
+        const pathItem = spec.paths[path] || {};
+
+        METHODS.filter(method => pathItem[method]).forEach(method => fn(method, path, pathItem[method], pathItem));
+    });
+}
+
+/**
+ * Follows local references (e.g. "#/components/schemas/User") within the spec, decoding "~1" and "~0" in their segments.
+ * Returns undefined for references that lead nowhere.
+ *
+ * @param {{}} spec
+ * @param {{}|null} obj
+ * @returns {{}|null|undefined}
+ */
+function followReference(spec, obj) {
+
+    const seen = [];
+
+    while (obj && typeof obj.$ref === 'string' && obj.$ref.startsWith('#') && !seen.includes(obj.$ref)) {
+
+        seen.push(obj.$ref);
+        obj = obj.$ref.replace(/^#\/?/, '').split('/')
+            .filter(key => key !== '')
+            .map(key => decodeURIComponent(key).replace(/~1/g, '/').replace(/~0/g, '~'))
+            .reduce((target, key) => target && typeof target === 'object' ? target[key] : undefined, spec);
+    }
+
+    return obj;
+}
+
+module.exports = {
+    METHODS,
+    camelCase,
+    eachOperation,
+    followReference,
+    operationName
+};
@@ -0,0 +1,87 @@
+const RESERVED = /^(true|false|null|yes|no|on|off|y|n|~)$/i;
+const PLAIN = /^[A-Za-z_/$][A-Za-z0-9_ ./$()@+-]*$/;
+
+function isScalar(value) {
+
+    return value === null || typeof value !== 'object'
+        || (Array.isArray(value) ? value.length === 0 : Object.keys(value).length === 0);
+}
+
+function literal(value, depth) {
+
+    const padding = '  '.repeat(depth);
+    const trailing = value.match(/\n*$/)[0].length;
+    const chomping = trailing === 0 ? '-' : (trailing === 1 ? '' : '+');
+    const lines = value.slice(0, value.length - trailing).split('\n').concat(new Array(Math.max(trailing - 1, 0)).fill(''));
+
+    return `|${chomping}\n${lines.map(line => line ? padding + line : line).join('\n')}`;
+}
+
+function scalar(value, depth = 0) {
+
+    if (value === null || value === undefined) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return '[]';
+    }
+    if (typeof value === 'object') {
+        return '{}';
+    }
+    if (typeof value !== 'string') {
+        return `${value}`;
+    }
+    if (PLAIN.test(value) && !RESERVED.test(value) && !value.endsWith(' ')) {
+        return value;
+    }
+    if (value.includes('\n') && /^[^\s]/.test(value) && !/[\r\u0000-\u0008\u000b-\u001f\u007f]/.test(value)) {
+        return literal(value, depth);
+    }
+
+    return JSON.stringify(value);
+}
+
+function block(value, depth) {
+
+    const padding = '  '.repeat(depth);
+
+    if (Array.isArray(value)) {
+
+        return value.map(item => {
+
+            if (isScalar(item)) {
+                return `${padding}- ${scalar(item, depth + 1)}`;
+            }
+
+            return `${padding}- ${block(item, depth + 1).slice(padding.length + 2)}`;
+
+        }).join('\n');
+    }
+
+    return Object.keys(value).filter(key => value[key] !== undefined).map(key => {
+
+        if (isScalar(value[key])) {
+            return `${padding}${scalar(key)}: ${scalar(value[key], depth + 1)}`;
+        }
+
+        return `${padding}${scalar(key)}:\n${block(value[key], depth + 1)}`;
+
+    }).join('\n');
+}
+
+/**
+ * Serializes a JSON-compatible value as YAML.
+ * Multiline strings are written as literal blocks, and other strings that could be misread
+ * are written as double-quoted (JSON) strings, which YAML also accepts.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function stringify(value) {
+
+    return `${isScalar(value) ? scalar(value, 1) : block(value, 0)}\n`;
+}
+
+module.exports = {
+    stringify
+};
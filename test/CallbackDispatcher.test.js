@@ -0,0 +1,217 @@
+const express = require('express');
+const { expect } = require('chai');
+const { CallbackDispatcher, Endpoint, Router } = require('../index');
+
+class CreatePaymentEndpoint extends Endpoint {
+
+    bodySchema() {
+
+        return {
+            type: 'object',
+            properties: {
+                amount: { type: 'integer' },
+                callbackUrl: { type: 'string', format: 'uri' }
+            },
+            required: ['amount', 'callbackUrl']
+        };
+    }
+
+    callbacks() {
+
+        return {
+            paymentSucceeded: {
+                url: '{$request.body#/callbackUrl}',
+                bodySchema: {
+                    type: 'object',
+                    properties: {
+                        paymentId: { type: 'string' },
+                        status: { type: 'string', default: 'succeeded' }
+                    },
+                    required: ['paymentId']
+                },
+                operation: {
+                    summary: 'Sent once the payment has gone through.'
+                }
+            }
+        };
+    }
+
+    handler(req) {
+
+        return { paymentId: 'p_1' };
+    }
+}
+
+/**
+ * Starts a local server that answers with the given statuses in turn, and records what it received.
+ */
+function receiver(statuses, callback) {
+
+    const received = [];
+    const app = express();
+
+    app.use(express.text({ type: '*/*' }));
+    app.post('/hooks', (req, res) => {
+
+        received.push({ headers: req.headers, body: req.body });
+        res.sendStatus(statuses[Math.min(received.length, statuses.length) - 1]);
+    });
+
+    const server = app.listen(0, () => callback(`http://127.0.0.1:${server.address().port}/hooks`, received, server));
+}
+
+describe('CallbackDispatcher', function() {
+
+    it('documents callbacks() as the operation\'s callbacks', function() {
+
+        const router = new Router();
+        router.route('/payments', CreatePaymentEndpoint, 'post');
+
+        const spec = router.getSpec();
+        const callback = spec.paths['/payments'].post.callbacks.paymentSucceeded['{$request.body#/callbackUrl}'].post;
+
+        expect(callback.summary).to.equal('Sent once the payment has gone through.');
+        expect(callback.requestBody.required).to.equal(true);
+        expect(callback.requestBody.content['application/json'].schema.required).to.deep.equal(['paymentId']);
+        expect(callback.responses['200'].description).to.equal('The callback was received.');
+        expect(router.validateSpec().valid).to.equal(true);
+    });
+
+    it('sends a signed, validated payload to the receiver', function(done) {
+
+        receiver([200], (url, received, server) => {
+
+            const dispatcher = new CallbackDispatcher(CreatePaymentEndpoint, { secret: 'shh' });
+            const payload = { paymentId: 'p_1' };
+
+            dispatcher.dispatch('paymentSucceeded', url, payload)
+                .then(({ response, attempts }) => {
+
+                    const [{ headers, body }] = received;
+
+                    expect(response.status).to.equal(200);
+                    expect(attempts).to.equal(1);
+                    expect(JSON.parse(body)).to.deep.equal({ paymentId: 'p_1', status: 'succeeded' });
+                    expect(payload).to.deep.equal({ paymentId: 'p_1' });
+                    expect(headers['content-type']).to.equal('application/json');
+                    expect(CallbackDispatcher.verify('shh', body, headers['x-signature'])).to.equal(true);
+                    expect(CallbackDispatcher.verify('wrong', body, headers['x-signature'])).to.equal(false);
+                })
+                .then(() => server.close(done), err => server.close(() => done(err)));
+        });
+    });
+
+    it('retries failed deliveries with backoff', function(done) {
+
+        receiver([503, 500, 200], (url, received, server) => {
+
+            const dispatcher = new CallbackDispatcher(CreatePaymentEndpoint, { retryDelay: 1 });
+
+            dispatcher.dispatch('paymentSucceeded', url, { paymentId: 'p_1' })
+                .then(({ response, attempts }) => {
+
+                    expect(response.status).to.equal(200);
+                    expect(attempts).to.equal(3);
+                    expect(received).to.have.lengthOf(3);
+                })
+                .then(() => server.close(done), err => server.close(() => done(err)));
+        });
+    });
+
+    it('gives up once the retries run out, or the receiver rejects the callback', function() {
+
+        const requests = [];
+        const transport = request => {
+
+            requests.push(request);
+            return Promise.resolve({ status: requests.length > 3 ? 410 : 500 });
+        };
+        const dispatcher = new CallbackDispatcher(CreatePaymentEndpoint, { transport, retries: 2, retryDelay: 1 });
+
+        return dispatcher.dispatch('paymentSucceeded', 'http://example.com', { paymentId: 'p_1' })
+            .then(() => { throw new Error('Expected the callback to fail.'); }, err => {
+
+                expect(err.code).to.equal(502);
+                expect(err.message).to.equal('The paymentSucceeded callback to http://example.com failed after 3 attempts.');
+                expect(requests).to.have.lengthOf(3);
+
+                return dispatcher.dispatch('paymentSucceeded', 'http://example.com', { paymentId: 'p_1' });
+            })
+            .then(() => { throw new Error('Expected the callback to fail.'); }, err => {
+
+                expect(err.message).to.equal('The paymentSucceeded callback to http://example.com was rejected with a 410.');
+                expect(requests).to.have.lengthOf(4);
+            });
+    });
+
+    it('refuses to send payloads that do not match the schema', function() {
+
+        const transport = () => Promise.reject(new Error('Nothing should have been sent.'));
+        const dispatcher = new CallbackDispatcher(CreatePaymentEndpoint, { transport });
+
+        return dispatcher.dispatch('paymentSucceeded', 'http://example.com', { status: 'succeeded' })
+            .then(() => { throw new Error('Expected the callback to fail.'); }, err => {
+
+                expect(err.name).to.equal('ValidationError');
+                expect(err.code).to.equal(500);
+                expect(err.details[0].params.missingProperty).to.equal('paymentId');
+            });
+    });
+
+    it('validates payloads that are already serialized, and serializes the others for their media type', function() {
+
+        const requests = [];
+        const transport = request => {
+
+            requests.push(request);
+            return Promise.resolve({ status: 200 });
+        };
+        const XmlEndpoint = class extends Endpoint {
+
+            callbacks() {
+                return { paymentSucceeded: { bodySchema: { 'application/xml': { type: 'object', properties: { paymentId: { type: 'string' } }, required: ['paymentId'] } } } };
+            }
+        };
+        const dispatcher = new CallbackDispatcher(CreatePaymentEndpoint, { transport });
+        const xmlDispatcher = new CallbackDispatcher(XmlEndpoint, { transport });
+        const rejected = promise => promise.then(() => { throw new Error('Expected the callback to fail.'); }, err => err);
+
+        return Promise.all([
+            rejected(dispatcher.dispatch('paymentSucceeded', 'http://example.com', '{"status":"succeeded"}')),
+            rejected(dispatcher.dispatch('paymentSucceeded', 'http://example.com', Buffer.from('{"paymentId":'))),
+            dispatcher.dispatch('paymentSucceeded', 'http://example.com', '{"paymentId":"p_1"}'),
+            xmlDispatcher.dispatch('paymentSucceeded', 'http://example.com', { paymentId: 'p_1' })
+        ]).then(([invalid, malformed]) => {
+
+            expect(invalid.name).to.equal('ValidationError');
+            expect(invalid.details[0].params.missingProperty).to.equal('paymentId');
+            expect(malformed.message).to.equal('The paymentSucceeded callback is not valid JSON.');
+            expect(requests.map(({ headers, body }) => [headers['Content-Type'], body])).to.deep.equal([
+                ['application/json', '{"paymentId":"p_1"}'],
+                ['application/xml', '<?xml version="1.0" encoding="UTF-8"?><response><paymentId>p_1</paymentId></response>']
+            ]);
+        });
+    });
+
+    it('resolves $refs into the components of the router it is given', function() {
+
+        const router = new Router({ schemas: { Payment: { type: 'object', properties: { paymentId: { type: 'string' } }, required: ['paymentId'] } } });
+        const RefEndpoint = class extends Endpoint {
+
+            callbacks() {
+                return { paymentSucceeded: { bodySchema: { $ref: '#/components/schemas/Payment' } } };
+            }
+        };
+        const transport = () => Promise.resolve({ status: 200 });
+        const dispatcher = new CallbackDispatcher(RefEndpoint, { transport, router });
+
+        return dispatcher.dispatch('paymentSucceeded', 'http://example.com', {})
+            .then(() => { throw new Error('Expected the callback to fail.'); }, err => {
+
+                expect(err.details[0].params.missingProperty).to.equal('paymentId');
+
+                return dispatcher.dispatch('paymentSucceeded', 'http://example.com', { paymentId: 'p_1' });
+            })
+            .then(({ attempts }) => expect(attempts).to.equal(1));
+    });
+});
@@ -0,0 +1,248 @@
+const Module = require('module');
+const path = require('path');
+
+const request = require('supertest');
+const { expect } = require('chai');
+const { ClientGenerator, Endpoint, EndpointError, Response, Router } = require('../index');
+
+/**
+ * Loads generated source code as if it were a module in this directory.
+ */
+function load(code) {
+
+    const filename = path.resolve(__dirname, 'generated-client.js');
+    const generated = new Module(filename, module);
+
+    generated.filename = filename;
+    generated.paths = module.paths;
+    generated._compile(code, filename);
+
+    return generated.exports;
+}
+
+/**
+ * A fetch-like transport that sends requests to an app in-process.
+ */
+function transport(app, sent = []) {
+
+    return (url, { method, headers, body }) => {
+
+        sent.push({ url, method, headers, body });
+
+        let req = request(app)[method.toLowerCase()](url).set(headers);
+
+        if (body !== undefined) {
+            req = req.send(body);
+        }
+
+        return req.then(res => ({
+            status: res.status,
+            headers: { get: name => res.headers[name.toLowerCase()] },
+            text: () => res.text
+        }));
+    };
+}
+
+describe('ClientGenerator', function() {
+
+    const User = Endpoint.objectSchema({
+        id: { type: 'integer' },
+        name: { type: 'string', maxLength: 10 }
+    });
+
+    const router = new Router();
+
+    router.route('/users/:userId', class extends Endpoint {
+
+        operation() {
+            return { operationId: 'getUser' };
+        }
+
+        paramsSchema() {
+            return Endpoint.objectSchema({ userId: { type: 'integer' } });
+        }
+
+        responseCodeSchemas() {
+            return { '200': User };
+        }
+
+        handler(req) {
+
+            if (req.params.userId === 404) {
+                throw new EndpointError('Not found.', 404);
+            }
+
+            return { id: req.params.userId, name: 'Ann' };
+        }
+    });
+
+    router.route('/users', class extends Endpoint {
+
+        operation() {
+            return { operationId: 'create-user' };
+        }
+
+        querySchema() {
+            return Endpoint.objectSchema({ notify: { type: 'boolean', default: false } }, []);
+        }
+
+        bodySchema() {
+            return Endpoint.objectSchema({ name: User.properties.name });
+        }
+
+        responseCodeSchemas() {
+            return { '201': User };
+        }
+
+        handler(req) {
+            return new Response({ id: 1, name: req.body.name }, 201);
+        }
+    }, 'post');
+
+    router.route('/ping', Endpoint.withHandler(req => 'pong'));
+
+    const app = router.mount();
+    const code = new ClientGenerator(router.getSpec()).generate();
+    const createClient = load(code);
+
+    it('generates a standalone module with one method per operation', function() {
+
+        const client = createClient({ fetch: transport(app) });
+
+        expect(code).to.be.a('string');
+        expect(client.getUser).to.be.a('function');
+        expect(client.createUser).to.be.a('function');
+        expect(client.getPing).to.be.a('function');
+    });
+
+    it('sends requests through the injected transport and decodes responses by status code', function(done) {
+
+        const sent = [];
+        const client = createClient({ fetch: transport(app, sent), headers: { 'x-api-key': 'foo' } });
+
+        Promise.all([
+            client.getUser({ params: { userId: 3 } }),
+            client.createUser({ body: { name: 'Bob' } }),
+            client.getPing()
+        ]).then(([ user, created, ping ]) => {
+
+            expect(user).to.include({ status: 200 });
+            expect(user.body).to.deep.equal({ id: 3, name: 'Ann' });
+            expect(created).to.include({ status: 201 });
+            expect(created.body).to.deep.equal({ id: 1, name: 'Bob' });
+            expect(ping.body).to.equal('pong');
+            expect(sent[0].url).to.equal('/users/3');
+            expect(sent[0].headers['x-api-key']).to.equal('foo');
+            expect(sent[1].url).to.equal('/users?notify=false');
+            expect(sent[1].headers['content-type']).to.equal('application/json');
+            done();
+
+        }).catch(done);
+    });
+
+    it('validates arguments before sending anything', function(done) {
+
+        const sent = [];
+        const client = createClient({ fetch: transport(app, sent) });
+
+        Promise.all([
+            client.getUser({ params: { userId: 'three' } }).then(() => Promise.reject(new Error('Should have failed.')), err => err),
+            client.createUser({ body: { name: 'Far too long a name' } }).then(() => Promise.reject(new Error('Should have failed.')), err => err),
+            client.createUser().then(() => Promise.reject(new Error('Should have failed.')), err => err)
+        ]).then(errors => {
+
+            errors.forEach(err => {
+                expect(err).to.be.instanceOf(createClient.ClientError);
+                expect(err.details).to.be.an('array');
+            });
+            expect(sent).to.have.length(0);
+            done();
+
+        }).catch(done);
+    });
+
+    it('validates with the same Ajv options and formats as the server', function() {
+
+        const router = new Router();
+
+        router.route('/pets/:petId', class extends Endpoint {
+
+            paramsSchema() {
+                return Endpoint.objectSchema({ petId: { type: 'integer', format: 'int32' } });
+            }
+
+            bodySchema() {
+                return Endpoint.objectSchema({ name: { type: 'string', nullable: true } });
+            }
+
+            handler(req) {
+                return { id: req.params.petId, name: req.body.name };
+            }
+        }, 'put');
+
+        const createClient = load(new ClientGenerator(router.getSpec()).generate());
+        const client = createClient({ fetch: transport(router.mount()) });
+
+        return client.putPetsByPetId({ params: { petId: '3' }, body: { name: null } })
+            .then(({ status, body }) => {
+
+                expect(status).to.equal(200);
+                expect(body).to.deep.equal({ id: 3, name: null });
+            })
+            .then(() => client.putPetsByPetId({ params: { petId: 2 ** 40 }, body: { name: 'Rex' } }))
+            .then(() => Promise.reject(new Error('Should have failed.')), err => expect(err).to.be.instanceOf(createClient.ClientError));
+    });
+
+    it('validates with Ajv 8, and with its 2020-12 dialect for OpenAPI 3.1 specs', function() {
+
+        const router = new Router({}, { openapi: '3.1.0', Ajv2020: require('ajv8/dist/2020') });
+
+        router.route('/users/:userId', class extends Endpoint {
+
+            paramsSchema() {
+                return { properties: { userId: { type: 'integer', format: 'int32' } } };
+            }
+
+            querySchema() {
+                return { properties: { fields: { type: ['string', 'null'], format: 'email' } } };
+            }
+
+            handler(req) {
+                return { id: req.params.userId };
+            }
+        });
+
+        const code = new ClientGenerator(router.getSpec()).generate();
+
+        expect(code).to.contain(`require('ajv/dist/2020')`);
+
+        const createClient = load(code.replace(`require('ajv/dist/2020')`, `require('ajv8/dist/2020')`));
+        const sent = [];
+        const client = createClient({ fetch: transport(router.mount(), sent) });
+
+        return client.getUsersByUserId({ params: { userId: 'three' } })
+            .then(() => Promise.reject(new Error('Should have failed.')), err => expect(err).to.be.instanceOf(createClient.ClientError))
+            .then(() => client.getUsersByUserId({ params: { userId: 3 }, query: { fields: null } }))
+            .then(({ body }) => {
+
+                expect(body).to.deep.equal({ id: 3 });
+                expect(sent).to.have.length(1);
+            });
+    });
+
+    it('rejects with the decoded body of error responses', function(done) {
+
+        const client = createClient({ fetch: transport(app) });
+
+        client.getUser({ params: { userId: 404 } })
+            .then(() => done(new Error('Should have failed.')))
+            .catch(err => {
+
+                expect(err).to.be.instanceOf(createClient.ClientError);
+                expect(err.status).to.equal(404);
+                expect(err.body).to.deep.equal({ code: 404, message: 'Not found.', details: {} });
+                done();
+            })
+            .catch(done);
+    });
+});
@@ -0,0 +1,118 @@
+const { expect } = require('chai');
+const { DeclarationGenerator, Endpoint, Router } = require('../index');
+
+describe('DeclarationGenerator', function() {
+
+    const router = new Router({
+        schemas: {
+            User: {
+                type: 'object',
+                description: 'A registered user of the system',
+                properties: {
+                    id: { type: 'string' },
+                    'first-name': { type: 'string' },
+                    age: { type: 'integer', nullable: true },
+                    role: { type: 'string', enum: ['admin', 'member'] },
+                    profile: { $ref: '#/components/schemas/UserProfile' }
+                },
+                required: ['id', 'first-name']
+            },
+            UserProfile: {
+                type: 'object',
+                properties: {
+                    likes: { type: 'array', items: { type: 'string' } }
+                },
+                additionalProperties: { type: 'number' }
+            }
+        }
+    });
+
+    router.route('/users/:userId', class extends Endpoint {
+
+        operation() {
+            return { operationId: 'getUser', summary: 'Retrieves a single user by ID.' };
+        }
+
+        paramsSchema() {
+            return Endpoint.objectSchema({ userId: { type: 'string' } });
+        }
+
+        querySchema() {
+            return Endpoint.objectSchema({ expand: { type: 'boolean' } }, []);
+        }
+
+        responseCodeSchemas() {
+            return {
+                '200': Endpoint.openApiReference('schemas/User'),
+                '404': { type: 'object', properties: { message: { type: 'string' } } }
+            };
+        }
+    });
+
+    router.route('/users', class extends Endpoint {
+
+        operation() {
+            return { operationId: 'create-user' };
+        }
+
+        bodySchema() {
+            return {
+                type: 'object',
+                properties: {
+                    user: Endpoint.openApiReference('schemas/User'),
+                    tags: { oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }] }
+                },
+                required: ['user']
+            };
+        }
+
+        responseCodeSchemas() {
+            return { '201': Endpoint.openApiReference('schemas/User') };
+        }
+    }, 'post');
+
+    const declarations = new DeclarationGenerator(router.getSpec()).generate();
+
+    it('declares an interface for each component schema', function() {
+
+        expect(declarations).to.contain('/**\n * A registered user of the system\n */\nexport interface User {');
+        expect(declarations).to.contain('    id: string;');
+        expect(declarations).to.contain('    "first-name": string;');
+        expect(declarations).to.contain('    age?: number | null;');
+        expect(declarations).to.contain('    role?: "admin" | "member";');
+        expect(declarations).to.contain('    profile?: UserProfile;');
+        expect(declarations).to.contain('export interface UserProfile {\n    likes?: Array<string>;\n    [key: string]: number;\n}');
+    });
+
+    it('declares request and response types for each operation, with references resolved to named types', function() {
+
+        expect(declarations).to.contain('export interface GetUserParams {\n    userId: string;\n}');
+        expect(declarations).to.contain('export interface GetUserQuery {\n    expand?: boolean;\n}');
+        expect(declarations).to.contain('/**\n * Retrieves a single user by ID.\n */\nexport interface GetUserRequest {\n    query?: GetUserQuery;\n    params: GetUserParams;\n}');
+        expect(declarations).to.contain('export type GetUserResponse200 = User;');
+        expect(declarations).to.contain('export type GetUserResponse400 = ValidationError;');
+        expect(declarations).to.contain('export type GetUserResponse = GetUserResponse200 | GetUserResponse400 | GetUserResponse404;');
+        expect(declarations).to.contain('user: User;');
+        expect(declarations).to.contain('tags?: string | Array<string>;');
+        expect(declarations).to.contain('export interface CreateUserRequest {\n    body: CreateUserBody;\n}');
+        expect(declarations).to.contain('export type CreateUserResponse201 = User;');
+    });
+
+    it('declares and references components whose names hold a slash by the same name', function() {
+
+        const router = new Router();
+        const pet = router.component('schemas', 'Pets/Pet', { type: 'object', properties: { name: { type: 'string' } } });
+
+        router.route('/pets', class extends Endpoint {
+
+            responseCodeSchemas() {
+                return { '200': { type: 'array', items: pet } };
+            }
+        });
+
+        const declarations = new DeclarationGenerator(router.getSpec()).generate();
+
+        expect(declarations).to.contain('export interface PetsPet {');
+        expect(declarations).to.contain('export type GetPetsResponse200 = Array<PetsPet>;');
+    });
+});
@@ -1,7 +1,8 @@
 const httpMocks = require('node-mocks-http');
+const request = require('supertest');
 const { expect } = require('chai');
 const { EventEmitter } = require('events');
-const { Endpoint, Response, ValidationError } = require('../index');
+const { Endpoint, EndpointError, Response, Router, ValidationError } = require('../index');
 
 describe('Endpoint', function() {
 
@@ -656,6 +657,587 @@ describe('Endpoint', function() {
 
 
         });
+
+        it('parses and validates request bodies by default', function(done) {
+
+            const TestEndpoint = class extends Endpoint {
+
+                bodySchema() {
+                    return Endpoint.objectSchema({
+                        name: { type: 'string', maxLength: 5 }
+                    });
+                }
+
+                handler(req) {
+                    return { result: `hello ${req.body.name}` };
+                }
+            };
+
+            const router = new Router();
+            router.route('/foo', TestEndpoint, 'post');
+            const app = router.mount();
+
+            Promise.all([
+                request(app).post('/foo').send({ name: 'world' }).expect(200, { result: 'hello world' }),
+                request(app).post('/foo').send({ name: 'everyone' }).expect(400),
+                request(app).post('/foo').expect(400)
+            ]).then(() => done()).catch(done);
+        });
+
+        it('rejects request bodies that cannot be parsed as client errors', function(done) {
+
+            const TestEndpoint = class extends Endpoint {
+
+                bodySchema() {
+                    return Endpoint.objectSchema({
+                        name: { type: 'string' }
+                    });
+                }
+
+                handler(req) {
+                    return { result: `hello ${req.body.name}` };
+                }
+            };
+
+            const router = new Router();
+            router.route('/foo', TestEndpoint, 'post');
+            const app = router.mount();
+
+            Promise.all([
+                request(app).post('/foo').type('json').send('{"name": ').expect(400)
+                    .then(res => expect(res.body.code).to.equal(400)),
+                request(app).post('/foo').send({ name: 'a'.repeat(200 * 1024) }).expect(413)
+                    .then(res => expect(res.body.code).to.equal(413))
+            ]).then(() => done()).catch(done);
+        });
+
+        it('validates request bodies against the schema matching their Content-Type', function(done) {
+
+            const TestEndpoint = class extends Endpoint {
+
+                bodySchema() {
+                    return {
+                        'application/json': Endpoint.objectSchema({
+                            count: { type: 'integer', maximum: 5 }
+                        }),
+                        'application/x-www-form-urlencoded': Endpoint.objectSchema({
+                            name: { type: 'string', maxLength: 5 }
+                        }),
+                        'text/plain': { type: 'string', maxLength: 5 }
+                    };
+                }
+
+                handler(req) {
+                    return { body: req.body };
+                }
+            };
+
+            const router = new Router();
+            router.route('/foo', TestEndpoint, 'post');
+            const app = router.mount();
+
+            Promise.all([
+                request(app).post('/foo').send({ count: 2 }).expect(200, { body: { count: 2 } }),
+                request(app).post('/foo').send({ count: 6 }).expect(400),
+                request(app).post('/foo').type('form').send({ name: 'world' }).expect(200, { body: { name: 'world' } }),
+                request(app).post('/foo').type('form').send({ name: 'everyone' }).expect(400),
+                request(app).post('/foo').type('text').send('hi').expect(200, { body: 'hi' }),
+                request(app).post('/foo').type('text').send('hello world').expect(400),
+                request(app).post('/foo').type('xml').send('<hi/>').expect(415)
+            ]).then(() => done()).catch(done);
+        });
+
+        it('parses multipart/form-data bodies, enforcing the file limits declared in the schema', function(done) {
+
+            const TestEndpoint = class extends Endpoint {
+
+                bodySchema() {
+                    return {
+                        type: 'object',
+                        contentMediaType: 'multipart/form-data',
+                        properties: {
+                            name: { type: 'string', maxLength: 5 },
+                            age: { type: 'integer' },
+                            avatar: { type: 'string', format: 'binary', maxLength: 10, contentMediaType: 'image/png, image/jpeg' },
+                            attachments: { type: 'array', items: { type: 'string', format: 'binary' } }
+                        },
+                        required: ['name', 'avatar']
+                    };
+                }
+
+                handler(req) {
+
+                    const { name, age, avatar, attachments = [] } = req.body;
+
+                    return {
+                        name,
+                        age,
+                        avatar: { fileName: avatar.fileName, mimeType: avatar.mimeType, size: avatar.size, content: avatar.buffer.toString() },
+                        attachments: attachments.map(file => file.fileName)
+                    };
+                }
+            };
+
+            const router = new Router();
+            router.route('/foo', TestEndpoint, 'post');
+            const app = router.mount();
+
+            Promise.all([
+                request(app)
+                    .post('/foo')
+                    .field('name', 'bob')
+                    .field('age', '30')
+                    .attach('avatar', Buffer.from('png!'), { filename: 'me.png', contentType: 'image/png' })
+                    .attach('attachments', Buffer.from('a'), 'a.txt')
+                    .expect(200, {
+                        name: 'bob',
+                        age: 30,
+                        avatar: { fileName: 'me.png', mimeType: 'image/png', size: 4, content: 'png!' },
+                        attachments: ['a.txt']
+                    }),
+                request(app)
+                    .post('/foo')
+                    .field('name', 'bob')
+                    .attach('avatar', Buffer.from('this is too large'), { filename: 'me.png', contentType: 'image/png' })
+                    .expect(400)
+                    .then(res => expect(res.body.details[0].keyword).to.equal('maxLength')),
+                request(app)
+                    .post('/foo')
+                    .field('name', 'bob')
+                    .attach('avatar', Buffer.from('gif!'), { filename: 'me.gif', contentType: 'image/gif' })
+                    .expect(400)
+                    .then(res => expect(res.body.details[0].keyword).to.equal('contentMediaType')),
+                request(app)
+                    .post('/foo')
+                    .field('name', 'robert')
+                    .attach('avatar', Buffer.from('png!'), { filename: 'me.png', contentType: 'image/png' })
+                    .expect(400),
+                request(app)
+                    .post('/foo')
+                    .field('name', 'bob')
+                    .expect(400),
+                request(app)
+                    .post('/foo')
+                    .send({ name: 'bob' })
+                    .expect(415)
+            ]).then(() => done()).catch(done);
+        });
+
+        it('parses multipart/form-data parts by their media type, and rejects what it cannot parse', function(done) {
+
+            const TestEndpoint = class extends Endpoint.withDefaultOptions({ multipartSizeLimit: 1024 }) {
+
+                bodySchema() {
+                    return {
+                        type: 'object',
+                        contentMediaType: 'multipart/form-data',
+                        properties: {
+                            meta: { type: 'object', properties: { count: { type: 'integer' } } },
+                            avatar: { type: 'string', format: 'binary', contentMediaType: 'image/png' }
+                        }
+                    };
+                }
+
+                handler(req) {
+                    return {
+                        meta: req.body.meta,
+                        avatar: req.body.avatar ? req.body.avatar.mimeType : null,
+                        fields: Object.keys(req.body).sort(),
+                        prototype: Object.getPrototypeOf(req.body) === null
+                    };
+                }
+            };
+
+            const multipart = parts => parts
+                .map(([name, type, content]) => `--b\r\nContent-Disposition: form-data; name="${name}"\r\nContent-Type: ${type}\r\n\r\n${content}\r\n`)
+                .join('') + '--b--\r\n';
+
+            const router = new Router();
+            router.route('/foo', TestEndpoint, 'post');
+            const app = router.mount();
+
+            Promise.all([
+                request(app)
+                    .post('/foo')
+                    .type('multipart/form-data; boundary=b')
+                    .send(multipart([['meta', 'application/json; charset=utf-8', '{"count": 2}']]))
+                    .expect(200, { meta: { count: 2 }, avatar: null, fields: ['meta'], prototype: true }),
+                request(app)
+                    .post('/foo')
+                    .attach('avatar', Buffer.from('png!'), { filename: 'me.png', contentType: 'image/png; name=me.png' })
+                    .expect(200)
+                    .then(res => expect(res.body.avatar).to.equal('image/png; name=me.png')),
+                request(app)
+                    .post('/foo')
+                    .type('multipart/form-data; boundary=b')
+                    .send(multipart([['meta', 'application/json', '{"count": ']]))
+                    .expect(400)
+                    .then(res => expect(res.body.message).to.equal('The meta part is not valid JSON.')),
+                request(app)
+                    .post('/foo')
+                    .field('hasOwnProperty', 'a')
+                    .field('hasOwnProperty', 'b')
+                    .field('__proto__', 'c')
+                    .expect(200)
+                    .then(res => expect(res.body.fields).to.deep.equal(['__proto__', 'hasOwnProperty'])),
+                request(app)
+                    .post('/foo')
+                    .attach('avatar', Buffer.alloc(2048), { filename: 'me.png', contentType: 'image/png' })
+                    .expect(413)
+            ]).then(() => done()).catch(done);
+        });
+
+        it('reads quoted multipart/form-data header params that hold semicolons', function(done) {
+
+            const router = new Router();
+
+            router.route('/foo', class extends Endpoint {
+
+                bodySchema() {
+                    return {
+                        type: 'object',
+                        contentMediaType: 'multipart/form-data',
+                        properties: { file: { type: 'string', format: 'binary' } }
+                    };
+                }
+
+                handler(req) {
+                    return { fields: Object.keys(req.body), fileName: req.body.file.fileName };
+                }
+            }, 'post');
+
+            request(router.mount())
+                .post('/foo')
+                .type('multipart/form-data; boundary=b')
+                .send('--b\r\nContent-Disposition: form-data; name="file"; filename="a;b \\"c\\".txt"\r\nContent-Type: text/plain\r\n\r\nhi\r\n--b--\r\n')
+                .expect(200, { fields: ['file'], fileName: 'a;b "c".txt' }, done);
+        });
+
+        it('negotiates the response media type and serializes the body accordingly', function(done) {
+
+            const users = [{ id: 1, name: 'Ann' }, { id: 2, name: 'Bob, Jr.' }];
+            const usersSchema = {
+                type: 'array',
+                items: Endpoint.objectSchema({ id: { type: 'integer' }, name: { type: 'string' } })
+            };
+
+            const TestEndpoint = (class extends Endpoint {
+
+                responseCodeSchemas() {
+                    return {
+                        '200': {
+                            'application/json': usersSchema,
+                            'text/csv': usersSchema,
+                            'application/xml': Object.assign({ xml: { name: 'users' } }, usersSchema),
+                            'application/x-custom': usersSchema
+                        }
+                    };
+                }
+
+                handler(req) {
+                    return users;
+                }
+
+            }).withDefaultOptions({
+                serializers: {
+                    'application/x-custom': body => body.map(user => user.name).join('|')
+                }
+            });
+
+            const router = new Router();
+            router.route('/users', TestEndpoint);
+            const app = router.mount();
+
+            Promise.all([
+                request(app).get('/users').set('Accept', 'application/json').expect('Content-Type', /json/).expect(200, users),
+                request(app).get('/users').set('Accept', 'text/csv').expect('Content-Type', /text\/csv/).expect(200, 'id,name\r\n1,Ann\r\n2,"Bob, Jr."'),
+                request(app).get('/users').set('Accept', 'application/xml').expect('Content-Type', /xml/)
+                    .expect(200, '<?xml version="1.0" encoding="UTF-8"?><users><item><id>1</id><name>Ann</name></item><item><id>2</id><name>Bob, Jr.</name></item></users>'),
+                request(app).get('/users').set('Accept', 'application/x-custom').expect(200, 'Ann|Bob, Jr.'),
+                request(app).get('/users').set('Accept', 'image/png').expect(406)
+            ]).then(() => done()).catch(done);
+        });
+
+        it('follows $refs to components whose names hold a slash', function(done) {
+
+            const router = new Router();
+            const users = router.component('schemas', 'Users/List', { type: 'array', items: { type: 'string' }, xml: { name: 'users' } });
+            const cacheControl = router.component('headers', 'Cache/Control', { schema: { type: 'string', default: 'no-store' } });
+
+            router.route('/users', (class extends Endpoint {
+
+                responseCodeSchemas() {
+                    return { '200': { 'application/xml': users } };
+                }
+
+                handler(req) {
+                    return ['Ann'];
+                }
+
+            }).withDefaultOptions({ responseHeaders: { 200: { 'Cache-Control': cacheControl } } }));
+
+            request(router.mount()).get('/users')
+                .expect('Cache-Control', 'no-store')
+                .expect(200, '<?xml version="1.0" encoding="UTF-8"?><users><item>Ann</item></users>', done);
+        });
+
+        it('only negotiates media types that the body can be serialized as', function(done) {
+
+            const schema = { type: 'object' };
+            const router = new Router();
+
+            router.route('/both', class extends Endpoint {
+
+                responseCodeSchemas() {
+                    return { '200': { 'application/x-unknown': schema, 'application/json': schema } };
+                }
+
+                handler(req) {
+                    return { a: 1 };
+                }
+            });
+            router.route('/unknown', class extends Endpoint {
+
+                responseCodeSchemas() {
+                    return { '200': { 'application/x-unknown': schema } };
+                }
+
+                handler(req) {
+                    return { a: 1 };
+                }
+            });
+            const app = router.mount();
+
+            Promise.all([
+                request(app).get('/both').set('Accept', 'application/x-unknown, application/json;q=0.5').expect('Content-Type', /json/).expect(200, { a: 1 }),
+                request(app).get('/unknown').expect(500)
+                    .then(res => expect(res.body).to.deep.equal({ code: 500, message: 'No serializer is registered for application/x-unknown.', details: { mediaType: 'application/x-unknown' } }))
+            ]).then(() => done()).catch(done);
+        });
+
+        it('sends strings as JSON strings when JSON is negotiated', function(done) {
+
+            const TestEndpoint = class extends Endpoint {
+
+                responseCodeSchemas() {
+                    return {
+                        '200': {
+                            'application/json': { type: 'string' },
+                            'text/plain': { type: 'string' }
+                        }
+                    };
+                }
+
+                handler(req) {
+                    return 'hello';
+                }
+            };
+
+            const router = new Router();
+            router.route('/greeting', TestEndpoint);
+            const app = router.mount();
+
+            Promise.all([
+                request(app).get('/greeting').set('Accept', 'application/json').expect('Content-Type', /json/).expect(200, '"hello"'),
+                request(app).get('/greeting').set('Accept', 'text/plain').expect('Content-Type', /text\/plain/).expect(200, 'hello')
+            ]).then(() => done()).catch(done);
+        });
+
+        it('validates negotiated responses against the schema of the chosen media type', function(done) {
+
+            const TestEndpoint = (class extends Endpoint {
+
+                responseCodeSchemas() {
+                    return {
+                        '200': {
+                            'application/json': { type: 'object' },
+                            'text/plain': { type: 'string' }
+                        }
+                    };
+                }
+
+                handler(req) {
+                    return { a: 'b' };
+                }
+
+            }).withDefaultOptions({ validateResponse: true });
+
+            const router = new Router();
+            router.route('/foo', TestEndpoint);
+            const app = router.mount();
+
+            Promise.all([
+                request(app).get('/foo').set('Accept', 'application/json').expect(200, { a: 'b' }),
+                request(app).get('/foo').set('Accept', 'text/plain').expect(500)
+            ]).then(() => done()).catch(done);
+        });
+
+        it('can report response mismatches instead of enforcing them, for a sample of responses', function(done) {
+
+            const mismatches = [];
+            const BaseEndpoint = class extends Endpoint {
+
+                operation() {
+                    return { operationId: 'getCount' };
+                }
+
+                responseCodeSchemas() {
+                    return {
+                        '200': Endpoint.objectSchema({ count: { type: 'integer', default: 0 } })
+                    };
+                }
+
+                handler(req) {
+                    return { count: 'many' };
+                }
+            };
+
+            const options = { responseValidation: 'report', onResponseMismatch: mismatch => mismatches.push(mismatch) };
+            const router = new Router();
+            router.route('/reported', BaseEndpoint.withDefaultOptions(options));
+            router.route('/enforced', BaseEndpoint.withDefaultOptions({ responseValidation: 'enforce' }));
+            router.route('/unsampled', BaseEndpoint.withDefaultOptions(Object.assign({ responseValidationSampleRate: 0 }, options)));
+            router.route('/off', BaseEndpoint.withDefaultOptions({ responseValidation: 'off', validateResponse: true }));
+            const app = router.mount();
+
+            Promise.all([
+                request(app).get('/reported').expect(200, { count: 'many' }),
+                request(app).get('/enforced').expect(500),
+                request(app).get('/unsampled').expect(200, { count: 'many' }),
+                request(app).get('/off').expect(200, { count: 'many' })
+            ]).then(() => {
+
+                expect(mismatches).to.have.lengthOf(1);
+                expect(mismatches[0]).to.include({ method: 'GET', path: '/reported', code: 200, mediaType: null });
+                expect(mismatches[0].operation).to.deep.equal({ operationId: 'getCount' });
+                expect(mismatches[0].errors[0]).to.include({ dataPath: '.count', keyword: 'type' });
+                done();
+
+            }).catch(done);
+        });
+
+        it('validates response headers per status code, and fills in their defaults', function(done) {
+
+            const mismatches = [];
+            const responseHeaders = {
+                201: {
+                    'X-Rate-Limit': { required: true, schema: { type: 'integer' } },
+                    'X-Request-Id': { schema: { type: 'string', format: 'uuid' } },
+                    'Cache-Control': { schema: { type: 'string', default: 'no-store' } }
+                }
+            };
+            const TestEndpoint = (class extends Endpoint {
+
+                responseCodeSchemas() {
+                    return { 201: { type: 'object' } };
+                }
+
+                handler(req) {
+                    return new Response({}, 201, req.query);
+                }
+
+            }).withDefaultOptions({ responseValidation: 'enforce', responseHeaders });
+
+            const router = new Router();
+            router.route('/enforced', TestEndpoint);
+            router.route('/reported', TestEndpoint.withDefaultOptions({
+                responseValidation: 'report',
+                onResponseMismatch: mismatch => mismatches.push(mismatch)
+            }));
+            const app = router.mount();
+
+            Promise.all([
+                request(app).get('/enforced?x-rate-limit=10').expect(201).expect('Cache-Control', 'no-store'),
+                request(app).get('/enforced?X-Request-Id=123').expect(500),
+                request(app).get('/reported?x-rate-limit=10&X-Request-Id=123').expect(201).expect('X-Request-Id', '123')
+            ]).then(([ valid, invalid ]) => {
+
+                expect(invalid.body.details[0]).to.include({ dataPath: '.headers', keyword: 'required' });
+                expect(invalid.body.details[0].params).to.deep.equal({ missingProperty: 'x-rate-limit' });
+                expect(mismatches).to.have.lengthOf(1);
+                expect(mismatches[0].errors[0]).to.include({ dataPath: `.headers['x-request-id']`, keyword: 'format' });
+                expect(router.getSpec().paths['/enforced'].get.responses['201'].headers).to.deep.equal(responseHeaders[201]);
+                done();
+
+            }).catch(done);
+        });
+
+        it('rejects unknown response validation modes', function() {
+
+            const TestEndpoint = Endpoint.withDefaultOptions({ responseValidation: 'sometimes' });
+
+            expect(() => new TestEndpoint().createMiddleware()).to.throw('Unknown responseValidation mode: sometimes.');
+        });
+
+        it('documents the errors it declares, and a ValidationError whenever the request has a schema', function() {
+
+            class NotFoundError extends EndpointError {
+
+                constructor(message = 'Not found.') {
+                    super(message, 404);
+                }
+            }
+
+            const router = new Router();
+            router.route('/pets/:petId', class extends Endpoint {
+
+                paramsSchema() {
+                    return Endpoint.objectSchema({ petId: { type: 'integer' } });
+                }
+
+                errors() {
+                    return [NotFoundError, 409];
+                }
+            });
+            router.route('/health', Endpoint);
+
+            const { paths } = router.getSpec();
+
+            expect(paths['/pets/{petId}'].get.responses).to.deep.equal({
+                200: { description: 'No schema given for response.' },
+                400: { $ref: '#/components/responses/ValidationError' },
+                404: { $ref: '#/components/responses/EndpointError' },
+                409: { $ref: '#/components/responses/EndpointError' }
+            });
+            expect(paths['/health'].get.responses).to.deep.equal({ 200: { description: 'No schema given for response.' } });
+            expect(router.validateSpec().valid).to.equal(true);
+        });
+
+        it('can report errors that were not declared', function(done) {
+
+            const undeclared = [];
+            const TestEndpoint = class extends Endpoint {
+
+                errors() {
+                    return [404];
+                }
+
+                handler(req) {
+                    throw new EndpointError('Nope.', req.query.code ? parseInt(req.query.code, 10) : 404);
+                }
+            };
+
+            const router = new Router();
+            router.route('/reported', TestEndpoint.withDefaultOptions({
+                reportUndeclaredErrors: true,
+                onUndeclaredError: violation => undeclared.push(violation)
+            }));
+            router.route('/ignored', TestEndpoint);
+            const app = router.mount();
+
+            Promise.all([
+                request(app).get('/reported').expect(404),
+                request(app).get('/reported?code=409').expect(409),
+                request(app).get('/ignored?code=409').expect(409)
+            ]).then(() => {
+
+                expect(undeclared).to.have.lengthOf(1);
+                expect(undeclared[0]).to.include({ method: 'GET', path: '/reported', code: 409 });
+                expect(undeclared[0].error.message).to.equal('Nope.');
+                done();
+
+            }).catch(done);
+        });
     });
 
     describe('helpers', function() {
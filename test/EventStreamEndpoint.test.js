@@ -0,0 +1,206 @@
+const request = require('supertest');
+const sinon = require('sinon');
+const { expect } = require('chai');
+const { EventEmitter } = require('events');
+const { EventStreamEndpoint, EventStreamResponse, Router } = require('../index');
+
+function textParser(res, callback) {
+
+    res.setEncoding('utf8');
+    res.text = '';
+    res.on('data', chunk => res.text += chunk);
+    res.on('end', () => callback(null, res.text));
+}
+
+class PriceEndpoint extends EventStreamEndpoint {
+
+    querySchema() {
+
+        return {
+            properties: {
+                symbol: { type: 'string', pattern: '^[A-Z]+$' }
+            }
+        };
+    }
+
+    eventSchemas() {
+
+        return {
+            price: {
+                type: 'object',
+                properties: {
+                    amount: { type: 'number' }
+                },
+                required: ['amount']
+            },
+            closed: {
+                type: 'string'
+            }
+        };
+    }
+
+    handler(req) {
+
+        return (async function* () {
+
+            yield { event: 'price', id: req.lastEventId || '1', data: { amount: 1.5 } };
+            yield { event: 'closed', data: 'The market\nis closed.' };
+        })();
+    }
+}
+
+describe('EventStreamEndpoint', function() {
+
+    it('streams the events that the handler yields', function(done) {
+
+        const router = new Router();
+        router.route('/prices', PriceEndpoint);
+
+        request(router.mount())
+            .get('/prices')
+            .buffer(true)
+            .parse(textParser)
+            .expect(200)
+            .expect('Content-Type', /text\/event-stream/)
+            .expect('Cache-Control', 'no-cache')
+            .then(res => {
+
+                expect(res.body).to.equal('id: 1\nevent: price\ndata: {"amount":1.5}\n\nevent: closed\ndata: The market\ndata: is closed.\n\n');
+                done();
+
+            }).catch(done);
+    });
+
+    it('passes Last-Event-ID on as req.lastEventId', function(done) {
+
+        const router = new Router();
+        router.route('/prices', PriceEndpoint);
+
+        request(router.mount())
+            .get('/prices')
+            .set('Last-Event-ID', '41')
+            .buffer(true)
+            .parse(textParser)
+            .expect(200)
+            .then(res => {
+
+                expect(res.body).to.match(/^id: 41\n/);
+                done();
+
+            }).catch(done);
+    });
+
+    it('ends the stream with an error event when an event does not match its schema', function(done) {
+
+        const router = new Router();
+        router.route('/prices', class extends PriceEndpoint {
+
+            handler(req) {
+
+                return [
+                    { event: 'price', data: { amount: 1 } },
+                    { event: 'price', data: { amount: 'a lot' } },
+                    { event: 'price', data: { amount: 2 } }
+                ];
+            }
+        });
+
+        request(router.mount())
+            .get('/prices')
+            .buffer(true)
+            .parse(textParser)
+            .expect(200)
+            .then(res => {
+
+                const [ first, error, ...rest ] = res.body.split('\n\n');
+
+                expect(first).to.equal('event: price\ndata: {"amount":1}');
+                expect(error).to.match(/^event: error\ndata: /);
+                expect(JSON.parse(error.split('data: ')[1]).message).to.equal('Response was not in the expected format.');
+                expect(rest).to.deep.equal(['']);
+                done();
+
+            }).catch(done);
+    });
+
+    it('rejects events with undeclared names', function(done) {
+
+        const router = new Router();
+        router.route('/prices', class extends PriceEndpoint {
+
+            handler(req) {
+
+                return [{ event: 'dividend', data: {} }];
+            }
+        });
+
+        request(router.mount())
+            .get('/prices')
+            .buffer(true)
+            .parse(textParser)
+            .expect(200)
+            .then(res => {
+
+                expect(res.body).to.match(/^event: error\n/);
+                expect(res.body).to.include('"dataPath":".event"');
+                done();
+
+            }).catch(done);
+    });
+
+    it('validates the request before streaming', function(done) {
+
+        const router = new Router();
+        router.route('/prices', PriceEndpoint);
+
+        request(router.mount())
+            .get('/prices?symbol=lowercase')
+            .expect(400)
+            .expect('Content-Type', /json/, done);
+    });
+
+    it('skips heartbeats while the client has not caught up', function() {
+
+        const clock = sinon.useFakeTimers();
+        const res = Object.assign(new EventEmitter(), { written: [], full: true, flushHeaders: () => {}, end: () => {} });
+
+        res.write = text => {
+
+            res.written.push(text);
+            return !res.full;
+        };
+
+        const events = {
+            [Symbol.asyncIterator]: () => ({ next: () => new Promise(() => {}) })
+        };
+
+        try {
+            new EventStreamResponse(events, { heartbeatInterval: 1000, retry: 500 }).send({}, res);
+
+            clock.tick(3000);
+            expect(res.written).to.deep.equal(['retry: 500\n\n']);
+
+            res.full = false;
+            res.emit('drain');
+            clock.tick(2000);
+            expect(res.written).to.deep.equal(['retry: 500\n\n', ': heartbeat\n\n', ': heartbeat\n\n']);
+
+        } finally {
+            res.emit('close');
+            clock.restore();
+        }
+    });
+
+    it('documents the events as a text/event-stream response', function() {
+
+        const router = new Router();
+        router.route('/prices', PriceEndpoint);
+
+        const content = router.getSpec().paths['/prices'].get.responses['200'].content;
+        const events = content['text/event-stream'].schema.items.oneOf;
+
+        expect(Object.keys(content)).to.deep.equal(['text/event-stream']);
+        expect(events.map(event => event.title)).to.deep.equal(['price', 'closed']);
+        expect(events[0].properties.data.required).to.deep.equal(['amount']);
+    });
+});
@@ -0,0 +1,200 @@
+const path = require('path');
+const { Readable } = require('stream');
+
+const request = require('supertest');
+const { expect } = require('chai');
+const { Endpoint, Response, Router } = require('../index');
+
+function binaryParser(res, callback) {
+
+    const chunks = [];
+
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+describe('Response', function() {
+
+    describe('Response.stream(readable, mediaType)', function() {
+
+        it('pipes the stream to the client, with its media type', function(done) {
+
+            const router = new Router();
+            router.route('/export', Endpoint.withHandler(req => {
+
+                return Response.stream(Readable.from(['id,name\n', '1,Shaun\n']), 'text/csv');
+            }));
+
+            request(router.mount())
+                .get('/export')
+                .expect(200)
+                .expect('Content-Type', /text\/csv/)
+                .expect('id,name\n1,Shaun\n', done);
+        });
+
+        it('responds with an error if the stream fails before anything was sent', function(done) {
+
+            const router = new Router();
+            router.route('/export', Endpoint.withHandler(req => {
+
+                const readable = new Readable({
+                    read() {
+                        this.destroy(new Error('The disk is on fire.'));
+                    }
+                });
+
+                return Response.stream(readable, 'text/csv');
+            }));
+
+            request(router.mount())
+                .get('/export')
+                .expect(500)
+                .expect('Content-Type', /json/)
+                .then(res => {
+
+                    expect(res.body.message).to.equal('An internal error occurred.');
+                    done();
+
+                }).catch(done);
+        });
+    });
+
+    describe('Response.file(path, options)', function() {
+
+        const filePath = path.resolve(__dirname, '../LICENSE');
+
+        it('sends the file, with support for Range requests', function(done) {
+
+            const router = new Router();
+            router.route('/license', Endpoint.withHandler(req => Response.file(filePath, { mediaType: 'text/plain', download: 'LICENSE.txt' })));
+
+            const app = router.mount();
+
+            Promise.all([
+                request(app).get('/license').expect(200).expect('Content-Disposition', 'attachment; filename="LICENSE.txt"'),
+                request(app).get('/license').set('Range', 'bytes=0-2').expect(206).expect('Content-Range', /^bytes 0-2\//)
+            ]).then(([ full, partial ]) => {
+
+                expect(full.text).to.equal(require('fs').readFileSync(filePath, 'utf8'));
+                expect(partial.text).to.equal(full.text.slice(0, 3));
+                done();
+
+            }).catch(done);
+        });
+
+        it('responds with a 404 if the file does not exist', function(done) {
+
+            const router = new Router();
+            router.route('/missing', Endpoint.withHandler(req => Response.file(path.resolve(__dirname, 'missing.pdf'), { download: true })));
+
+            request(router.mount())
+                .get('/missing')
+                .expect(404)
+                .then(res => {
+
+                    expect(res.headers).to.not.have.property('content-disposition');
+                    expect(res.body.message).to.equal('File not found.');
+                    done();
+
+                }).catch(done);
+        });
+    });
+
+    describe('Response.ndjson(iterable)', function() {
+
+        it('sends each value of an async iterable as a line of JSON, and documents it in the spec', function(done) {
+
+            const NdjsonEndpoint = class extends Endpoint {
+
+                responseCodeSchemas() {
+                    return {
+                        200: Response.ndjsonSchema(Endpoint.objectSchema({ id: { type: 'integer' } }))
+                    };
+                }
+
+                handler(req) {
+
+                    const ids = [1, 2, 3];
+                    const iterable = {
+                        [Symbol.asyncIterator]() {
+                            return { next: () => Promise.resolve(ids.length ? { value: { id: ids.shift() }, done: false } : { done: true }) };
+                        }
+                    };
+
+                    return Response.ndjson(iterable);
+                }
+            };
+
+            const router = new Router();
+            router.route('/users', NdjsonEndpoint);
+
+            request(router.mount())
+                .get('/users')
+                .buffer(true)
+                .parse(binaryParser)
+                .expect(200)
+                .expect('Content-Type', /application\/x-ndjson/)
+                .then(res => {
+
+                    expect(res.body.toString()).to.equal('{"id":1}\n{"id":2}\n{"id":3}\n');
+                    expect(router.getSpec().paths['/users'].get.responses['200'].content).to.have.all.keys('application/x-ndjson');
+                    done();
+
+                }).catch(done);
+        });
+
+        it('only reads the iterable once the response is sent, so its errors become error responses', function(done) {
+
+            let reads = 0;
+            const iterable = {
+                [Symbol.asyncIterator]() {
+                    return {
+                        next: () => {
+
+                            reads++;
+                            return Promise.reject(new Error('The users could not be read.'));
+                        }
+                    };
+                }
+            };
+            const response = Response.ndjson(iterable);
+            const router = new Router();
+
+            router.route('/users', Endpoint.withHandler(req => new Promise(resolve => setImmediate(() => resolve(response)))));
+
+            setImmediate(() => {
+
+                expect(reads).to.equal(0);
+
+                request(router.mount())
+                    .get('/users')
+                    .expect(500)
+                    .then(res => {
+
+                        expect(reads).to.equal(1);
+                        expect(res.headers['content-type']).to.not.match(/ndjson/);
+                        done();
+
+                    }).catch(done);
+            });
+        });
+    });
+
+    describe('Response.binarySchema(mediaType)', function() {
+
+        it('documents binary responses under their media type', function() {
+
+            const router = new Router();
+            router.route('/report', class extends Endpoint {
+
+                responseCodeSchemas() {
+                    return { 200: Response.binarySchema('application/pdf') };
+                }
+            });
+
+            expect(router.getSpec().paths['/report'].get.responses['200'].content).to.deep.equal({
+                'application/pdf': { schema: { type: 'string', format: 'binary' } }
+            });
+        });
+    });
+});
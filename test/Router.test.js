@@ -2,8 +2,10 @@ const path = require('path');
 
 const httpMocks = require('node-mocks-http');
 const request = require('supertest');
+const yaml = require('js-yaml');
 const { expect } = require('chai');
-const { Endpoint, Router, EndpointError, ValidationError } = require('../index');
+const { Docs, Endpoint, Response, Router, EndpointError, ValidationError } = require('../index');
+const { downgradeSchema } = require('../src/downgrade');
 
 describe('Router', function() {
 
@@ -393,6 +395,492 @@ describe('Router', function() {
                 request(app).get('/bar').expect(200, spec, done);
 
             });
+
+            it('serves the spec as YAML when asked for with an Accept header or a .yaml suffix', function(done) {
+
+                const router = new Router();
+                router.route('/foo', Endpoint.withHandler(req => 'hi'));
+                router.serveSpec('/bar');
+
+                const spec = router.getSpec();
+                const app = router.mount();
+
+                Promise.all([
+                    request(app).get('/bar').set('Accept', 'application/yaml').expect(200).expect('Content-Type', /application\/yaml/),
+                    request(app).get('/bar.yaml').expect(200).expect('Content-Type', /application\/yaml/),
+                    request(app).get('/bar').expect(200).expect('Content-Type', /json/)
+                ]).then(([ accepted, suffixed, json ]) => {
+
+                    expect(yaml.safeLoad(accepted.text)).to.deep.equal(spec);
+                    expect(suffixed.text).to.equal(accepted.text);
+                    expect(accepted.headers.etag).to.not.equal(json.headers.etag);
+                    expect(accepted.headers.vary).to.equal('Accept');
+                    done();
+
+                }).catch(done);
+            });
+        });
+
+        describe(`router.getSpecYaml(info = {})`, function() {
+
+            it('renders a spec that round-trips through a YAML parser', function() {
+
+                const router = new Router();
+                const TestEndpoint = class extends Endpoint {
+
+                    operation() {
+                        return {
+                            summary: 'Finds: things # and more',
+                            description: 'First line.\n\n  Indented "quoted" line.\nLast line with a trailing newline.\n'
+                        };
+                    }
+
+                    querySchema() {
+                        return Endpoint.objectSchema({
+                            on: { type: 'string', enum: ['yes', 'no', 'true', '1.0', '', '*', '- item'] }
+                        });
+                    }
+
+                    responseCodeSchemas() {
+                        return {
+                            200: { $ref: '#/components/schemas/Thing' },
+                            '4XX': { $ref: '#/components/responses/EndpointError' }
+                        };
+                    }
+
+                    handler(req) {
+                        return {};
+                    }
+                };
+
+                router.spec.components.schemas.Thing = {
+                    type: 'object',
+                    description: 'Ends without a newline\nbut spans two lines',
+                    properties: { 'weird: key': { type: 'string', example: 'tab\there, ünïcode & \'quotes\'' } }
+                };
+                router.route('/things/:id?', TestEndpoint);
+
+                const text = router.getSpecYaml({ title: 'Thing API' });
+
+                expect(text).to.contain('$ref: "#/components/schemas/Thing"');
+                expect(yaml.safeLoad(text)).to.deep.equal(JSON.parse(JSON.stringify(router.getSpec())));
+            });
+        });
+
+        describe(`router.getSwagger2Spec(info = {})`, function() {
+
+            it('translates the spec into Swagger 2.0, with a warning for everything that could not be kept', function() {
+
+                const router = new Router();
+                const TestEndpoint = class extends Endpoint {
+
+                    querySchema() {
+                        return Endpoint.objectSchema({ ids: { type: 'array', items: { type: 'integer' } } });
+                    }
+
+                    cookiesSchema() {
+                        return Endpoint.objectSchema({ session: { type: 'string' } });
+                    }
+
+                    bodySchema() {
+                        return {
+                            type: 'object',
+                            contentMediaType: 'multipart/form-data',
+                            properties: {
+                                avatar: { type: 'string', format: 'binary' },
+                                name: { type: 'string' }
+                            },
+                            required: ['avatar']
+                        };
+                    }
+
+                    responseCodeSchemas() {
+                        return {
+                            201: { type: 'object', properties: { id: { type: 'integer', nullable: true } } },
+                            404: { $ref: '#/components/schemas/EndpointError' },
+                            '5XX': { $ref: '#/components/schemas/EndpointError' }
+                        };
+                    }
+
+                    handler(req) {
+                        return {};
+                    }
+                };
+
+                router.secure((req, res, next) => next(), 'bearer', { type: 'http', scheme: 'bearer' });
+                router.route('/users/:userId/avatar', TestEndpoint, 'put');
+                router.spec.servers = [{ url: 'https://api.example.com/v1' }];
+
+                const { spec, warnings } = router.getSwagger2Spec({ title: 'Users', version: '1.0.0' });
+                const operation = spec.paths['/users/{userId}/avatar'].put;
+
+                expect(spec).to.include({ swagger: '2.0', host: 'api.example.com', basePath: '/v1' });
+                expect(spec.schemes).to.deep.equal(['https']);
+                expect(spec.info).to.deep.equal({ title: 'Users', version: '1.0.0' });
+                expect(spec.definitions.EndpointError).to.deep.equal(router.getSpec().components.schemas.EndpointError);
+                expect(spec.responses.ValidationError.schema).to.deep.equal({ $ref: '#/definitions/ValidationError' });
+                expect(spec.securityDefinitions.bearer).to.deep.equal({ type: 'apiKey', name: 'Authorization', in: 'header' });
+                expect(operation.consumes).to.deep.equal(['multipart/form-data']);
+                expect(operation.produces).to.deep.equal(['application/json']);
+                expect(operation.parameters).to.deep.equal([
+                    { name: 'ids', in: 'query', required: true, type: 'array', items: { type: 'integer' }, collectionFormat: 'multi' },
+                    { name: 'userId', in: 'path', required: true, type: 'string' },
+                    { name: 'avatar', in: 'formData', required: true, type: 'file' },
+                    { name: 'name', in: 'formData', type: 'string' }
+                ]);
+                expect(operation.responses['201'].schema.properties.id).to.deep.equal({ type: 'integer', 'x-nullable': true });
+                expect(operation.responses['404'].schema).to.deep.equal({ $ref: '#/definitions/EndpointError' });
+                expect(operation.responses).to.not.have.property('5XX');
+                expect(warnings.map(warning => warning.path)).to.deep.equal([
+                    '#/paths/~1users~1{userId}~1avatar/put/parameters/1',
+                    '#/paths/~1users~1{userId}~1avatar/put/responses/5XX',
+                    '#/components/securitySchemes/bearer'
+                ]);
+                expect(warnings[0].message).to.equal('is the cookie parameter "session", which Swagger 2.0 does not support.');
+            });
+
+            it('keeps nullable and vendor extensions of parameters, and warns about the keywords it leaves out', function() {
+
+                const router = new Router();
+
+                router.route('/users', class extends Endpoint {
+
+                    querySchema() {
+                        return Endpoint.objectSchema({ name: { type: 'string', nullable: true, readOnly: true, 'x-internal': true } }, []);
+                    }
+
+                    handler(req) {
+                        return {};
+                    }
+                });
+
+                const { spec, warnings } = router.getSwagger2Spec();
+
+                expect(spec.paths['/users'].get.parameters).to.deep.equal([
+                    { name: 'name', in: 'query', required: false, type: 'string', 'x-nullable': true, 'x-internal': true }
+                ]);
+                expect(warnings).to.deep.equal([{
+                    path: '#/paths/~1users/get/parameters/0/schema/readOnly',
+                    message: 'uses "readOnly", which Swagger 2.0 does not support on parameters and headers, so it was left out.'
+                }]);
+            });
+
+            it('turns a JSON request body into a body parameter', function() {
+
+                const router = new Router();
+                const TestEndpoint = class extends Endpoint {
+
+                    operation() {
+                        return { requestBody: { description: 'The new user.' } };
+                    }
+
+                    bodySchema() {
+                        return { $ref: '#/components/schemas/EndpointError' };
+                    }
+
+                    handler(req) {
+                        return {};
+                    }
+                };
+
+                router.route('/users', TestEndpoint, 'post');
+
+                const { spec, warnings } = router.getSwagger2Spec();
+                const operation = spec.paths['/users'].post;
+
+                expect(operation.consumes).to.deep.equal(['application/json']);
+                expect(operation.parameters).to.deep.equal([
+                    { name: 'body', in: 'body', description: 'The new user.', required: true, schema: { $ref: '#/definitions/EndpointError' } }
+                ]);
+                expect(warnings).to.deep.equal([]);
+            });
+        });
+
+        describe(`router.serveDocs(uri = '/', info = {})`, function() {
+
+            it('serves an HTML reference page generated from the spec at the specified URI', function(done) {
+
+                const router = new Router();
+                const TestEndpoint = class extends Endpoint {
+
+                    operation() {
+                        return { summary: 'Greets you.' };
+                    }
+
+                    querySchema() {
+                        return Endpoint.objectSchema({
+                            chosenGreeting: { type: 'string', maxLength: 25, description: 'How to greet.' }
+                        });
+                    }
+
+                    handler(req) {
+                        return 'hi';
+                    }
+                };
+
+                router.group('/greetings', router => router.route('/', TestEndpoint), ['Greetings']);
+                router.serveDocs('/docs', { title: 'Greeting API' });
+
+                const app = router.mount();
+
+                request(app)
+                    .get('/docs')
+                    .expect(200)
+                    .expect('Content-Type', /html/)
+                    .then(res => {
+
+                        expect(res.headers.etag).to.be.a('string');
+                        expect(res.headers['last-modified']).to.be.a('string');
+                        expect(res.text).to.contain('<title>Greeting API</title>');
+                        expect(res.text).to.contain('id="tag-greetings"');
+                        expect(res.text).to.contain('Greets you.');
+                        expect(res.text).to.contain('chosenGreeting');
+                        expect(res.text).to.contain('How to greet.');
+                        expect(res.text).to.contain('data-path="/greetings"');
+                        expect(res.text).to.not.match(/(src|href)="(https?:)?\/\//);
+                        done();
+                    })
+                    .catch(done);
+            });
+
+            it('shows references that lead nowhere instead of failing', function() {
+
+                const router = new Router();
+                router.route('/foo', class extends Endpoint {
+
+                    operation() {
+                        return {
+                            parameters: [{ $ref: '#/components/parameters/Missing' }],
+                            responses: { 404: { $ref: '#/components/responses/Missing' } }
+                        };
+                    }
+
+                    handler(req) {
+                        return 'hi';
+                    }
+                });
+
+                const html = new Docs(router.getSpec()).render();
+
+                expect(html).to.contain('<code>#/components/responses/Missing</code>');
+            });
+
+            it('escapes content taken from the spec', function(done) {
+
+                const router = new Router();
+                router.route('/foo', Endpoint.withHandler(req => 'hi'));
+                router.serveDocs('/docs', { title: '<script>alert(1)</script>' });
+
+                request(router.mount())
+                    .get('/docs')
+                    .expect(200)
+                    .then(res => {
+
+                        expect(res.text).to.not.contain('<script>alert(1)</script>');
+                        expect(res.text).to.contain('&lt;script&gt;alert(1)&lt;/script&gt;');
+                        done();
+                    })
+                    .catch(done);
+            });
+        });
+
+        describe('Router.fromSpec(document, handlers, options = {})', function() {
+
+            const document = {
+                openapi: '3.0.0',
+                info: { title: 'Pets', version: '1.2.3' },
+                paths: {
+                    '/pets': {
+                        get: {
+                            operationId: 'listPets',
+                            parameters: [
+                                { name: 'limit', in: 'query', schema: { type: 'integer', maximum: 10, default: 5 } }
+                            ],
+                            responses: {
+                                '200': {
+                                    description: 'A list of pets.',
+                                    content: {
+                                        'application/json': {
+                                            schema: { type: 'array', items: { $ref: '#/components/schemas/Pet' } }
+                                        }
+                                    }
+                                }
+                            }
+                        },
+                        post: {
+                            operationId: 'createPet',
+                            requestBody: {
+                                required: true,
+                                content: {
+                                    'application/json': { schema: { $ref: '#/components/schemas/Pet' } }
+                                }
+                            },
+                            responses: {
+                                '201': { description: 'Created.' }
+                            }
+                        }
+                    },
+                    '/pets/{petId}': {
+                        parameters: [
+                            { $ref: '#/components/parameters/PetId' }
+                        ],
+                        get: {
+                            operationId: 'getPet',
+                            responses: {
+                                '200': { $ref: '#/components/responses/Pet' }
+                            }
+                        }
+                    }
+                },
+                components: {
+                    schemas: {
+                        Pet: {
+                            type: 'object',
+                            properties: { name: { type: 'string', maxLength: 10 } },
+                            required: ['name']
+                        }
+                    },
+                    parameters: {
+                        PetId: { name: 'petId', in: 'path', required: true, schema: { type: 'integer' } }
+                    },
+                    responses: {
+                        Pet: {
+                            description: 'A pet.',
+                            content: {
+                                'application/json': { schema: { $ref: '#/components/schemas/Pet' } }
+                            }
+                        }
+                    }
+                }
+            };
+
+            it('registers every operation of an OpenAPI document, validated against the document', function(done) {
+
+                const router = Router.fromSpec(document, {
+                    listPets: req => [{ name: `${req.query.limit}` }],
+                    createPet: req => ({ name: req.body.name }),
+                    getPet: req => ({ name: `pet ${req.params.petId}` })
+                });
+                const app = router.mount();
+                const spec = router.getSpec();
+
+                expect(spec.info.title).to.equal('Pets');
+                expect(spec.paths['/pets'].get.operationId).to.equal('listPets');
+                expect(spec.paths['/pets'].get.responses['200'].description).to.equal('A list of pets.');
+                expect(spec.paths['/pets/{petId}'].get.operationId).to.equal('getPet');
+
+                Promise.all([
+                    request(app).get('/pets').expect(200, [{ name: '5' }]),
+                    request(app).get('/pets').query({ limit: 11 }).expect(400),
+                    request(app).post('/pets').send({ name: 'Rex' }).expect(200, { name: 'Rex' }),
+                    request(app).post('/pets').send({ name: 'Sir Barks-a-lot' }).expect(400),
+                    request(app).get('/pets/3').expect(200, { name: 'pet 3' }),
+                    request(app).get('/pets/three').expect(400)
+                ]).then(() => done()).catch(done);
+            });
+
+            it('reports missing handlers at startup', function() {
+
+                expect(() => Router.fromSpec(document, { listPets: req => [] })).to.throw(/createPet, getPet/);
+            });
+
+            it('can optionally stub missing handlers with 501 responses', function(done) {
+
+                const router = Router.fromSpec(document, {}, { missingHandlers: 'stub' });
+
+                request(router.mount()).get('/pets').expect(501, done);
+            });
+
+            it('rejects path parameter names that Express cannot match', function() {
+
+                const spec = Object.assign({}, document, {
+                    paths: { '/pets/{pet-id}': { get: { operationId: 'getPet', responses: { '200': { description: 'A pet.' } } } } }
+                });
+
+                expect(() => Router.fromSpec(spec, { getPet: req => ({}) })).to.throw(/GET \/pets\/{pet-id} .*pet-id/);
+            });
+
+            it('keeps parameter styles, and warns about those that Express does not parse', function() {
+
+                const warnings = [];
+                const spec = Object.assign({}, document, {
+                    paths: {
+                        '/pets': {
+                            get: {
+                                operationId: 'listPets',
+                                parameters: [
+                                    { name: 'tags', in: 'query', style: 'pipeDelimited', schema: { type: 'array', items: { type: 'string' } } },
+                                    { name: 'limit', in: 'query', explode: false, schema: { type: 'integer' } }
+                                ],
+                                responses: { '200': { description: 'Pets.' } }
+                            }
+                        }
+                    }
+                });
+
+                const router = Router.fromSpec(spec, { listPets: req => [] }, { onWarning: warning => warnings.push(warning) });
+                const parameters = router.getSpec().paths['/pets'].get.parameters;
+
+                expect(parameters.find(parameter => parameter.name === 'tags').style).to.equal('pipeDelimited');
+                expect(parameters.find(parameter => parameter.name === 'limit').explode).to.equal(false);
+                expect(warnings).to.have.lengthOf(1);
+                expect(warnings[0]).to.include({ method: 'get', path: '/pets' });
+                expect(warnings[0].parameter.name).to.equal('tags');
+                expect(warnings[0].message).to.match(/"tags".*pipeDelimited/);
+            });
+        });
+
+        describe('router.validateSpec(info = {})', function() {
+
+            it('accepts the spec generated from routes, including path parameters without a schema', function() {
+
+                const router = new Router();
+                router.route('/users/:userId/posts/:postId(\\d+)', Endpoint.withHandler(req => 'hi'));
+
+                const result = router.validateSpec();
+
+                expect(result.report).to.equal('The OpenAPI spec is valid.');
+                expect(result.valid).to.equal(true);
+                expect(router.getSpec().paths['/users/{userId}/posts/{postId}'].get.parameters).to.deep.equal([
+                    { name: 'userId', in: 'path', required: true, schema: { type: 'string' } },
+                    { name: 'postId', in: 'path', required: true, schema: { type: 'string', pattern: '\\d+' } }
+                ]);
+            });
+
+            it('reports schema violations and semantic problems, one per line', function() {
+
+                const router = new Router();
+                router.route('/foo', Endpoint.withHandler(req => 'hi'));
+
+                const spec = router.getSpec();
+                spec.paths['/things/{thingId}'] = {
+                    get: {
+                        summary: 1,
+                        responses: {
+                            200: {
+                                content: {
+                                    'application/json': { schema: { $ref: '#/components/schemas/Thing' } }
+                                }
+                            }
+                        }
+                    }
+                };
+
+                const result = router.validateSpec();
+
+                expect(result.valid).to.equal(false);
+                expect(result.errors).to.deep.equal([
+                    { path: '#/paths/~1things~1{thingId}/get/summary', message: 'should be string.' },
+                    { path: '#/paths/~1things~1{thingId}/get', message: 'has no path parameter for {thingId}.' },
+                    {
+                        path: '#/paths/~1things~1{thingId}/get/responses/200/content/application~1json/schema',
+                        message: 'refers to #/components/schemas/Thing, which does not exist.'
+                    },
+                    { path: '#/paths/~1things~1{thingId}/get/responses/200', message: 'has no description.' }
+                ]);
+                expect(result.report.split('\n')).to.have.lengthOf(5);
+                expect(result.report).to.match(/^The OpenAPI spec has 4 problems:\n  #\/paths/);
+            });
         });
 
         describe('router.mount()', function() {
@@ -508,10 +996,759 @@ describe('Router', function() {
                 request(app).get('/foo').expect(200, error.message, done);
             });
         });
+
+        describe('router.mount(errorHandlers, { validateSpec: true })', function() {
+
+            it('refuses to mount a router whose spec is invalid', function() {
+
+                const router = new Router();
+                const TestEndpoint = class extends Endpoint {
+
+                    operation() {
+                        return { operationId: 'getFoo' };
+                    }
+
+                    handler(req) {
+                        return 'hi';
+                    }
+                };
+
+                router.route('/foo', TestEndpoint);
+                router.route('/bar', TestEndpoint);
+
+                expect(() => router.mount(null, { validateSpec: true })).to.throw('duplicates the operationId "getFoo" of GET /foo');
+                expect(router.mount(null, { validateSpec: false })).to.be.a('function');
+            });
+        });
+    });
+
+    describe('Components', function() {
+
+        it('registers a component, and returns a reference to it', function() {
+
+            const router = new Router();
+            const User = router.component('schemas', 'User', { type: 'object', properties: { name: { type: 'string' } } });
+
+            router.route('/users', class extends Endpoint {
+
+                responseCodeSchemas() {
+                    return { 200: { type: 'array', items: User } };
+                }
+            });
+
+            const spec = router.getSpec();
+
+            expect(User).to.deep.equal({ $ref: '#/components/schemas/User' });
+            expect(spec.components.schemas.User.properties.name.type).to.equal('string');
+            expect(spec.paths['/users'].get.responses[200].content['application/json'].schema.items).to.deep.equal(User);
+            expect(router.validateSpec().valid).to.equal(true);
+        });
+
+        it('resolves components whose names contain a "/"', function() {
+
+            const router = new Router();
+            const Pet = router.component('schemas', 'pets/Pet', { type: 'object', properties: { name: { type: 'string' } } });
+
+            router.route('/pets', class extends Endpoint {
+
+                bodySchema() {
+                    return Pet;
+                }
+
+                responseCodeSchemas() {
+                    return { 201: Pet };
+                }
+            }, 'post');
+
+            const operation = router.getSpec().paths['/pets'].post;
+
+            expect(Pet).to.deep.equal({ $ref: '#/components/schemas/pets~1Pet' });
+            expect(operation.requestBody.content['application/json'].schema).to.deep.equal(Pet);
+            expect(operation.responses[201].content['application/json'].schema).to.deep.equal(Pet);
+            expect(router.validateSpec().valid).to.equal(true);
+        });
+
+        it('refuses a different component with the same name', function() {
+
+            const router = new Router();
+
+            router.component('schemas', 'User', { type: 'object' });
+            router.component('schemas', 'User', { type: 'object' });
+
+            expect(() => router.component('schemas', 'User', { type: 'string' })).to.throw('A different component is already registered as schemas/User.');
+        });
+
+        it('hoists inline schemas that are repeated across operations into components, with the hoistSchemas option', function() {
+
+            const pet = () => ({ type: 'object', properties: { id: { type: 'integer' }, name: { type: 'string' } } });
+            const router = new Router({}, { hoistSchemas: true });
+            const Status = router.component('schemas', 'Status', { type: 'string', enum: ['available', 'sold'] });
+
+            router.route('/pets/:petId', class extends Endpoint {
+
+                responseCodeSchemas() {
+                    return { 200: pet() };
+                }
+            });
+            router.route('/pets', class extends Endpoint {
+
+                responseCodeSchemas() {
+                    return { 200: { type: 'array', items: pet() } };
+                }
+            });
+            router.route('/pets', class extends Endpoint {
+
+                querySchema() {
+                    return { properties: { status: { type: 'string', enum: ['available', 'sold'] } } };
+                }
+
+                bodySchema() {
+                    return pet();
+                }
+            }, 'put');
+
+            const spec = router.getSpec();
+            const getPet = spec.paths['/pets/{petId}'].get;
+
+            expect(getPet.responses[200].content['application/json'].schema).to.deep.equal({ $ref: '#/components/schemas/GetPetsByPetIdResponse200' });
+            expect(spec.components.schemas.GetPetsByPetIdResponse200).to.deep.equal(pet());
+            expect(spec.paths['/pets'].get.responses[200].content['application/json'].schema.items).to.deep.equal({ $ref: '#/components/schemas/GetPetsByPetIdResponse200' });
+            expect(spec.paths['/pets'].put.requestBody.content['application/json'].schema).to.deep.equal({ $ref: '#/components/schemas/GetPetsByPetIdResponse200' });
+            expect(spec.paths['/pets'].put.parameters[0].schema).to.deep.equal(Status);
+            expect(router.validateSpec().valid).to.equal(true);
+
+            expect(router.spec.paths['/pets/{petId}'].get.responses[200].content['application/json'].schema).to.deep.equal(pet());
+        });
+    });
+
+    describe('Problem details error format', function() {
+
+        const createRouter = () => {
+
+            const router = new Router({}, { errorFormat: 'problem' });
+
+            router.route('/pets/:petId', class extends Endpoint {
+
+                paramsSchema() {
+                    return { properties: { petId: { type: 'integer' } } };
+                }
+
+                handler(req) {
+
+                    if (req.params.petId === 2) {
+                        throw new Error('Something secret went wrong.');
+                    }
+
+                    throw Object.assign(new EndpointError('There is no pet with this id.', 404, { petId: req.params.petId }), {
+                        type: 'https://example.com/problems/pet-not-found',
+                        title: 'Pet not found'
+                    });
+                }
+            });
+
+            return router;
+        };
+
+        it('sends endpoint errors as application/problem+json', function(done) {
+
+            request(createRouter().mount())
+                .get('/pets/1?verbose=true')
+                .expect(404)
+                .expect('Content-Type', /application\/problem\+json/)
+                .then(res => {
+
+                    expect(JSON.parse(res.text)).to.deep.equal({
+                        type: 'https://example.com/problems/pet-not-found',
+                        title: 'Pet not found',
+                        status: 404,
+                        detail: 'There is no pet with this id.',
+                        instance: '/pets/1?verbose=true',
+                        details: { petId: 1 }
+                    });
+
+                    done();
+
+                }).catch(done);
+        });
+
+        it('takes the type and title from the error class when the error has none', function() {
+
+            class PetNotFoundError extends EndpointError {}
+
+            PetNotFoundError.type = 'https://example.com/problems/pet-not-found';
+            PetNotFoundError.title = 'Pet not found';
+
+            expect(new PetNotFoundError('There is no pet with this id.', 404).toProblem()).to.deep.equal({
+                type: 'https://example.com/problems/pet-not-found',
+                title: 'Pet not found',
+                status: 404,
+                detail: 'There is no pet with this id.'
+            });
+            expect(Object.assign(new PetNotFoundError('Gone.', 410), { title: 'Pet gone' }).toProblem().title).to.equal('Pet gone');
+        });
+
+        it('sends validation errors and unexpected errors as problem details too', function(done) {
+
+            const app = createRouter().mount();
+
+            request(app)
+                .get('/pets/rex')
+                .expect(400)
+                .expect('Content-Type', /application\/problem\+json/)
+                .then(res => {
+
+                    const problem = JSON.parse(res.text);
+
+                    expect(problem.type).to.equal('about:blank');
+                    expect(problem.title).to.equal('Bad Request');
+                    expect(problem.detail).to.equal('This request is not valid.');
+                    expect(problem.errors[0].dataPath).to.equal('.params.petId');
+
+                    return request(app).get('/pets/2').expect(500);
+                })
+                .then(res => {
+
+                    expect(JSON.parse(res.text)).to.deep.equal({
+                        type: 'about:blank',
+                        title: 'Internal Server Error',
+                        status: 500,
+                        detail: 'An internal error occurred.',
+                        instance: '/pets/2'
+                    });
+
+                    done();
+
+                }).catch(done);
+        });
+
+        it('describes the problem details in the spec', function() {
+
+            const { components } = createRouter().getSpec();
+
+            expect(components.schemas.ValidationError.required).to.deep.equal(['type', 'title', 'status', 'detail', 'errors']);
+            expect(Object.keys(components.responses.EndpointError.content)).to.deep.equal(['application/problem+json']);
+            expect(components.responses.ValidationError.content['application/problem+json'].schema.$ref).to.equal('#/components/schemas/ValidationError');
+        });
+    });
+
+    describe('Endpoint examples()', function() {
+
+        const UpdatePetEndpoint = class extends Endpoint {
+
+            paramsSchema() {
+                return { properties: { petId: { type: 'integer' } } };
+            }
+
+            headersSchema() {
+                return { properties: { 'if-match': { type: 'string' } } };
+            }
+
+            bodySchema() {
+                return { type: 'object', properties: { name: { type: 'string', maxLength: 10 } }, required: ['name'] };
+            }
+
+            responseCodeSchemas() {
+                return {
+                    200: { type: 'object', properties: { id: { type: 'integer' }, name: { type: 'string' } }, required: ['id', 'name'] }
+                };
+            }
+
+            examples() {
+                return {
+                    rename: {
+                        summary: 'Renames a pet',
+                        request: { params: { petId: 1 }, headers: { 'If-Match': 'abc' }, body: { name: 'Rex' } },
+                        response: { body: { id: 1, name: 'Rex' } }
+                    }
+                };
+            }
+
+            handler(req) {
+                return { id: req.params.petId, name: req.body.name };
+            }
+        };
+
+        it('places the examples in the spec, next to their schemas', function() {
+
+            const router = new Router();
+            router.route('/pets/:petId', UpdatePetEndpoint, 'put');
+
+            const operation = router.getSpec().paths['/pets/{petId}'].put;
+            const parameter = name => operation.parameters.find(parameter => parameter.name === name);
+
+            expect(parameter('petId').examples).to.deep.equal({ rename: { summary: 'Renames a pet', value: 1 } });
+            expect(parameter('if-match').examples).to.deep.equal({ rename: { summary: 'Renames a pet', value: 'abc' } });
+            expect(operation.requestBody.content['application/json'].examples.rename.value).to.deep.equal({ name: 'Rex' });
+            expect(operation.responses['200'].content['application/json'].examples.rename.value).to.deep.equal({ id: 1, name: 'Rex' });
+            expect(router.validateSpec().valid).to.equal(true);
+        });
+
+        it('refuses to register a route whose examples do not match its schemas', function() {
+
+            const router = new Router();
+
+            expect(() => router.route('/pets/:petId', class extends UpdatePetEndpoint {
+
+                examples() {
+                    return {
+                        stale: {
+                            request: { params: { petId: 'rex' }, body: { name: 'Far too long a name' } },
+                            response: { code: 201, body: {} }
+                        }
+                    };
+                }
+
+            }, 'put')).to.throw([
+                'The examples of PUT /pets/{petId} are not valid:',
+                '  "stale" request.params.petId should be integer',
+                '  "stale" response has the code 201, which is not in responseCodeSchemas().'
+            ].join('\n'));
+        });
+
+        it('can be verified against the app', function() {
+
+            const router = new Router();
+            router.route('/pets/:petId', UpdatePetEndpoint, 'put');
+
+            return router.verify().then(({ passed, report }) => expect(passed, report).to.equal(true));
+        });
+    });
+
+    describe('verify()', function() {
+
+        const pets = { 1: { id: 1, name: 'Rex' } };
+
+        const GetPetEndpoint = class extends Endpoint {
+
+            operation() {
+                return {
+                    operationId: 'getPet',
+                    parameters: [{
+                        name: 'petId',
+                        in: 'path',
+                        examples: { rex: { value: 1 }, missing: { value: 2 } }
+                    }],
+                    responses: {
+                        200: { content: { 'application/json': { examples: { rex: { value: { id: 1, name: 'Rex' } } } } } },
+                        404: { content: { 'application/json': { examples: { missing: { value: { code: 404, message: 'Pet not found.', details: {} } } } } } }
+                    }
+                };
+            }
+
+            paramsSchema() {
+                return { properties: { petId: { type: 'integer' } } };
+            }
+
+            responseCodeSchemas() {
+                return {
+                    200: { type: 'object', properties: { id: { type: 'integer' }, name: { type: 'string' } }, required: ['id', 'name'] },
+                    404: { type: 'object' }
+                };
+            }
+
+            handler(req) {
+
+                if (!pets[req.params.petId]) {
+                    throw new EndpointError('Pet not found.', 404);
+                }
+
+                return pets[req.params.petId];
+            }
+        };
+
+        const CreatePetEndpoint = class extends Endpoint {
+
+            operation() {
+                return {
+                    operationId: 'createPet',
+                    requestBody: { content: { 'application/json': { examples: { fido: { value: { name: 'Fido' } } } } } },
+                    responses: {
+                        201: { content: { 'application/json': { examples: { fido: { value: { id: 2, name: 'Fido' } } } } } }
+                    }
+                };
+            }
+
+            bodySchema() {
+                return { type: 'object', properties: { name: { type: 'string' } } };
+            }
+
+            responseCodeSchemas() {
+                return {
+                    201: { type: 'object', properties: { id: { type: 'integer' }, name: { type: 'string' } }, required: ['id', 'name'] }
+                };
+            }
+
+            handler(req) {
+
+                // gets the id wrong, and leaves out the name.
+                return new Response({ id: 3 }, 201);
+            }
+        };
+
+        it('sends the example requests, and reports whether each operation\'s responses match their examples', function() {
+
+            const router = new Router();
+            router.route('/pets/:petId', GetPetEndpoint);
+            router.route('/pets', CreatePetEndpoint, 'post');
+            router.route('/health', Endpoint.withHandler(() => 'ok'));
+
+            return router.verify().then(({ passed, results, report }) => {
+
+                expect(passed).to.equal(false);
+                expect(results.map(result => [result.operationId, result.passed])).to.deep.equal([['getPet', true], ['createPet', false]]);
+                expect(results[0].examples.map(example => example.name)).to.deep.equal(['rex', 'missing']);
+                expect(results[1].examples[0].errors).to.deep.equal([
+                    'responded with a body that differs from the example at /id.',
+                    'responded with a body that does not match its schema: should have required property \'name\'.'
+                ]);
+                expect(report).to.equal([
+                    'PASS getPet (GET /pets/{petId})',
+                    'FAIL createPet (POST /pets)',
+                    '    "fido" responded with a body that differs from the example at /id.',
+                    '    "fido" responded with a body that does not match its schema: should have required property \'name\'.',
+                    '1 of 2 operations passed.'
+                ].join('\n'));
+            });
+        });
+
+        it('fails examples whose status code does not match', function() {
+
+            const router = new Router();
+            router.route('/pets/:petId', class extends GetPetEndpoint {
+
+                handler(req) {
+                    return pets[1];
+                }
+            });
+
+            return router.verify().then(({ passed, results }) => {
+
+                expect(passed).to.equal(false);
+                expect(results[0].examples[1].errors[0]).to.match(/^expected a 404 response, but got a 200/);
+            });
+        });
+
+        it('sends the examples to the app it is given, or to one mounted with the given error handlers', function() {
+
+            const router = new Router();
+            const errorHandler = (err, req, res, next) => res.status(err.code).json({ code: err.code, message: 'Pet not found.', details: {} });
+
+            router.route('/pets/:petId', class extends GetPetEndpoint {
+
+                handler(req) {
+                    return Promise.reject(Object.assign(new Error('Lost.'), { code: 404 }));
+                }
+            });
+
+            // the "missing" example only passes when the error handler sends the 404.
+            const missingPassed = ({ results }) => results[0].examples[1].passed;
+
+            return Promise.all([router.verify(), router.verify({ errorHandlers: errorHandler }), router.verify({ app: router.mount(errorHandler) })])
+                .then(verified => expect(verified.map(missingPassed)).to.deep.equal([false, true, true]));
+        });
+    });
+
+    describe('Mock mode', function() {
+
+        const PetEndpoint = class extends Endpoint {
+
+            paramsSchema() {
+                return {
+                    properties: {
+                        petId: { type: 'integer' }
+                    }
+                };
+            }
+
+            responseCodeSchemas() {
+                return {
+                    200: { $ref: '#/components/schemas/Pet' },
+                    404: {
+                        type: 'object',
+                        properties: {
+                            message: { type: 'string', example: 'Pet not found.' }
+                        }
+                    }
+                };
+            }
+
+            handler(req) {
+                throw new Error('Handlers are not called in mock mode.');
+            }
+        };
+
+        const createRouter = () => {
+
+            const router = new Router({
+                schemas: {
+                    Pet: {
+                        type: 'object',
+                        properties: {
+                            id: { type: 'integer', minimum: 1 },
+                            name: { type: 'string', example: 'Rex' },
+                            kind: { type: 'string', enum: ['dog', 'cat'] }
+                        }
+                    }
+                }
+            }, { mock: true });
+
+            router.group('/pets', router => router.route('/:petId', PetEndpoint));
+
+            return router;
+        };
+
+        it('responds with data generated from the response schemas', function(done) {
+
+            request(createRouter().mount())
+                .get('/pets/1')
+                .expect(200)
+                .then(res => {
+
+                    expect(res.body).to.deep.equal({ id: 1, name: 'Rex', kind: 'dog' });
+                    done();
+
+                }).catch(done);
+        });
+
+        it('mocks the status code asked for in the X-Mock-Status header', function(done) {
+
+            const app = createRouter().mount();
+
+            request(app)
+                .get('/pets/1')
+                .set('X-Mock-Status', '404')
+                .expect(404)
+                .then(res => {
+
+                    expect(res.body).to.deep.equal({ message: 'Pet not found.' });
+
+                    return request(app)
+                        .get('/pets/1')
+                        .set('X-Mock-Status', '500')
+                        .expect(400);
+                })
+                .then(res => {
+
+                    expect(res.body.details.available).to.deep.equal(['200', '404', '400']);
+
+                    return request(app)
+                        .get('/pets/1')
+                        .set('X-Mock-Status', '400')
+                        .expect(400);
+                })
+                .then(res => {
+
+                    expect(res.body.message).to.equal('This request is not valid.');
+                    done();
+
+                }).catch(done);
+        });
+
+        it('still validates requests', function(done) {
+
+            request(createRouter().mount())
+                .get('/pets/rex')
+                .expect(400, done);
+        });
+    });
+
+    describe('OpenAPI 3.1 mode', function() {
+
+        const Ajv2020 = require('ajv8/dist/2020');
+
+        const TagEndpoint = class extends Endpoint {
+
+            querySchema() {
+                return {
+                    type: 'object',
+                    properties: {
+                        limit: { type: ['integer', 'null'], exclusiveMinimum: 0, examples: [10] }
+                    }
+                };
+            }
+
+            bodySchema() {
+                return {
+                    $defs: {
+                        Tag: { type: 'string', const: 'urgent' }
+                    },
+                    type: 'object',
+                    properties: {
+                        tags: { type: 'array', items: { $ref: '#/$defs/Tag' } }
+                    },
+                    required: ['tags']
+                };
+            }
+
+            handler(req) {
+                return req.body;
+            }
+        };
+
+        it('emits a 3.1 document with the schemas as they were written', function() {
+
+            const router = new Router({}, { openapi: '3.1.0', Ajv2020 });
+            router.route('/tags', TagEndpoint, 'post');
+
+            const spec = router.getSpec();
+            const operation = spec.paths['/tags'].post;
+
+            expect(spec.openapi).to.equal('3.1.0');
+            expect(operation.parameters[0].schema).to.deep.equal({ type: ['integer', 'null'], exclusiveMinimum: 0, examples: [10] });
+            expect(operation.requestBody.content['application/json'].schema.$defs.Tag).to.deep.equal({ type: 'string', const: 'urgent' });
+        });
+
+        it('validates requests as JSON Schema 2020-12', function(done) {
+
+            const router = new Router({}, { openapi: '3.1.0', Ajv2020 });
+            router.route('/tags', TagEndpoint, 'post');
+
+            const app = router.mount();
+
+            Promise.all([
+                request(app).post('/tags?limit=5').send({ tags: ['urgent'] }).expect(200, { tags: ['urgent'] }),
+                request(app).post('/tags?limit=0').send({ tags: ['urgent'] }).expect(400),
+                request(app).post('/tags').send({ tags: ['later'] }).expect(400)
+            ]).then(([ valid, invalidQuery, invalidBody ]) => {
+
+                expect(invalidQuery.body.details[0]).to.include({ dataPath: '.query.limit', keyword: 'exclusiveMinimum' });
+                expect(invalidBody.body.details[0]).to.include({ dataPath: '.body.tags[0]', keyword: 'const' });
+                done();
+
+            }).catch(done);
+        });
+
+        it('finds Ajv 8 installed as "ajv8" when it is not passed as an option', function() {
+
+            const router = new Router({}, { openapi: '3.1.0' });
+            router.route('/tags', TagEndpoint, 'post');
+
+            return request(router.mount()).post('/tags').send({ tags: ['later'] }).expect(400)
+                .then(res => expect(res.body.details[0]).to.include({ dataPath: '.body.tags[0]', keyword: 'const' }));
+        });
+
+        it('downgrades to a valid 3.0 document when one is asked for', function() {
+
+            const router = new Router({}, { openapi: '3.1.0', Ajv2020 });
+            router.route('/tags', TagEndpoint, 'post');
+
+            const spec = router.getSpec({}, '3.0.3');
+            const operation = spec.paths['/tags'].post;
+
+            expect(spec.openapi).to.equal('3.0.3');
+            expect(operation.parameters[0].schema).to.deep.equal({
+                type: 'integer',
+                nullable: true,
+                minimum: 0,
+                exclusiveMinimum: true,
+                example: 10
+            });
+            expect(operation.requestBody.content['application/json'].schema.properties.tags.items).to.deep.equal({ $ref: '#/components/schemas/Tag' });
+            expect(spec.components.schemas.Tag).to.deep.equal({ type: 'string', enum: ['urgent'] });
+            expect(router.getSpec().openapi).to.equal('3.1.0');
+            expect(router.validateSpec().report).to.equal('The OpenAPI spec is valid.');
+        });
+
+        it('keeps the tighter bound when downgrading a schema with both inclusive and exclusive bounds', function() {
+
+            expect(downgradeSchema({ type: 'number', minimum: 5, exclusiveMinimum: 0, maximum: 10, exclusiveMaximum: 20 }))
+                .to.deep.equal({ type: 'number', minimum: 5, maximum: 10 });
+            expect(downgradeSchema({ type: 'number', minimum: 0, exclusiveMinimum: 5, maximum: 20, exclusiveMaximum: 10 }))
+                .to.deep.equal({ type: 'number', minimum: 5, exclusiveMinimum: true, maximum: 10, exclusiveMaximum: true });
+            expect(downgradeSchema({ type: 'number', minimum: 5, exclusiveMinimum: 5 }))
+                .to.deep.equal({ type: 'number', minimum: 5, exclusiveMinimum: true });
+        });
     });
 
     describe('OpenAPI spec generation', function() {
 
+        it('describes multipart/form-data file uploads using the same body schema', function() {
+
+            const router = new Router();
+
+            router.route('/foo', class extends Endpoint {
+
+                bodySchema() {
+                    return {
+                        type: 'object',
+                        contentMediaType: 'multipart/form-data',
+                        properties: {
+                            name: { type: 'string' },
+                            avatar: { type: 'string', format: 'binary', maxLength: 1024, contentMediaType: 'image/png' }
+                        }
+                    };
+                }
+
+            }, 'post');
+
+            const { content } = router.getSpec().paths['/foo'].post.requestBody;
+
+            expect(content).to.deep.equal({
+                'multipart/form-data': {
+                    schema: {
+                        type: 'object',
+                        properties: {
+                            name: { type: 'string' },
+                            avatar: { type: 'string', format: 'binary', maxLength: 1024 }
+                        }
+                    },
+                    encoding: {
+                        avatar: { contentType: 'image/png' }
+                    }
+                }
+            });
+        });
+
+        it('lists every representation of a response', function() {
+
+            const router = new Router();
+            const schema = { type: 'array', items: { type: 'string' } };
+
+            router.route('/foo', class extends Endpoint {
+
+                responseCodeSchemas() {
+                    return {
+                        '200': {
+                            'application/json': schema,
+                            'text/csv': schema
+                        }
+                    };
+                }
+
+            });
+
+            expect(router.getSpec().paths['/foo'].get.responses['200'].content).to.deep.equal({
+                'application/json': { schema },
+                'text/csv': { schema }
+            });
+        });
+
+        it('lists every media type accepted by a request body', function() {
+
+            const router = new Router();
+            const jsonSchema = Endpoint.objectSchema({ count: { type: 'integer' } });
+            const textSchema = { type: 'string' };
+
+            router.route('/foo', class extends Endpoint {
+
+                bodySchema() {
+                    return {
+                        'application/json': jsonSchema,
+                        'text/plain': textSchema
+                    };
+                }
+
+            }, 'post');
+
+            const { requestBody } = router.getSpec().paths['/foo'].post;
+
+            expect(requestBody.required).to.equal(true);
+            expect(requestBody.content).to.deep.equal({
+                'application/json': { schema: jsonSchema },
+                'text/plain': { schema: textSchema }
+            });
+        });
+
         it('generates an OpenAPI 3.0.0 spec based on routes to Endpoints and optionally supplied spec properties', function(done) {
 
             /**
@@ -0,0 +1,159 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const { Endpoint, Router, S } = require('../index');
+
+describe('SchemaBuilder', function() {
+
+    it('builds plain JSON Schema', function() {
+
+        const schema = S.object({
+            name: S.string().maxLength(25).default('hello').description('The greeting.'),
+            age: S.integer().minimum(0).example(3),
+            email: S.string().format('email').nullable(),
+            tags: S.array(S.string().pattern(/^[a-z]+$/)).uniqueItems().maxItems(5),
+            status: S.enum(['available', 'sold']),
+            owner: S.oneOf(S.string(), { type: 'integer' })
+        }).required('name');
+
+        expect(JSON.parse(JSON.stringify(schema))).to.deep.equal({
+            type: 'object',
+            properties: {
+                name: { type: 'string', maxLength: 25, default: 'hello', description: 'The greeting.' },
+                age: { type: 'integer', minimum: 0, example: 3 },
+                email: { type: 'string', format: 'email', nullable: true },
+                tags: { type: 'array', items: { type: 'string', pattern: '^[a-z]+$' }, uniqueItems: true, maxItems: 5 },
+                status: { type: 'string', enum: ['available', 'sold'] },
+                owner: { oneOf: [{ type: 'string' }, { type: 'integer' }] }
+            },
+            required: ['name']
+        });
+    });
+
+    it('writes nullable and examples for JSON Schema 2020-12', function() {
+
+        expect(S.string().nullable().examples('a', 'b').build('2020-12')).to.deep.equal({ type: ['string', 'null'], examples: ['a', 'b'] });
+        expect(S.enum(['a', 'b']).nullable().build('2020-12')).to.deep.equal({ type: ['string', 'null'], enum: ['a', 'b', null] });
+        expect(S.allOf({ $ref: '#/components/schemas/Pet' }).nullable().build()).to.deep.equal({ anyOf: [{ allOf: [{ $ref: '#/components/schemas/Pet' }] }, { enum: [null] }] });
+    });
+
+    it('does not change the builders it is made from', function() {
+
+        const name = S.string();
+
+        name.maxLength(3);
+
+        expect(name.build()).to.deep.equal({ type: 'string' });
+        expect(S.object({ a: S.string(), b: S.string() }).required().build().required).to.deep.equal(['a', 'b']);
+    });
+
+    it('can be returned from schema methods, and validates requests', function() {
+
+        const router = new Router();
+
+        router.route('/greeting', class extends Endpoint {
+
+            querySchema() {
+                return S.object({ chosenGreeting: S.string().maxLength(25).default('hello'), name: S.string().nullable() });
+            }
+
+            responseCodeSchemas() {
+                return { 200: S.object({ result: S.string() }).required() };
+            }
+
+            handler(req) {
+                return { result: `${req.query.chosenGreeting} world!` };
+            }
+        });
+
+        const spec = router.getSpec();
+
+        expect(spec.paths['/greeting'].get.parameters[0].schema).to.deep.equal({ type: 'string', maxLength: 25, default: 'hello' });
+        expect(spec.paths['/greeting'].get.responses[200].content['application/json'].schema.required).to.deep.equal(['result']);
+        expect(router.validateSpec().valid).to.equal(true);
+
+        const app = router.mount();
+
+        return request(app).get('/greeting')
+            .expect(200, { result: 'hello world!' })
+            .then(() => request(app).get(`/greeting?chosenGreeting=${'a'.repeat(26)}`).expect(400));
+    });
+
+    it('becomes a $ref once it is registered as a component', function() {
+
+        const Owner = S.object({ email: S.string().format('email') }).required();
+        const Pet = S.object({ name: S.string(), owner: Owner }).required('name');
+        const router = new Router({ schemas: { Owner } });
+        const reference = router.component('schemas', 'Pet', Pet);
+
+        router.route('/pets', class extends Endpoint {
+
+            bodySchema() {
+                return Pet;
+            }
+
+            responseCodeSchemas() {
+                return { 200: S.array(Pet) };
+            }
+
+            handler(req) {
+                return [req.body];
+            }
+        }, 'post');
+
+        const spec = router.getSpec();
+
+        expect(reference).to.deep.equal({ $ref: '#/components/schemas/Pet' });
+        expect(spec.components.schemas.Pet.properties.owner).to.deep.equal({ $ref: '#/components/schemas/Owner' });
+        expect(spec.components.schemas.Owner.required).to.deep.equal(['email']);
+        expect(spec.paths['/pets'].post.requestBody.content['application/json'].schema).to.deep.equal(reference);
+        expect(spec.paths['/pets'].post.responses[200].content['application/json'].schema.items).to.deep.equal(reference);
+        expect(router.validateSpec().valid).to.equal(true);
+
+        const app = router.mount();
+
+        return request(app).post('/pets').send({ name: 'Rex', owner: { email: 'nope' } })
+            .expect(400)
+            .then(() => request(app).post('/pets').send({ name: 'Rex', owner: { email: 'rex@example.com' } }).expect(200));
+    });
+
+    it('is only a $ref on the routers that registered it', function() {
+
+        const Pet = S.object({ name: S.string() });
+        const PetsEndpoint = class extends Endpoint {
+
+            responseCodeSchemas() {
+                return { 200: S.array(Pet) };
+            }
+        };
+
+        const registered = new Router();
+        const unregistered = new Router();
+        const renamed = new Router();
+
+        registered.component('schemas', 'Pet', Pet);
+        renamed.component('schemas', 'Animal', Pet);
+
+        [registered, unregistered, renamed].forEach(router => router.group('/v1', router => router.route('/pets', PetsEndpoint)));
+
+        const items = router => router.getSpec().paths['/v1/pets'].get.responses[200].content['application/json'].schema.items;
+
+        expect(items(registered)).to.deep.equal({ $ref: '#/components/schemas/Pet' });
+        expect(items(unregistered)).to.deep.equal({ type: 'object', properties: { name: { type: 'string' } } });
+        expect(items(renamed)).to.deep.equal({ $ref: '#/components/schemas/Animal' });
+        expect(Pet.build()).to.deep.equal(items(unregistered));
+    });
+
+    it('builds for the dialect of an OpenAPI 3.1 router', function() {
+
+        const router = new Router({}, { openapi: '3.1.0', Ajv2020: require('ajv8/dist/2020') });
+
+        router.route('/pets', class extends Endpoint {
+
+            querySchema() {
+                return S.object({ name: S.string().nullable().example('Rex') });
+            }
+        });
+
+        expect(router.getSpec().paths['/pets'].get.parameters[0].schema).to.deep.equal({ type: ['string', 'null'], examples: ['Rex'] });
+    });
+});
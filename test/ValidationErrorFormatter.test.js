@@ -0,0 +1,160 @@
+const request = require('supertest');
+const { expect } = require('chai');
+const { Endpoint, Router, ValidationError, ValidationErrorFormatter } = require('../index');
+
+describe('ValidationErrorFormatter', function() {
+
+    const SearchEndpoint = class extends Endpoint {
+
+        querySchema() {
+            return {
+                properties: {
+                    limit: { type: 'integer', maximum: 100, multipleOf: 5 },
+                    sort: { type: 'string', enum: ['name', 'age'], 'x-errorMessage': 'must be "name" or "age"' }
+                }
+            };
+        }
+
+        bodySchema() {
+            return {
+                type: 'object',
+                properties: {
+                    owner: { $ref: '#/components/schemas/Owner' },
+                    tags: { type: 'array', items: { type: 'string', maxLength: 3 } }
+                },
+                required: ['owner']
+            };
+        }
+
+        handler(req) {
+            return 'found';
+        }
+    };
+
+    const components = {
+        schemas: {
+            Owner: {
+                type: 'object',
+                properties: {
+                    email: { type: 'string', format: 'email', 'x-errorMessage': { format: 'must be an email address, like you@example.com' } }
+                },
+                required: ['email']
+            }
+        }
+    };
+
+    const createRouter = options => {
+
+        const router = new Router(components, { validationErrorFormatter: new ValidationErrorFormatter(options) });
+
+        router.route('/search', SearchEndpoint.withDefaultOptions({
+            requestAjvOptions: { useDefaults: true, coerceTypes: true, allErrors: true }
+        }), 'post');
+
+        return router;
+    };
+
+    it('sends one message per field, keyed by its location and path', function(done) {
+
+        request(createRouter().mount())
+            .post('/search?limit=101&sort=size')
+            .send({ owner: { email: 'nope' }, tags: ['ok', 'too long'] })
+            .expect(400)
+            .then(res => {
+
+                expect(res.body).to.deep.equal({
+                    code: 400,
+                    message: 'This request is not valid.',
+                    details: {
+                        'query.limit': 'must be at most 100, must be a multiple of 5.',
+                        'query.sort': 'must be "name" or "age".',
+                        'body.owner.email': 'must be an email address, like you@example.com.',
+                        'body.tags[1]': 'must be at most 3 characters long.'
+                    }
+                });
+
+                done();
+
+            }).catch(done);
+    });
+
+    it('uses the locale bundle that matches Accept-Language', function(done) {
+
+        const router = createRouter({
+            locales: {
+                fr: { required: 'est obligatoire' }
+            }
+        });
+
+        request(router.mount())
+            .post('/search')
+            .set('Accept-Language', 'fr-CA, fr;q=0.9, en;q=0.5')
+            .send({ owner: {} })
+            .expect(400)
+            .then(res => {
+
+                expect(res.body.details).to.deep.equal({ 'body.owner.email': 'est obligatoire.' });
+                done();
+
+            }).catch(done);
+    });
+
+    it('can format errors without a request or a schema', function() {
+
+        const error = new ValidationError([
+            { keyword: 'required', dataPath: '.body', params: { missingProperty: 'name' }, message: 'should have required property \'name\'' },
+            { keyword: 'additionalProperties', dataPath: '.body', params: { additionalProperty: 'nmae' }, message: 'should NOT have additional properties' },
+            { keyword: 'minimum', dataPath: '.query.page', params: { comparison: '>', limit: 0 }, message: 'should be > 0' }
+        ]);
+        const formatted = new ValidationErrorFormatter().format(error);
+
+        expect(formatted).to.be.an.instanceOf(ValidationError);
+        expect(formatted.details).to.deep.equal({
+            'body.name': 'is required.',
+            'body.nmae': 'is not allowed.',
+            'query.page': 'must be greater than 0.'
+        });
+        expect(formatted.raw).to.equal(error.details);
+    });
+
+    it('keeps the class and properties of the error it formats', function() {
+
+        class SearchValidationError extends ValidationError {
+
+            toProblem(req) {
+                return Object.assign(super.toProblem(req), { hint: 'Check the search form.' });
+            }
+        }
+
+        const error = Object.assign(new SearchValidationError([
+            { keyword: 'required', dataPath: '.body', params: { missingProperty: 'name' }, message: 'should have required property \'name\'' }
+        ], 'The search is not valid.', 422), { type: 'https://example.com/problems/invalid-search' });
+        const formatted = new ValidationErrorFormatter().format(error);
+
+        expect(formatted).to.be.an.instanceOf(SearchValidationError);
+        expect(formatted).to.not.equal(error);
+        expect(formatted.message).to.equal('The search is not valid.');
+        expect(formatted.stack).to.equal(error.stack);
+        expect(formatted.toProblem()).to.deep.equal({
+            type: 'https://example.com/problems/invalid-search',
+            title: 'Unprocessable Entity',
+            status: 422,
+            detail: 'The search is not valid.',
+            errors: { 'body.name': 'is required.' },
+            hint: 'Check the search form.'
+        });
+        expect(error.details).to.be.an('array');
+    });
+
+    it('describes the formatted errors in the spec', function() {
+
+        const { schemas } = createRouter().getSpec().components;
+
+        expect(schemas.ValidationError.properties.details).to.deep.equal(ValidationErrorFormatter.schema());
+    });
+
+    it('reads custom messages from an extension, so that the spec stays valid', function() {
+
+        expect(createRouter().validateSpec().report).to.equal('The OpenAPI spec is valid.');
+    });
+});
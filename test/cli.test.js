@@ -0,0 +1,83 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { expect } = require('chai');
+const { run } = require('../src/cli');
+
+function createIo(cwd) {
+
+    const io = { cwd, out: '', err: '' };
+
+    io.stdout = { write: text => io.out += text };
+    io.stderr = { write: text => io.err += text };
+
+    return io;
+}
+
+describe('cli', function() {
+
+    const fixture = path.resolve(__dirname, 'fixtures/router.js');
+    let dir;
+
+    beforeEach(function() {
+
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'express-primer-'));
+        fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({ name: 'my-api', version: '1.2.3' }));
+    });
+
+    afterEach(function() {
+
+        fs.readdirSync(dir).forEach(file => fs.unlinkSync(path.join(dir, file)));
+        fs.rmdirSync(dir);
+    });
+
+    describe('express-primer spec <module>', function() {
+
+        it('prints the spec of the exported router as JSON, with info from package.json', function() {
+
+            const io = createIo(dir);
+
+            expect(run(['spec', fixture], io)).to.equal(0);
+
+            const spec = JSON.parse(io.out);
+            expect(spec.info).to.deep.equal({ title: 'my-api', version: '1.2.3' });
+            expect(spec.paths['/users'].get.responses['200']).to.exist;
+        });
+
+        it('writes YAML to a file when --out has a YAML extension', function() {
+
+            const io = createIo(dir);
+
+            expect(run(['spec', fixture, '--out', 'openapi.yaml'], io)).to.equal(0);
+
+            const written = fs.readFileSync(path.join(dir, 'openapi.yaml'), 'utf8');
+            expect(written).to.contain('openapi: "3.0.0"\n');
+            expect(written).to.contain('  title: my-api\n');
+            expect(written).to.contain('  /users:\n    get:\n');
+        });
+
+        it('exits with 1 and explains the drift when --check finds a different spec', function() {
+
+            const io = createIo(dir);
+
+            expect(run(['spec', fixture, '-o', 'openapi.json'], io)).to.equal(0);
+            expect(run(['spec', fixture, '-o', 'openapi.json', '--check'], io)).to.equal(0);
+
+            const outPath = path.join(dir, 'openapi.json');
+            fs.writeFileSync(outPath, fs.readFileSync(outPath, 'utf8').replace('my-api', 'old-api'));
+
+            expect(run(['spec', fixture, '-o', 'openapi.json', '--check'], io)).to.equal(1);
+            expect(io.err).to.contain('openapi.json is out of date');
+            expect(io.err).to.contain('"title": "my-api"');
+        });
+
+        it('exits with 2 when the module does not export a router', function() {
+
+            const io = createIo(dir);
+
+            expect(run(['spec', path.resolve(__dirname, '../src/yaml.js')], io)).to.equal(2);
+            expect(io.err).to.contain('does not export a Router');
+        });
+    });
+});
@@ -0,0 +1,27 @@
+const { Endpoint, Router } = require('../../index');
+
+class UserEndpoint extends Endpoint {
+
+    responseCodeSchemas() {
+
+        return {
+            200: {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' }
+                }
+            }
+        };
+    }
+
+    handler(req) {
+
+        return { name: 'Shaun' };
+    }
+}
+
+const router = new Router();
+
+router.route('/users', UserEndpoint);
+
+module.exports = { router };
@@ -0,0 +1,97 @@
+const Ajv = require('ajv');
+const { expect } = require('chai');
+const { mockSchema } = require('../src/mock');
+
+describe('mock', function() {
+
+    describe('mockSchema(schema, components)', function() {
+
+        it('uses declared examples, defaults and enums', function() {
+
+            expect(mockSchema({ type: 'string', example: 'Shaun' })).to.equal('Shaun');
+            expect(mockSchema({ type: 'integer', examples: [7, 8] })).to.equal(7);
+            expect(mockSchema({ type: 'boolean', default: false })).to.equal(false);
+            expect(mockSchema({ type: 'string', enum: ['pending', 'paid'] })).to.equal('pending');
+        });
+
+        it('makes up values that match the schema, the same way every time', function() {
+
+            const components = {
+                schemas: {
+                    Pet: {
+                        type: 'object',
+                        properties: {
+                            id: { type: 'string', format: 'uuid' },
+                            name: { type: 'string', minLength: 10, maxLength: 12 },
+                            age: { type: 'integer', minimum: 1, maximum: 30 },
+                            weight: { type: 'number', exclusiveMinimum: true, minimum: 0, multipleOf: 0.25 },
+                            owner: { type: 'string', format: 'email', nullable: true },
+                            born: { type: 'string', format: 'date-time' },
+                            tags: { type: 'array', items: { type: 'string', maxLength: 3 }, minItems: 2 },
+                            password: { type: 'string', writeOnly: true },
+                            parent: { $ref: '#/components/schemas/Pet' }
+                        },
+                        required: ['id', 'name', 'age', 'weight', 'owner', 'born', 'tags']
+                    }
+                }
+            };
+            const schema = { type: 'array', items: { $ref: '#/components/schemas/Pet' } };
+            const value = mockSchema(schema, components);
+            const ajv = new Ajv({ nullable: true });
+
+            expect(value).to.deep.equal([{
+                id: '00000000-0000-4000-8000-000000000000',
+                name: 'stringxxxx',
+                age: 1,
+                weight: 0.25,
+                owner: 'user@example.com',
+                born: '2020-01-01T00:00:00Z',
+                tags: ['str', 'str']
+            }]);
+            expect(mockSchema(schema, components)).to.deep.equal(value);
+            expect(ajv.validate(Object.assign({ components }, schema), value)).to.equal(true);
+        });
+
+        it('makes up strings that match their pattern', function() {
+
+            const ajv = new Ajv();
+            const schemas = [
+                { type: 'string', pattern: '^[A-Z]{3}-\\d{4}$' },
+                { type: 'string', pattern: '^(foo|bar)+$', minLength: 9 },
+                { type: 'string', pattern: '^#[0-9a-f]{6}$', minLength: 2 },
+                { type: 'string', pattern: '^[^a-z]+$', maxLength: 2 }
+            ];
+
+            expect(schemas.map(schema => mockSchema(schema))).to.deep.equal(['AAA-0000', 'foofoofoo', '#aaaaaa', 'A']);
+            expect(mockSchema({ type: 'string', pattern: '^[a-z]+$' })).to.equal('string');
+            schemas.forEach(schema => expect(ajv.validate(schema, mockSchema(schema))).to.equal(true));
+        });
+
+        it('keeps multiples within both bounds', function() {
+
+            const ajv = new Ajv();
+            const schemas = [
+                { type: 'integer', minimum: 1, maximum: 9, multipleOf: 5 },
+                { type: 'integer', maximum: -3, multipleOf: 2 },
+                { type: 'number', minimum: 0.3, maximum: 0.6, multipleOf: 0.25 },
+                { type: 'number', exclusiveMinimum: 0, exclusiveMaximum: 0.2 }
+            ];
+
+            expect(schemas.map(schema => mockSchema(schema))).to.deep.equal([5, -4, 0.5, 0.1]);
+            schemas.forEach(schema => expect(ajv.validate(schema, mockSchema(schema))).to.equal(true));
+        });
+
+        it('follows allOf, oneOf and 2020-12 keywords', function() {
+
+            expect(mockSchema({
+                allOf: [
+                    { type: 'object', properties: { id: { type: 'integer' } } },
+                    { type: 'object', properties: { name: { type: ['string', 'null'] } } }
+                ]
+            })).to.deep.equal({ id: 0, name: 'string' });
+
+            expect(mockSchema({ oneOf: [{ type: 'integer', exclusiveMinimum: 5 }, { type: 'string' }] })).to.equal(6);
+            expect(mockSchema({ $defs: { Id: { const: 'abc' } }, type: 'object', properties: { id: { $ref: '#/$defs/Id' } } })).to.deep.equal({ id: 'abc' });
+        });
+    });
+});